@@ -0,0 +1,136 @@
+// Workbook agent: a chat model that edits the workbook only through the tools below.
+// A provider is anything with complete(messages, tools) resolving to an OpenAI-style
+// assistant message ({content, tool_calls}); createOpenAIProvider talks to any
+// OpenAI-compatible /chat/completions endpoint, so a local mock server can stand in for
+// tests. runAgent loops model -> tool calls -> tool results until the model answers in
+// text. The tools themselves are the app's (app.js), so this module never sees the DOM.
+import { FUNCTION_NAMES } from './engine.js';
+
+const sheetParam = {type:'string', description:'Sheet name; the active sheet when omitted'};
+export const AGENT_TOOLS = [
+  {
+    name: 'list_sheets',
+    description: 'List the sheets with their sizes, and the active sheet and selection.',
+    parameters: {type:'object', properties:{}}
+  },
+  {
+    name: 'read_range',
+    description: 'Read a range. Returns each cell\'s calculated value, and the formula where the cell has one.',
+    parameters: {type:'object', properties:{sheet:sheetParam, range:{type:'string', description:'A1 range such as A1:C20'}}, required:['range']}
+  },
+  {
+    name: 'write_range',
+    description: 'Write rows of values starting at a cell. Strings starting with = are formulas. The sheet grows to fit.',
+    parameters: {type:'object', properties:{
+      sheet: sheetParam,
+      start: {type:'string', description:'Top-left cell, e.g. A1'},
+      values: {type:'array', items:{type:'array', items:{type:['string', 'number', 'boolean']}}}
+    }, required:['start', 'values']}
+  },
+  {
+    name: 'set_formula',
+    description: 'Put a formula in one cell.',
+    parameters: {type:'object', properties:{sheet:sheetParam, cell:{type:'string'}, formula:{type:'string', description:'e.g. =SUM(B2:B9)'}}, required:['cell', 'formula']}
+  },
+  {
+    name: 'add_sheet',
+    description: 'Add a sheet at the end of the workbook and make it active.',
+    parameters: {type:'object', properties:{name:{type:'string'}}}
+  },
+  {
+    name: 'format_cells',
+    description: 'Format every cell of a range. Only the given fields change.',
+    parameters: {type:'object', properties:{
+      sheet: sheetParam,
+      range: {type:'string'},
+      format: {type:'object', properties:{
+        bold:{type:'boolean'}, italic:{type:'boolean'}, underline:{type:'boolean'}, wrap:{type:'boolean'},
+        color:{type:'string', description:'#rrggbb'}, bgColor:{type:'string', description:'#rrggbb'},
+        numFmt:{type:'string', description:'Excel number format, e.g. #,##0.00 or 0%'},
+        hAlign:{type:'string', enum:['', 'left', 'center', 'right']}
+      }}
+    }, required:['range', 'format']}
+  }
+];
+
+export function agentSystemPrompt(){
+  return [
+    'You edit a spreadsheet workbook for the user through the tools. Read before you write,',
+    'address cells A1-style, and prefer formulas over typed-in results so the sheet stays live.',
+    `Supported functions: ${FUNCTION_NAMES.join(', ')}.`,
+    'Your changes are shown to the user as a diff to approve, so finish with a short summary of what you changed.'
+  ].join(' ');
+}
+
+export function createOpenAIProvider({endpoint, model, apiKey}){
+  return {
+    async complete(messages, tools){
+      const res = await fetch(endpoint.replace(/\/+$/, '') + '/chat/completions', {
+        method: 'POST',
+        headers: {'Content-Type':'application/json', ...(apiKey ? {Authorization:`Bearer ${apiKey}`} : {})},
+        body: JSON.stringify({model, messages, tools:tools.map(t=>({type:'function', function:t})), tool_choice:'auto'})
+      });
+      if(!res.ok) throw new Error(`Provider error ${res.status}: ${(await res.text()).slice(0, 200)}`);
+      const message = (await res.json()).choices?.[0]?.message;
+      if(!message) throw new Error('Provider returned no message');
+      return message;
+    }
+  };
+}
+
+// One user turn. messages is the running conversation and is extended in place; handlers
+// maps tool names to functions of the parsed arguments. A failing tool reports its error to
+// the model instead of ending the turn. Resolves to the model's closing text.
+export async function runAgent({provider, messages, handlers, tools=AGENT_TOOLS, maxSteps=12, onTool}){
+  for(let step=0; step<maxSteps; step++){
+    const reply = await provider.complete(messages, tools);
+    const calls = reply.tool_calls || [];
+    messages.push({role:'assistant', content:reply.content ?? null, ...(calls.length ? {tool_calls:calls} : {})});
+    if(!calls.length) return reply.content || '';
+    for(const call of calls){
+      const name = call.function?.name;
+      let args = {}, result;
+      try{
+        args = JSON.parse(call.function?.arguments || '{}');
+        if(!handlers[name]) throw new Error(`Unknown tool ${name}`);
+        result = await handlers[name](args);
+      }catch(err){
+        result = {error: err.message || String(err)};
+      }
+      onTool?.(name, args, result);
+      messages.push({role:'tool', tool_call_id:call.id, content:JSON.stringify(result ?? {ok:true})});
+    }
+  }
+  return `Stopped after ${maxSteps} steps`;
+}
+
+// What a turn changed, for review: sheets (matched by name) that were added or removed, and
+// cells whose value or formatting differs. before/after are lists of {name, data}.
+export function diffWorkbooks(before, after){
+  const changes = [];
+  const byName = new Map(before.map(sh=>[sh.name, sh]));
+  const names = new Set(after.map(sh=>sh.name));
+  for(const sh of before) if(!names.has(sh.name)) changes.push({kind:'sheetRemoved', sheet:sh.name});
+  for(const sh of after){
+    const old = byName.get(sh.name);
+    if(!old) changes.push({kind:'sheetAdded', sheet:sh.name});
+    const rows = Math.max(sh.data.length, old?.data.length || 0);
+    for(let r=0;r<rows;r++){
+      const cols = Math.max(sh.data[r]?.length || 0, old?.data[r]?.length || 0);
+      for(let c=0;c<cols;c++){
+        const a = old?.data[r]?.[c] || {}, b = sh.data[r]?.[c] || {};
+        const va = String(a.value ?? ''), vb = String(b.value ?? '');
+        if(va!==vb) changes.push({kind:'value', sheet:sh.name, r, c, before:va, after:vb});
+        else if(!sameFormat(a, b)) changes.push({kind:'format', sheet:sh.name, r, c});
+      }
+    }
+  }
+  return changes;
+}
+function sameFormat(a, b){
+  const blank = v => v==null || v==='' || v===false || v===0;
+  for(const k of new Set([...Object.keys(a), ...Object.keys(b)])){
+    if(k!=='value' && a[k]!==b[k] && !(blank(a[k]) && blank(b[k]))) return false;
+  }
+  return true;
+}
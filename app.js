@@ -1,3 +1,17 @@
+import { parseA1, isErr, literalValue, autoDateFormat, isBlankFormula, nodeKey,
+  createEngine, serveEngine } from './engine.js';
+import { formatValue } from './numfmt.js';
+import { createCell, createSheet, loadArrayInto, sheetCells, colLabel, parseRangeText, rangeText,
+  SHEET_NAME_SRC, quoteSheetName, unquoteSheetName, mapSheetRefs, shiftFormulaRefs, adjustRefs, moveSpan } from './workbook.js';
+import { toCSV, parseCSV } from './csv.js';
+import { BORDER_SIDES, styleToXLSX, importXLSXCellProps, insertCellStyles, readCellStyles, insertFrozenPane, readFrozenPane } from './xlsxparts.js';
+import { VALIDATION_TYPES, VALIDATION_OPS, isValidEntry, describeValidation } from './validate.js';
+import { matchesCondition, computeConditionalStyles, conditionalFormattingXML, insertConditionalFormatting, insertDxfs } from './condfmt.js';
+import { listRecent, loadDraft, loadSaved, storeWorkbook, forgetWorkbook } from './storage.js';
+import { workbookToJSON, workbookFromJSON } from './workbookjson.js';
+import { agentSystemPrompt, createOpenAIProvider, runAgent, diffWorkbooks } from './agent.js';
+import { fillCells } from './fill.js';
+
 document.addEventListener('DOMContentLoaded', () => {
     const gridEl = document.getElementById('grid');
     const thead = gridEl.querySelector('thead');
@@ -12,21 +26,41 @@ document.addEventListener('DOMContentLoaded', () => {
       const formulaBar = document.getElementById('formulaBar');
       const boldBtn = document.getElementById('boldBtn');
       const italicBtn = document.getElementById('italicBtn');
+      const underlineBtn = document.getElementById('underlineBtn');
+      const strikeBtn = document.getElementById('strikeBtn');
       const fillColorInput = document.getElementById('fillColor');
+      const textColorInput = document.getElementById('textColor');
+      const fontFamilySelect = document.getElementById('fontFamily');
+      const fontSizeSelect = document.getElementById('fontSize');
+      const hAlignSelect = document.getElementById('hAlign');
+      const vAlignSelect = document.getElementById('vAlign');
+      const wrapBtn = document.getElementById('wrapBtn');
+      const bordersSelect = document.getElementById('borders');
+      const numFmtSelect = document.getElementById('numFmt');
       const undoBtn = document.getElementById('undoBtn');
       const redoBtn = document.getElementById('redoBtn');
+      const filterBtn = document.getElementById('filterBtn');
 
     // Sheet management
-      function createSheet(name, r=30, c=12){
-        return {name, rows:r, cols:c, data:createEmpty(r,c), colWidths:Array(c).fill(null), rowHeights:Array(r).fill(null)};
-      }
       const sheets = [createSheet('Sheet1')];
       let activeSheetIndex = 0;
       let rows = sheets[0].rows, cols = sheets[0].cols, data = sheets[0].data;
       let colWidths = sheets[0].colWidths, rowHeights = sheets[0].rowHeights;
+      // AutoFilter of the active sheet: {row, c1, c2, criteria:{[col]:{values?, op?, arg?}}, hidden:[rows]}
+      let autoFilter = null;
+      let hiddenRows = new Set();
+      // Conditional format rules of the active sheet (see condfmt.js), and the per-cell
+      // styles they currently produce ("r,c" -> overrides)
+      let condFormats = [];
+      let cfStyles = new Map();
+      // Data validation rules of the active sheet (see validate.js)
+      let validations = [];
+      // Merged blocks of the active sheet, {r1,c1,r2,c2} each; the top-left cell holds the content
+      let merges = [];
+      // Frozen panes of the active sheet: this many top rows and left columns stay in view
+      let freeze = {rows:0, cols:0};
       let copyOrigin = null; // track source cell for copy/paste
       let activeCell = {r:0, c:0};
-      let lastHeader = {r:-1, c:-1};
       let selectionRange = null;
       let anchorCell = {r:0, c:0};
       let dragging = false;
@@ -35,21 +69,15 @@ document.addEventListener('DOMContentLoaded', () => {
       const redoStack = [];
 
       function clearSelection(){
-        tbody.querySelectorAll('.cell.selected').forEach(el=>el.classList.remove('selected'));
         selectionRange = null;
+        paintSelection();
       }
 
       function selectRange(r1,c1,r2,c2){
-        clearSelection();
         const rStart = Math.min(r1,r2), rEnd = Math.max(r1,r2);
         const cStart = Math.min(c1,c2), cEnd = Math.max(c1,c2);
-        for(let r=rStart;r<=rEnd;r++){
-          for(let c=cStart;c<=cEnd;c++){
-            const el = tbody.querySelector(`.cell[data-r="${r}"][data-c="${c}"]`);
-            el?.classList.add('selected');
-          }
-        }
-        selectionRange = {r1:rStart,c1:cStart,r2:rEnd,c2:cEnd};
+        selectionRange = expandToMerges({r1:rStart,c1:cStart,r2:rEnd,c2:cEnd});
+        paintSelection();
       }
 
       function forEachSelectedCell(fn){
@@ -64,7 +92,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
       }
 
-    // Error map: key "r,c" -> message
+    // Error map: node key "s!r,c" (see nodeKey) -> message, as reported by the engine
     const errMap = new Map();
 
     // XLSX lib reference (avoid global window access)
@@ -97,17 +125,28 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     function saveActiveState(){
       const s=sheets[activeSheetIndex];
-      s.rows=rows; s.cols=cols; s.data=data; s.colWidths=colWidths; s.rowHeights=rowHeights;
+      s.rows=rows; s.cols=cols; s.data=data; s.colWidths=colWidths; s.rowHeights=rowHeights; s.autoFilter=autoFilter; s.condFormats=condFormats;
+      s.validations=validations; s.merges=merges; s.freeze=freeze;
     }
-    function loadSheet(idx){
+    // structural=false when only the visible sheet changes (cached values stay valid)
+    function loadSheet(idx, structural=true){
       const s=sheets[idx];
       rows=s.rows; cols=s.cols; data=s.data; colWidths=s.colWidths; rowHeights=s.rowHeights;
+      autoFilter=s.autoFilter; hiddenRows=new Set(autoFilter?.hidden);
+      condFormats=s.condFormats||[];
+      validations=s.validations||[];
+      merges=s.merges||[];
+      freeze=s.freeze||{rows:0, cols:0};
+      entry = pendingEntry = null;
       activeSheetIndex=idx;
-      renderHeader(); renderBody(); recalc();
+      if(structural) recalc();
+      watchRuleFormulas();
+      computeConditionalFormats();
+      computeValidationMarks();
+      renderHeader(); renderBody();
     }
-    function addSheet(){
-      saveActiveState();
-      const name=`Sheet${sheets.length+1}`;
+    function addSheet(name=`Sheet${sheets.length+1}`){
+      pushUndo(`Add ${name}`, 'workbook');
       sheets.push(createSheet(name));
       loadSheet(sheets.length-1);
       renderTabs();
@@ -115,22 +154,67 @@ document.addEventListener('DOMContentLoaded', () => {
     function switchSheet(idx){
       if(idx===activeSheetIndex) return;
       saveActiveState();
-      loadSheet(idx);
+      loadSheet(idx, false);
       renderTabs();
     }
     function deleteSheet(idx){
       if(sheets.length===1) return;
-      sheets.splice(idx,1);
+      pushUndo(`Delete ${sheets[idx].name}`, 'workbook');
+      const [removed]=sheets.splice(idx,1);
+      // Formulas pointing at the removed sheet become #REF! like in Excel
+      forEachFormulaCell(cell=>{
+        cell.value = '=' + mapSheetRefs(cell.value.slice(1), removed.name, ()=>'#REF!');
+      });
+      mapConditionalFormatRefs(removed.name, ()=>'#REF!');
+      mapValidationRefs(removed.name, ()=>'#REF!');
+      if(idx<activeSheetIndex) activeSheetIndex--;
       if(activeSheetIndex>=sheets.length) activeSheetIndex=sheets.length-1;
       loadSheet(activeSheetIndex);
       renderTabs();
     }
+    // Why a name cannot be used for sheet idx (-1: a new sheet), or '' when it can
+    function sheetNameError(name, idx=-1){
+      if(/[\[\]:*?\/\\]/.test(name)) return `Invalid sheet name: ${name}`;
+      const dup=findSheetIndex(name);
+      return dup>=0 && dup!==idx ? `Sheet "${name}" already exists` : '';
+    }
+    function renameSheet(idx, name){
+      const problem=sheetNameError(name, idx);
+      if(problem){ fileInfo.textContent=problem; return; }
+      const old=sheets[idx].name;
+      pushUndo(`Rename ${old} to ${name}`, 'workbook');
+      forEachFormulaCell(cell=>{
+        cell.value = '=' + mapSheetRefs(cell.value.slice(1), old, ref=>quoteSheetName(name)+'!'+ref);
+      });
+      mapConditionalFormatRefs(old, ref=>quoteSheetName(name)+'!'+ref);
+      mapValidationRefs(old, ref=>quoteSheetName(name)+'!'+ref);
+      sheets[idx].name=name;
+      renderTabs();
+      recalc();
+      watchRuleFormulas();
+    }
+    function findSheetIndex(name){
+      const n=name.toLowerCase();
+      return sheets.findIndex(s=>s.name.toLowerCase()===n);
+    }
+    function sheetData(idx){ return idx===activeSheetIndex ? data : sheets[idx]?.data; }
+    function forEachFormulaCell(fn){
+      for(let i=0;i<sheets.length;i++){
+        const d=sheetData(i);
+        for(let r=0;r<d.length;r++){
+          for(let c=0;c<d[r].length;c++){
+            const cell=d[r][c];
+            if(typeof cell.value==='string' && cell.value.startsWith('=')) fn(cell, i, r, c);
+          }
+        }
+      }
+    }
     sheetTabs.addEventListener('click', e=>{
       const t=e.target;
       if(t.classList.contains('close')){
-        deleteSheet(+t.parentElement.dataset.idx);
+        if(!editBlocked()) deleteSheet(+t.parentElement.dataset.idx);
       }else if(t.classList.contains('add')){
-        addSheet();
+        if(!editBlocked()) addSheet();
       }else{
         const tab=t.closest('.sheetTab');
         if(tab) switchSheet(+tab.dataset.idx);
@@ -138,10 +222,10 @@ document.addEventListener('DOMContentLoaded', () => {
     });
     sheetTabs.addEventListener('dblclick', e=>{
       const tab=e.target.closest('.sheetTab');
-      if(!tab || tab.classList.contains('add')) return;
+      if(!tab || tab.classList.contains('add') || editBlocked()) return;
       const idx=+tab.dataset.idx;
-      const name=prompt('Rename sheet', sheets[idx].name);
-      if(name){ sheets[idx].name=name; renderTabs(); }
+      const name=prompt('Rename sheet', sheets[idx].name)?.trim();
+      if(name && name!==sheets[idx].name) renameSheet(idx, name);
     });
 
     // ===== Debug helpers =====
@@ -234,72 +318,173 @@ document.addEventListener('DOMContentLoaded', () => {
       log('JSZip unavailable'); return null;
     }
 
-    // Utilities
-    function createCell(){ return { value:'', bold:false, italic:false, bgColor:'' }; }
-    function createEmpty(r,c){ return Array.from({length:r},()=>Array.from({length:c},()=>createCell())); }
-    function colLabel(n){ // 0->A, 25->Z, 26->AA
-      let s=''; n = n>>>0; do{ s = String.fromCharCode(65 + (n % 26)) + s; n = Math.floor(n/26) - 1; } while(n>=0); return s;
-    }
-    function parseA1(ref){
-      const m = /^(\$?)([A-Z]+)(\$?)(\d+)$/.exec(ref.toUpperCase());
-      if(!m) return null;
-      const absCol = !!m[1];
-      const absRow = !!m[3];
-      const c = m[2].split('').reduce((a,ch)=>a*26 + (ch.charCodeAt(0)-64),0)-1;
-      const r = parseInt(m[4],10)-1;
-      return {r, c, absRow, absCol};
-    }
-
-    function shiftFormulaRefs(expr, dr, dc){
-      return expr.replace(/\$?[A-Za-z]+\$?\d+(?::\$?[A-Za-z]+\$?\d+)?/g, ref=>{
-        if(ref.includes(':')){
-          const [a,b] = ref.split(':');
-          return shiftSingle(a)+':'+shiftSingle(b);
-        }
-        return shiftSingle(ref);
-      });
-      function shiftSingle(rf){
-        const p = parseA1(rf);
-        if(!p) return rf;
-        const row = p.absRow ? p.r : p.r + dr;
-        const col = p.absCol ? p.c : p.c + dc;
-        return (p.absCol?'$':'') + colLabel(col) + (p.absRow?'$':'') + (row+1);
-      }
+    // ===== History =====
+    // Each change is recorded as {label, scope, s, state}: a copy of only what the change
+    // touches on sheet s, taken just before it runs. Undo swaps that copy back in after
+    // re-taking the current one for redo. Scopes:
+    //   {r1,c1,r2,c2}  those cells
+    //   'layout'       sizes, filter, rules, merges and panes (everything but the cells)
+    //   'sheet'        the whole sheet
+    //   'workbook'     every sheet, their names and order, and which one is active
+    const HISTORY_LIMIT = 100;           // entries kept
+    const HISTORY_CELL_LIMIT = 1000000;  // cells held across all entries
+    const LAYOUT_KEYS = ['colWidths', 'rowHeights', 'autoFilter', 'condFormats', 'validations', 'merges', 'freeze'];
+    const copyCells = d => d.map(r=>r.map(cell=>({...cell})));
+    const copyLayout = sh => Object.fromEntries(LAYOUT_KEYS.map(k=>[k, sh[k]==null ? sh[k] : JSON.parse(JSON.stringify(sh[k]))]));
+    const copySheet = sh => ({...copyLayout(sh), name:sh.name, rows:sh.rows, cols:sh.cols, data:copyCells(sh.data)});
+    function captureState(scope, s){
+      saveActiveState();
+      if(scope==='workbook') return {sheets:sheets.map(copySheet), active:activeSheetIndex};
+      if(scope==='sheet') return copySheet(sheets[s]);
+      if(scope==='layout') return copyLayout(sheets[s]);
+      const {r1, c1, r2, c2} = scope;
+      return sheets[s].data.slice(r1, r2+1).map(row=>row.slice(c1, c2+1).map(cell=>({...cell})));
     }
-
-    function snapshot(){
-      return { data: data.map(r=>r.map(cell=>({...cell}))), rows, cols };
+    function stateSize({scope, state}){
+      if(scope==='workbook') return state.sheets.reduce((n,sh)=>n + sh.rows*sh.cols, 0);
+      if(scope==='sheet') return state.rows*state.cols;
+      if(scope==='layout') return state.colWidths.length + state.rowHeights.length;
+      return (scope.r2-scope.r1+1) * (scope.c2-scope.c1+1);
     }
-    function pushUndo(){
-      undoStack.push(snapshot());
+    // Record a change about to be made to the active sheet (or workbook); returns the entry,
+    // or null inside a batch, whose own entry already covers the change
+    function pushUndo(label, scope='sheet'){
+      touchWorkbook();
+      if(batchEntry) return null;
+      const item = {label, scope, s:activeSheetIndex};
+      item.state = captureState(scope, item.s);
+      item.size = stateSize(item);
+      undoStack.push(item);
       redoStack.length = 0;
+      let total = undoStack.reduce((n,e)=>n + e.size, 0);
+      while(undoStack.length>1 && (undoStack.length>HISTORY_LIMIT || total>HISTORY_CELL_LIMIT)) total -= undoStack.shift().size;
+      renderHistory();
+      return item;
     }
-    function restore(state){
-      data = state.data.map(r=>r.map(cell=>({...cell})));
-      rows = state.rows;
-      cols = state.cols;
-      renderHeader();
-      renderBody();
-      recalc();
+    // Several commands recorded as one workbook-wide step (an agent turn): everything between
+    // beginBatch and endBatch undoes together
+    let batchEntry = null;
+    function beginBatch(label){
+      batchEntry = pushUndo(label, 'workbook');
+      return batchEntry;
+    }
+    function endBatch(){
+      const item = batchEntry;
+      batchEntry = null;
+      return item;
+    }
+    // While an agent turn waits for Approve or Reject, the user's own edits are held back (as
+    // undo is), so rejecting the turn cannot take them with it; true, with a note, if so
+    function editBlocked(){
+      if(!batchEntry) return false;
+      fileInfo.textContent = 'Approve or reject the agent\'s changes first';
+      return true;
+    }
+    // Forget an entry whose change did not happen after all (a reverted or unchanged edit)
+    function dropUndo(item){
+      const i = undoStack.indexOf(item);
+      if(i<0) return;
+      undoStack.splice(i, 1);
+      renderHistory();
+    }
+    function clearHistory(){
+      undoStack.length = redoStack.length = 0;
+      renderHistory();
+    }
+    // Put a recorded state back, showing the sheet it belongs to
+    function restore({scope, s, state}){
+      entry = pendingEntry = null;
+      if(scope==='workbook'){
+        sheets.splice(0, sheets.length, ...state.sheets.map(copySheet));
+        loadSheet(state.active);
+        renderTabs();
+        return;
+      }
+      saveActiveState();
+      const sh = sheets[s];
+      if(scope==='sheet') Object.assign(sh, copySheet(state));
+      else if(scope==='layout') Object.assign(sh, copyLayout(state));
+      else state.forEach((row,i)=>row.forEach((cell,j)=>{ sh.data[scope.r1+i][scope.c1+j] = {...cell}; }));
+      const switched = s!==activeSheetIndex;
+      loadSheet(s, scope!=='layout');
+      if(switched) renderTabs();
     }
     function undo(){
-      if(!undoStack.length) return;
-      redoStack.push(snapshot());
-      const prev = undoStack.pop();
-      restore(prev);
+      if(editBlocked()) return;
+      const item = undoStack.pop();
+      if(!item) return;
+      redoStack.push({...item, state:captureState(item.scope, item.s)});
+      restore(item);
+      renderHistory();
     }
     function redo(){
-      if(!redoStack.length) return;
-      undoStack.push(snapshot());
-      const next = redoStack.pop();
-      restore(next);
+      if(editBlocked()) return;
+      const item = redoStack.pop();
+      if(!item) return;
+      undoStack.push({...item, state:captureState(item.scope, item.s)});
+      restore(item);
+      renderHistory();
     }
 
+    // History panel: past actions oldest first, then the undone ones (greyed) that redo
+    // would bring back. Clicking an entry undoes or redoes up to and including it.
+    const historyPanel = document.getElementById('historyPanel');
+    const historyList = document.getElementById('historyList');
+    function renderHistory(){
+      if(!historyPanel || historyPanel.hidden) return;
+      historyList.innerHTML = '';
+      const add = (label, cls, run)=>{
+        const li = document.createElement('li');
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.className = cls;
+        b.textContent = label;
+        b.addEventListener('click', run);
+        li.appendChild(b);
+        historyList.appendChild(li);
+      };
+      add('Start', 'history-start'+(undoStack.length ? '' : ' current'), ()=>{ while(undoStack.length && !batchEntry) undo(); });
+      undoStack.forEach((item, i)=>{
+        add(item.label, i===undoStack.length-1 ? 'current' : '', ()=>{ while(undoStack.length>i+1 && !batchEntry) undo(); });
+      });
+      [...redoStack].reverse().forEach((item, i)=>{
+        add(item.label, 'undone', ()=>{ for(let n=0;n<=i;n++) redo(); });
+      });
+      historyList.querySelector('.current')?.scrollIntoView?.({block:'nearest'});
+    }
+    document.getElementById('historyBtn')?.addEventListener('click', ()=>{
+      historyPanel.hidden = !historyPanel.hidden;
+      renderHistory();
+    });
+    document.getElementById('historyClose')?.addEventListener('click', ()=>{ historyPanel.hidden = true; });
+
     // Rendering
-    function applyCellStyles(el, cell){
-      el.style.fontWeight = cell.bold ? 'bold' : '';
-      el.style.fontStyle = cell.italic ? 'italic' : '';
-      el.style.backgroundColor = cell.bgColor || '';
+    const BORDER_CSS = { thin:'1px solid', medium:'2px solid', thick:'3px solid', dashed:'1px dashed', dotted:'1px dotted', double:'3px double' };
+    const V_ALIGN_FLEX = { top:'flex-start', middle:'center', bottom:'flex-end' };
+    function borderCSS(spec){
+      if(!spec) return '';
+      const [style, color='#000000'] = spec.split(' ');
+      return `${BORDER_CSS[style] || BORDER_CSS.thin} ${color}`;
+    }
+    // fmtColor: colour picked by the number format ([Red] etc.), which wins over the text colour.
+    // cf: conditional format overrides; they are drawn over the cell's own style, not stored in it.
+    function applyCellStyles(el, cell, fmtColor='', cf){
+      el.style.fontWeight = cell.bold || cf?.bold ? 'bold' : '';
+      el.style.fontStyle = cell.italic || cf?.italic ? 'italic' : '';
+      el.style.textDecoration = [cell.underline && 'underline', cell.strike && 'line-through'].filter(Boolean).join(' ');
+      el.style.color = cf?.color || fmtColor || cell.color || '';
+      el.style.backgroundColor = cf?.bgColor || cell.bgColor || '';
+      el.style.backgroundImage = cf?.bar ? `linear-gradient(to right, ${cf.bar.color} ${cf.bar.pct}%, transparent ${cf.bar.pct}%)` : '';
+      el.style.fontFamily = cell.fontFamily || '';
+      el.style.fontSize = cell.fontSize ? cell.fontSize + 'pt' : '';
+      el.style.textAlign = cell.hAlign || '';
+      el.style.whiteSpace = cell.wrap ? 'pre-wrap' : '';
+      el.style.textOverflow = cell.wrap ? 'clip' : '';
+      // Vertical alignment lays the text out as a flex column inside the fixed-height cell
+      el.style.display = cell.vAlign ? 'flex' : '';
+      el.style.flexDirection = cell.vAlign ? 'column' : '';
+      el.style.justifyContent = V_ALIGN_FLEX[cell.vAlign] || '';
+      for(const side of BORDER_SIDES) el.style['border'+side] = borderCSS(cell['border'+side]);
     }
 
     function syncSizeArrays(){
@@ -309,18 +494,84 @@ document.addEventListener('DOMContentLoaded', () => {
       if(rowHeights.length > rows) rowHeights.length = rows;
     }
 
-    function applyColWidth(c, w){
-      const header = thead.querySelectorAll('th')[c+1];
-      if(header){
-        header.style.width = w + 'px';
-        header.style.maxWidth = w + 'px';
+    // ===== Windowed grid =====
+    // Only the rows/columns inside the scroll viewport (plus an overscan margin) are in
+    // the DOM. Spacer cells stand in for everything else so the scrollbars keep the
+    // full sheet size; scrolling re-renders the window.
+    const sheetEl = gridEl.closest('.sheet');
+    const DEFAULT_ROW_H = 33, DEFAULT_COL_W = 100;
+    const OVERSCAN_ROWS = 10, OVERSCAN_COLS = 3;
+    let autoWidths = [];              // autofit widths for columns without a manual width
+    let rowOffsets = [0], colOffsets = [0]; // prefix sums: offsets[i] = start of row/col i
+    const view = {r1:0, r2:-1, c1:0, c2:-1};
+    let restoringFocus = false;
+
+    function colWidth(c){ return colWidths[c] ?? autoWidths[c] ?? DEFAULT_COL_W; }
+    function rowHeight(r){ return hiddenRows.has(r) ? 0 : rowHeights[r] ?? DEFAULT_ROW_H; }
+    // First row from r on (stepping by dir) that the AutoFilter does not hide, else fallback
+    function visibleRow(r, dir, fallback){
+      while(hiddenRows.has(r)) r += dir || 1;
+      return r>=0 && r<rows ? r : fallback;
+    }
+    function layoutColumns(){
+      colOffsets = [0];
+      for(let c=0;c<cols;c++) colOffsets.push(colOffsets[c] + colWidth(c));
+    }
+    function layoutRows(){
+      rowOffsets = [0];
+      for(let r=0;r<rows;r++) rowOffsets.push(rowOffsets[r] + rowHeight(r));
+    }
+    // Index of the row/column containing pixel offset pos
+    function indexAt(offsets, pos){
+      let lo = 0, hi = offsets.length-2;
+      while(lo < hi){
+        const mid = (lo+hi+1) >> 1;
+        if(offsets[mid] <= pos) lo = mid; else hi = mid-1;
       }
-      const cells = tbody.querySelectorAll(`td:nth-child(${c+2})`);
-      cells.forEach(td=>{ td.style.width = w + 'px'; td.style.maxWidth = w + 'px'; });
+      return Math.max(0, lo);
+    }
+    // Recompute the rendered window from the scroll position; true if it moved
+    function updateView(){
+      const top = sheetEl.scrollTop, left = sheetEl.scrollLeft;
+      const h = sheetEl.clientHeight || window.innerHeight, w = sheetEl.clientWidth || window.innerWidth;
+      const next = {
+        r1: Math.max(0, indexAt(rowOffsets, top) - OVERSCAN_ROWS),
+        r2: Math.min(rows-1, indexAt(rowOffsets, top+h) + OVERSCAN_ROWS),
+        c1: Math.max(0, indexAt(colOffsets, left) - OVERSCAN_COLS),
+        c2: Math.min(cols-1, indexAt(colOffsets, left+w) + OVERSCAN_COLS)
+      };
+      // Frozen rows/columns are drawn separately, so the scrolling window starts after them
+      const {fr, fc} = frozenCounts();
+      next.r1 = Math.max(next.r1, fr); next.r2 = Math.max(next.r2, next.r1-1);
+      next.c1 = Math.max(next.c1, fc); next.c2 = Math.max(next.c2, next.c1-1);
+      const changed = next.r1!==view.r1 || next.r2!==view.r2 || next.c1!==view.c1 || next.c2!==view.c2;
+      Object.assign(view, next);
+      return changed;
+    }
+    function cellEl(r,c){ return tbody.querySelector(`.cell[data-r="${r}"][data-c="${c}"]`); }
+    function frozenCounts(){ return {fr:Math.min(freeze.rows, rows), fc:Math.min(freeze.cols, cols)}; }
+    // Frozen cells stick below the column headers / right of the row headers; the header
+    // sizes come from the --head-h and --head-w properties set after each draw
+    function stickFrozen(el, r, c){
+      if(r!=null){ el.classList.add('frozen-r'); el.style.top = `calc(var(--head-h, 0px) + ${rowOffsets[r]}px)`; }
+      if(c!=null){ el.classList.add('frozen-c'); el.style.left = `calc(var(--head-w, 0px) + ${colOffsets[c]}px)`; }
+    }
+    function sizeCol(el, w){ el.style.width = el.style.minWidth = el.style.maxWidth = w + 'px'; }
+    function spacerCell(tag, w){
+      const el = document.createElement(tag);
+      el.className = 'spacer';
+      sizeCol(el, w);
+      return el;
+    }
+
+    function applyColWidth(c, w){
+      const header = thead.querySelector(`th[data-c="${c}"]`);
+      if(header) sizeCol(header, w);
+      tbody.querySelectorAll(`td[data-c="${c}"]`).forEach(td=>sizeCol(td, w));
     }
 
     function applyRowHeight(r, h){
-      const tr = tbody.querySelectorAll('tr')[r];
+      const tr = tbody.querySelector(`tr[data-r="${r}"]`);
       if(tr){
         tr.style.height = h + 'px';
         const th = tr.querySelector('th');
@@ -328,18 +579,20 @@ document.addEventListener('DOMContentLoaded', () => {
         tr.querySelectorAll('td').forEach(td=>{
           td.style.height = h + 'px';
           const div = td.firstElementChild;
-          if(div) div.style.height = h + 'px';
+          if(div) div.style.height = (h-1) + 'px';
         });
       }
     }
 
     let resizingCol = null, startX = 0, startWidth = 0;
+    let resizeRecord = null; // the drag's undo entry, dropped if the size did not change
     function startColResize(e){
       e.preventDefault();
+      if(editBlocked()) return;
       resizingCol = parseInt(e.target.dataset.c,10);
+      resizeRecord = pushUndo(`Resize column ${colLabel(resizingCol)}`, 'layout');
       startX = e.clientX;
-      const th = thead.querySelectorAll('th')[resizingCol+1];
-      startWidth = th.offsetWidth;
+      startWidth = colWidth(resizingCol);
       document.addEventListener('mousemove', onColResize);
       document.addEventListener('mouseup', stopColResize);
     }
@@ -353,16 +606,19 @@ document.addEventListener('DOMContentLoaded', () => {
     function stopColResize(){
       document.removeEventListener('mousemove', onColResize);
       document.removeEventListener('mouseup', stopColResize);
+      if(colWidth(resizingCol)===startWidth) dropUndo(resizeRecord);
       resizingCol = null;
+      layoutColumns(); updateView(); drawHeader(); drawBody();
     }
 
     let resizingRow = null, startY = 0, startHeight = 0;
     function startRowResize(e){
       e.preventDefault();
+      if(editBlocked()) return;
       resizingRow = parseInt(e.target.dataset.r,10);
+      resizeRecord = pushUndo(`Resize row ${resizingRow+1}`, 'layout');
       startY = e.clientY;
-      const tr = tbody.querySelectorAll('tr')[resizingRow];
-      startHeight = tr.offsetHeight;
+      startHeight = rowHeight(resizingRow);
       document.addEventListener('mousemove', onRowResize);
       document.addEventListener('mouseup', stopRowResize);
     }
@@ -376,133 +632,266 @@ document.addEventListener('DOMContentLoaded', () => {
     function stopRowResize(){
       document.removeEventListener('mousemove', onRowResize);
       document.removeEventListener('mouseup', stopRowResize);
+      if(rowHeight(resizingRow)===startHeight) dropUndo(resizeRecord);
       resizingRow = null;
+      layoutRows(); updateView(); drawBody();
     }
+
     function renderHeader(){
       syncSizeArrays();
+      layoutColumns();
+      updateView();
+      drawHeader();
+    }
+    function renderBody(){
+      syncSizeArrays();
+      autofitColumns();
+      layoutColumns();
+      layoutRows();
+      updateView();
+      drawHeader();
+      drawBody();
+      setActiveCell(activeCell.r, activeCell.c, false);
+      filterBtn?.setAttribute('aria-pressed', autoFilter ? 'true' : 'false');
+    }
+    function drawHeader(){
+      const {fc} = frozenCounts();
       const tr = document.createElement('tr');
       tr.appendChild(document.createElement('th')); // corner
-      for(let c=0;c<cols;c++){
+      const addHeader = c=>{
         const th = document.createElement('th');
         th.textContent = colLabel(c);
-        if(colWidths[c]!=null){
-          th.style.width = colWidths[c] + 'px';
-          th.style.maxWidth = colWidths[c] + 'px';
-        }
+        th.dataset.c = c;
+        sizeCol(th, colWidth(c));
+        if(c===activeCell.c) th.classList.add('active');
+        if(c<fc) stickFrozen(th, null, c);
         const handle = document.createElement('div');
         handle.className = 'col-resizer';
         handle.dataset.c = c;
-        handle.addEventListener('mousedown', startColResize);
         th.appendChild(handle);
         tr.appendChild(th);
-      }
-      thead.innerHTML='';
-      thead.appendChild(tr);
+      };
+      for(let c=0;c<fc;c++) addHeader(c);
+      if(view.c1>fc) tr.appendChild(spacerCell('th', colOffsets[view.c1]-colOffsets[fc]));
+      for(let c=view.c1;c<=view.c2;c++) addHeader(c);
+      if(view.c2<cols-1) tr.appendChild(spacerCell('th', colOffsets[cols]-colOffsets[view.c2+1]));
+      thead.replaceChildren(tr);
+      gridEl.style.setProperty('--head-h', thead.offsetHeight + 'px');
     }
-    function renderBody(){
-      syncSizeArrays();
-      tbody.innerHTML='';
-      for(let r=0;r<rows;r++){
-        const tr = document.createElement('tr');
-        if(rowHeights[r]!=null) tr.style.height = rowHeights[r] + 'px';
-        const rowTh = document.createElement('th');
-        rowTh.textContent = r+1;
-        if(rowHeights[r]!=null) rowTh.style.height = rowHeights[r] + 'px';
-        const rHandle = document.createElement('div');
-        rHandle.className = 'row-resizer';
-        rHandle.dataset.r = r;
-        rHandle.addEventListener('mousedown', startRowResize);
-        rowTh.appendChild(rHandle);
-        tr.appendChild(rowTh);
-        for(let c=0;c<cols;c++){
-          const td = document.createElement('td');
-          if(colWidths[c]!=null){
-            td.style.width = colWidths[c] + 'px';
-            td.style.maxWidth = colWidths[c] + 'px';
-          }
-          if(rowHeights[r]!=null) td.style.height = rowHeights[r] + 'px';
-          const div = document.createElement('div');
-            div.className='cell';
-            div.contentEditable = true;
-            div.dataset.r = r;
-            div.dataset.c = c;
-            div.textContent = displayValue(r,c);
-            applyCellStyles(div, data[r][c]);
-            if(rowHeights[r]!=null) div.style.height = rowHeights[r] + 'px';
-            div.addEventListener('input', onEdit);
-            div.addEventListener('blur', onBlurNormalize);
-            div.addEventListener('focus', onCellFocus);
-            div.addEventListener('mousedown', onCellMouseDown);
-            div.addEventListener('mouseenter', onCellMouseEnter);
-            td.appendChild(div);
-            tr.appendChild(td);
-          }
-          tbody.appendChild(tr);
+    function drawBody(){
+      const focus = captureFocus();
+      const {fr, fc} = frozenCounts();
+      const width = 1 + fc + (view.c2-view.c1+1) + (view.c1>fc ? 1 : 0) + (view.c2<cols-1 ? 1 : 0);
+      const frag = document.createDocumentFragment();
+      for(let r=0;r<fr;r++) if(!hiddenRows.has(r)) frag.appendChild(buildRow(r));
+      if(view.r1>fr) frag.appendChild(spacerRow(rowOffsets[view.r1]-rowOffsets[fr], width));
+      for(let r=view.r1;r<=view.r2;r++) if(!hiddenRows.has(r)) frag.appendChild(buildRow(r));
+      if(view.r2<rows-1) frag.appendChild(spacerRow(rowOffsets[rows]-rowOffsets[view.r2+1], width));
+      tbody.replaceChildren(frag);
+      gridEl.style.setProperty('--head-w', (tbody.querySelector('tr:not(.spacer) th')?.offsetWidth || 0) + 'px');
+      applyErrorDecorations();
+      updateFormulaCursorHighlight();
+      syncFillHandle();
+      restoreFocus(focus);
+    }
+    function spacerRow(h, span){
+      const tr = document.createElement('tr');
+      tr.className = 'spacer';
+      const td = document.createElement('td');
+      td.colSpan = span;
+      td.style.height = h + 'px';
+      tr.appendChild(td);
+      return tr;
+    }
+    function buildRow(r){
+      const h = rowHeight(r);
+      const tr = document.createElement('tr');
+      tr.dataset.r = r;
+      tr.style.height = h + 'px';
+      const rowTh = document.createElement('th');
+      rowTh.textContent = r+1;
+      rowTh.dataset.r = r;
+      rowTh.style.height = h + 'px';
+      if(r===activeCell.r) rowTh.classList.add('active');
+      const rHandle = document.createElement('div');
+      rHandle.className = 'row-resizer';
+      rHandle.dataset.r = r;
+      rowTh.appendChild(rHandle);
+      const {fr, fc} = frozenCounts();
+      if(r<fr) stickFrozen(rowTh, r, null);
+      tr.appendChild(rowTh);
+      const addCell = vc=>{
+        // A merged block is drawn once per pane, from its first rendered row and column; the
+        // pane holding its top-left cell shows it, a pane past a freeze line gets a blank filler
+        const m = mergeAt(r, vc);
+        let r2 = r, c2 = vc;
+        if(m){
+          if(r!==visibleRow(r<fr ? m.r1 : Math.max(m.r1, view.r1), 1, -1) || vc!==(vc<fc ? m.c1 : Math.max(m.c1, view.c1))) return;
+          r2 = Math.min(m.r2, r<fr ? fr-1 : view.r2);
+          c2 = Math.min(m.c2, vc<fc ? fc-1 : view.c2);
         }
-        applyErrorDecorations();
-        // initial autofit for the newly rendered table
-          autofitColumns();
-          setActiveCell(activeCell.r, activeCell.c, false);
-          if(selectionRange) selectRange(selectionRange.r1, selectionRange.c1, selectionRange.r2, selectionRange.c2);
+        const [cr, c] = m ? [m.r1, m.c1] : [r, vc];
+        const td = document.createElement('td');
+        td.dataset.c = vc;
+        if(r<fr || vc<fc) stickFrozen(td, r<fr ? r : null, vc<fc ? vc : null);
+        let tdH = h;
+        if(m){
+          let span = 0;
+          for(let i=r;i<=r2;i++) if(!hiddenRows.has(i)) span++;
+          td.rowSpan = span;
+          td.colSpan = c2-vc+1;
+          td.classList.add('merged');
+          sizeCol(td, colOffsets[c2+1]-colOffsets[vc]);
+          tdH = rowOffsets[r2+1]-rowOffsets[r];
+        }else sizeCol(td, colWidth(vc));
+        td.style.height = tdH + 'px';
+        if(m && ((r>=fr && m.r1<fr) || (vc>=fc && m.c1<fc))){
+          tr.appendChild(td);
+          return;
+        }
+        const div = document.createElement('div');
+        div.className = 'cell';
+        div.contentEditable = true;
+        div.dataset.r = cr;
+        div.dataset.c = c;
+        const shown = cellDisplay(cr,c);
+        div.textContent = shown.text;
+        applyCellStyles(div, data[cr][c], shown.color, cfStyles.get(cr+','+c));
+        div.style.height = (tdH-1) + 'px';
+        if(inSelection(cr,c)) div.classList.add('selected');
+        if(cr===activeCell.r && c===activeCell.c) div.classList.add('active');
+        if(invalidCells.has(cr+','+c)) div.classList.add('dv-invalid');
+        td.appendChild(div);
+        if(cr===activeCell.r && c===activeCell.c) addListPicker(td, cr, c);
+        if(autoFilter && cr===autoFilter.row && c>=autoFilter.c1 && c<=autoFilter.c2){
+          td.classList.add('filter-head');
+          td.appendChild(filterButton(c));
         }
+        tr.appendChild(td);
+      };
+      for(let vc=0;vc<fc;vc++) addCell(vc);
+      if(view.c1>fc) tr.appendChild(spacerCell('td', colOffsets[view.c1]-colOffsets[fc]));
+      for(let vc=view.c1;vc<=view.c2;vc++) addCell(vc);
+      if(view.c2<cols-1) tr.appendChild(spacerCell('td', colOffsets[cols]-colOffsets[view.c2+1]));
+      return tr;
+    }
+    // Keep an in-progress edit (text, caret) alive across a window re-render
+    function captureFocus(){
+      const el = document.activeElement;
+      if(!el || !el.classList?.contains('cell') || !tbody.contains(el)) return null;
+      const sel = window.getSelection();
+      const range = sel && sel.rangeCount ? sel.getRangeAt(0) : null;
+      return { r:+el.dataset.r, c:+el.dataset.c, text:el.textContent, start:range?.startOffset ?? 0, end:range?.endOffset ?? 0 };
+    }
+    function restoreFocus(snap){
+      if(!snap) return;
+      const el = cellEl(snap.r, snap.c);
+      if(!el) return;
+      el.textContent = snap.text;
+      restoringFocus = true;
+      el.focus({preventScroll:true});
+      restoringFocus = false;
+      setCaret(snap);
+    }
+    function scrollCellIntoView(r,c){
+      const headH = thead.offsetHeight;
+      const headW = thead.querySelector('th')?.offsetWidth || 0;
+      const viewH = sheetEl.clientHeight - headH, viewW = sheetEl.clientWidth - headW;
+      // Frozen cells are always in view; the others must clear the frozen band
+      const {fr, fc} = frozenCounts();
+      const frozenH = rowOffsets[fr], frozenW = colOffsets[fc];
+      if(r>=fr){
+        if(rowOffsets[r] - frozenH < sheetEl.scrollTop) sheetEl.scrollTop = rowOffsets[r] - frozenH;
+        else if(viewH > 0 && rowOffsets[r+1] > sheetEl.scrollTop + viewH) sheetEl.scrollTop = rowOffsets[r+1] - viewH;
+      }
+      if(c>=fc){
+        if(colOffsets[c] - frozenW < sheetEl.scrollLeft) sheetEl.scrollLeft = colOffsets[c] - frozenW;
+        else if(viewW > 0 && colOffsets[c+1] > sheetEl.scrollLeft + viewW) sheetEl.scrollLeft = colOffsets[c+1] - viewW;
+      }
+      if(updateView()){ drawHeader(); drawBody(); }
+    }
+    let scrollFrame = 0;
+    function onViewportChange(){
+      if(scrollFrame) return;
+      scrollFrame = requestAnimationFrame(()=>{
+        scrollFrame = 0;
+        if(updateView()){ drawHeader(); drawBody(); }
+      });
+    }
+    sheetEl.addEventListener('scroll', onViewportChange);
+    window.addEventListener('resize', onViewportChange);
+
+      function inSelection(r,c){
+        if(selectionRange) return r>=selectionRange.r1 && r<=selectionRange.r2 && c>=selectionRange.c1 && c<=selectionRange.c2;
+        return r===activeCell.r && c===activeCell.c;
+      }
+      function paintSelection(){
+        for(const el of tbody.querySelectorAll('.cell')){
+          el.classList.toggle('selected', inSelection(+el.dataset.r, +el.dataset.c));
+        }
+        syncFillHandle();
+      }
 
       // Caret helpers for flicker-free refresh
+        // Reflect the active cell's formatting in the toolbar
+        function syncStyleControls(cell){
+          const pressed = (btn, on) => btn?.setAttribute('aria-pressed', on ? 'true' : 'false');
+          pressed(boldBtn, cell.bold);
+          pressed(italicBtn, cell.italic);
+          pressed(underlineBtn, cell.underline);
+          pressed(strikeBtn, cell.strike);
+          pressed(wrapBtn, cell.wrap);
+          if(fillColorInput) fillColorInput.value = cell.bgColor || '#ffffff';
+          if(textColorInput) textColorInput.value = cell.color || '#000000';
+          if(fontFamilySelect) fontFamilySelect.value = cell.fontFamily || '';
+          if(fontSizeSelect) fontSizeSelect.value = cell.fontSize ? String(cell.fontSize) : '';
+          if(hAlignSelect) hAlignSelect.value = cell.hAlign || '';
+          if(vAlignSelect) vAlignSelect.value = cell.vAlign || '';
+          if(numFmtSelect) numFmtSelect.value = [...numFmtSelect.options].some(o=>o.value===(cell.numFmt||'')) ? (cell.numFmt||'') : 'custom';
+        }
         function setActiveCell(r,c,clearSel=true){
           r = Math.max(0, Math.min(rows-1, r));
           c = Math.max(0, Math.min(cols-1, c));
           if(clearSel){
             anchorCell = {r,c};
-            clearSelection();
+            selectionRange = null;
           }
           activeCell = {r,c};
           const cell = data[r][c];
           formulaBar.value = rawValue(r,c);
           formulaBar.dataset.r = r;
           formulaBar.dataset.c = c;
-          if(fillColorInput) fillColorInput.value = cell.bgColor || '#ffffff';
-          if(boldBtn) boldBtn.setAttribute('aria-pressed', cell.bold ? 'true' : 'false');
-          if(italicBtn) italicBtn.setAttribute('aria-pressed', cell.italic ? 'true' : 'false');
+          syncStyleControls(cell);
 
           // Highlight the active cell even when focus moves elsewhere
           tbody.querySelector('.cell.active')?.classList.remove('active');
-          const activeEl = tbody.querySelector(`.cell[data-r="${r}"][data-c="${c}"]`);
-          activeEl?.classList.add('active');
-          if(!selectionRange) activeEl?.classList.add('selected');
+          cellEl(r,c)?.classList.add('active');
+          syncListPicker();
+          paintSelection();
 
         // Highlight row/column headers for the active cell
-        if (typeof lastHeader !== 'undefined') {
-          if (lastHeader.r >= 0) {
-            const prevRowTh = tbody.querySelectorAll('tr')[lastHeader.r]?.querySelector('th');
-            if (prevRowTh) prevRowTh.classList.remove('active');
-          }
-          if (lastHeader.c >= 0) {
-            const prevColTh = thead.querySelectorAll('th')[lastHeader.c+1];
-            if (prevColTh) prevColTh.classList.remove('active');
-          }
-        }
-        const rowTh = tbody.querySelectorAll('tr')[r]?.querySelector('th');
-        if (rowTh) rowTh.classList.add('active');
-        const colTh = thead.querySelectorAll('th')[c+1];
-        if (colTh) colTh.classList.add('active');
-        lastHeader = { r, c };
+        gridEl.querySelectorAll('th.active').forEach(th=>th.classList.remove('active'));
+        tbody.querySelector(`th[data-r="${r}"]`)?.classList.add('active');
+        thead.querySelector(`th[data-c="${c}"]`)?.classList.add('active');
       }
       function getCaret() {
         const el = document.activeElement;
         if (!el || !el.classList || !el.classList.contains('cell')) return null;
+        // A refresh keeps the selected range around the focused cell
         const sel = window.getSelection();
         if (!sel || sel.rangeCount === 0){
-          setActiveCell(+el.dataset.r, +el.dataset.c);
+          setActiveCell(+el.dataset.r, +el.dataset.c, false);
           return null;
         }
         const range = sel.getRangeAt(0);
         const r = +el.dataset.r, c = +el.dataset.c;
-        setActiveCell(r,c);
+        setActiveCell(r,c,false);
         return { el, r, c, start: range.startOffset, end: range.endOffset };
       }
     function setCaret(snap) {
       if (!snap) return;
       const { r, c, start, end } = snap;
-      const el = tbody.querySelector(`.cell[data-r="${r}"][data-c="${c}"]`);
+      const el = cellEl(r,c);
       if (!el) return;
       const node = el.firstChild || el;
       const range = document.createRange();
@@ -514,212 +903,54 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
       function refreshAllDisplay(){
+        refreshCells(tbody.querySelectorAll('.cell'));
+      }
+      // Refresh only the rendered cells among the given node keys (streamed results)
+      function refreshKeys(keys){
+        const wanted = new Set(keys);
+        const els = [...tbody.querySelectorAll('.cell')].filter(el=>wanted.has(nodeKey(activeSheetIndex, +el.dataset.r, +el.dataset.c)));
+        if(els.length) refreshCells(els);
+      }
+      function refreshCells(els){
         const snap = getCaret();
         const active = document.activeElement;
-        for(const el of tbody.querySelectorAll('.cell')){
+        for(const el of els){
           const r = +el.dataset.r, c = +el.dataset.c;
-          if (el === active || (active === formulaBar && activeCell.r === r && activeCell.c === c)) continue; // keep user input while editing
-          const newText = displayValue(r,c);
-          if (el.textContent !== newText) el.textContent = newText;
-          applyCellStyles(el, data[r][c]);
+          const shown = cellDisplay(r,c);
+          const editing = el === active || (active === formulaBar && activeCell.r === r && activeCell.c === c);
+          if (!editing && el.textContent !== shown.text) el.textContent = shown.text; // keep user input while editing
+          applyCellStyles(el, data[r][c], editing ? '' : shown.color, cfStyles.get(r+','+c));
+          el.classList.toggle('dv-invalid', invalidCells.has(r+','+c));
         }
-        applyErrorDecorations();
+        applyErrorDecorations(els);
         setCaret(snap);
       }
 
-    // Formula evaluation (simple & safe-ish)
-    function rawValue(r,c){ return data[r]?.[c]?.value ?? ''; }
-    const VALUE_ERROR = {error:'#VALUE!'};
-    const CIRC_ERROR = {error:'#CIRC!'};
-    function isErr(v){ return v && typeof v === 'object' && 'error' in v; }
-    function numeric(v){
-      if(isErr(v)) return v;
-      if(v === '') return VALUE_ERROR;
-      const n = Number(v);
-      return isFinite(n) ? n : VALUE_ERROR;
-    }
-    function flatten(args){
-      const out=[];
-      for(const a of args){
-        if(Array.isArray(a)) out.push(...a);
-        else out.push(numeric(a));
-      }
-      return out;
-    }
-    function sumFn(args){
-      const v=flatten(args);
-      for(const x of v) if(isErr(x)) return x;
-      return v.reduce((a,b)=>a+b,0);
-    }
-    function minFn(args){
-      const v=flatten(args);
-      for(const x of v) if(isErr(x)) return x;
-      return v.length?Math.min(...v):0;
-    }
-    function maxFn(args){
-      const v=flatten(args);
-      for(const x of v) if(isErr(x)) return x;
-      return v.length?Math.max(...v):0;
-    }
-    function avgFn(args){
-      const v=flatten(args);
-      for(const x of v) if(isErr(x)) return x;
-      const s=sumFn(v);
-      return isErr(s)?s:(v.length?s/v.length:0);
-    }
-    const fnMap = {SUM: sumFn, MIN: minFn, MAX: maxFn, AVERAGE: avgFn};
-
-    function isBlankFormula(s){ return typeof s==='string' && /^=\s*$/.test(s); }
-
-    function tokenize(str){
-      const tokens=[]; let i=0;
-      const len=str.length;
-      const isDigit=ch=>/\d/.test(ch);
-      const isAlpha=ch=>/[A-Za-z]/.test(ch);
-      while(i<len){
-        const ch=str[i];
-        if(ch===" "||ch==="\t"||ch==="\n"||ch==="\r"){ i++; continue; }
-        if("+-*/(),".includes(ch)){ tokens.push({type:ch}); i++; continue; }
-        if(isDigit(ch)){
-          let s=i; while(isDigit(str[i])) i++; if(str[i]==='.') { i++; while(isDigit(str[i])) i++; }
-          tokens.push({type:'num', value:parseFloat(str.slice(s,i))});
-          continue;
-        }
-        if(isAlpha(ch) || ch==='$'){
-          const m = /^\$?[A-Za-z]+\$?\d+/.exec(str.slice(i));
-          if(m){
-            const cell1=parseA1(m[0]); i+=m[0].length;
-            if(str[i]===':'){
-              const m2 = /^\$?[A-Za-z]+\$?\d+/.exec(str.slice(i+1));
-              if(!m2) throw new Error('Invalid range');
-              const cell2=parseA1(m2[0]);
-              i += 1 + m2[0].length;
-              tokens.push({type:'range', start:cell1, end:cell2});
-            }else{
-              tokens.push({type:'cell', pos:cell1});
-            }
-            continue;
-          }
-          let s=i; while(isAlpha(str[i])) i++; const letters=str.slice(s,i).toUpperCase();
-          tokens.push({type:'id', value:letters});
-          continue;
-        }
-        throw new Error('Unexpected character '+ch);
-      }
-      return tokens;
-    }
-
-    function evaluateFormula(expr, visited){
-      const tokens=tokenize(expr.trim()); let i=0;
-      function peek(){ return tokens[i]; }
-      function consume(type){ const t=tokens[i]; if(!t||t.type!==type) throw new Error('Expected '+type); i++; return t; }
-      function parseExpression(){
-        let val=parseTerm();
-        while(peek() && (peek().type==='+'||peek().type==='-')){
-          if(isErr(val)) return val;
-          const op=consume(peek().type).type; const rhs=parseTerm();
-          if(isErr(rhs)) return rhs;
-          if(Array.isArray(val)||Array.isArray(rhs)) throw new Error('Invalid range in expression');
-          val = op==='+'? val+rhs : val-rhs;
-        }
-        return val;
-      }
-      function parseTerm(){
-        let val=parseFactor();
-        while(peek() && (peek().type==='*'||peek().type==='/')){
-          if(isErr(val)) return val;
-          const op=consume(peek().type).type; const rhs=parseFactor();
-          if(isErr(rhs)) return rhs;
-          if(Array.isArray(val)||Array.isArray(rhs)) throw new Error('Invalid range in expression');
-          val = op==='*'? val*rhs : val/rhs;
-        }
-        return val;
-      }
-      function parseFactor(){
-        const t=peek();
-        if(t && t.type==='+'){ consume('+'); return parseFactor(); }
-        if(t && t.type==='-'){ consume('-'); const v=parseFactor(); if(isErr(v)) return v; return Array.isArray(v)?(()=>{throw new Error('Invalid range in expression');})(): -v; }
-        return parsePrimary();
-      }
-      function parsePrimary(){
-        const t=peek(); if(!t) throw new Error('Unexpected end');
-        if(t.type==='num'){ consume('num'); return t.value; }
-        if(t.type==='cell'){ consume('cell'); return numeric(valueAt(t.pos.r,t.pos.c, visited)); }
-        if(t.type==='range'){
-          consume('range'); const out=[];
-          const r1=Math.min(t.start.r,t.end.r), r2=Math.max(t.start.r,t.end.r);
-          const c1=Math.min(t.start.c,t.end.c), c2=Math.max(t.start.c,t.end.c);
-          for(let r=r1;r<=r2;r++) for(let c=c1;c<=c2;c++) out.push(numeric(valueAt(r,c, visited)));
-          return out;
-        }
-        if(t.type==='id') return parseFunctionCall();
-        if(t.type==='('){ consume('('); const v=parseExpression(); consume(')'); return v; }
-        throw new Error('Unexpected token');
-      }
-      function parseFunctionCall(){
-        const name=consume('id').value; consume('(');
-        const args=[]; if(peek() && peek().type!==')'){ do{ args.push(parseExpression()); if(peek() && peek().type===',') consume(','); else break; }while(true); }
-        consume(')'); const fn=fnMap[name]; if(!fn) throw new Error(`Unknown function ${name}`);
-        return fn(args);
-      }
-      const result=parseExpression();
-      if(i<tokens.length) throw new Error('Unexpected token');
-      if(Array.isArray(result)) throw new Error('Invalid range in expression');
-      return result;
-    }
-
-    function setError(r,c,msg){ errMap.set(`${r},${c}`, msg); }
-    function clearError(r,c){ errMap.delete(`${r},${c}`); }
-
-    function valueAt(r,c, visited){
-      const top = !visited;
-      visited = visited || new Set();
-      const key = `${r},${c}`;
-      if(visited.has(key)){
-        setError(r,c, '#CIRC!');
-        return CIRC_ERROR;
-      }
-      visited.add(key);
-      try{
-        const raw = rawValue(r,c);
-        if(typeof raw !== 'string') { clearError(r,c); return raw ?? ''; }
-        if(isBlankFormula(raw)) { clearError(r,c); return raw; }
-        if(raw.startsWith('=')){
-          try{
-            const v = evaluateFormula(raw.slice(1), visited);
-            if(isErr(v)) setError(r,c, v.error);
-            else clearError(r,c);
-            return v;
-          }catch(e){
-            setError(r,c, String(e.message||e));
-            return VALUE_ERROR;
-          }
-        }
-        clearError(r,c);
-        return raw;
-      } finally {
-        visited.delete(key);
-        if(top) visited.clear();
-      }
-    }
-    function displayValue(r,c){
-      const raw = rawValue(r,c);
-      if(isBlankFormula(raw)) return raw; // show '=' while user is typing
+    // Formula results (computed by the engine, see recalc) and literals go through the
+    // cell's number format; literals without one show as typed
+    function rawValue(r,c,s=activeSheetIndex){ return sheetData(s)?.[r]?.[c]?.value ?? ''; }
+    function cellDisplay(r,c,s=activeSheetIndex){
+      const raw = rawValue(r,c,s), fmt = sheetData(s)?.[r]?.[c]?.numFmt;
+      if(isBlankFormula(raw)) return {text:raw, color:''}; // show '=' while user is typing
       if(typeof raw === 'string' && raw.startsWith('=')) {
-        const v = valueAt(r,c);
-        if(isErr(v)) return v.error;
-        return String(v);
+        return resultDisplay(raw, calcValues.get(nodeKey(s,r,c)) ?? '', fmt);
       }
-      return raw;
+      return fmt ? formatValue(literalValue(String(raw)), fmt) : {text:String(raw), color:''};
+    }
+    function resultDisplay(raw, v, fmt){
+      if(isErr(v)) return {text:v.error, color:''};
+      return formatValue(v, fmt || autoDateFormat(raw));
     }
+    function displayValue(r,c){ return cellDisplay(r,c).text; }
 
-    function applyErrorDecorations(){
-      for(const el of tbody.querySelectorAll('.cell')){
+    function applyErrorDecorations(els=tbody.querySelectorAll('.cell')){
+      for(const el of els){
         const r = +el.dataset.r, c = +el.dataset.c;
-        const key = `${r},${c}`;
+        const key = nodeKey(activeSheetIndex, r, c);
         if(errMap.has(key)){
           el.classList.add('err');
-          el.title = `#VALUE!: ${errMap.get(key)}`;
+          const msg = errMap.get(key);
+          el.title = msg.startsWith('#') ? msg : `#VALUE!: ${msg}`;
         } else {
           el.classList.remove('err');
           el.removeAttribute('title');
@@ -727,14 +958,16 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
 
-      // Editing
+      // Editing (delegated from tbody: cells come and go as the window scrolls)
         function onCellFocus(e){
-          if(isShiftSelecting || dragging) return;
-          const el = e.currentTarget;
+          if(isShiftSelecting || dragging || restoringFocus) return;
+          const el = e.target.closest('.cell'); if(!el) return;
           setActiveCell(+el.dataset.r, +el.dataset.c);
         }
         function onCellMouseDown(e){
-          const r = +e.currentTarget.dataset.r, c = +e.currentTarget.dataset.c;
+          if(e.target.classList.contains('row-resizer')) return startRowResize(e);
+          const el = e.target.closest('.cell'); if(!el) return;
+          const r = +el.dataset.r, c = +el.dataset.c;
           if(e.shiftKey){
             isShiftSelecting = true;
             setActiveCell(r,c,false);
@@ -746,69 +979,114 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         function onCellMouseEnter(e){
           if(!dragging) return;
-          const r = +e.currentTarget.dataset.r, c = +e.currentTarget.dataset.c;
+          const el = e.target.closest('.cell'); if(!el) return;
+          const r = +el.dataset.r, c = +el.dataset.c;
+          if(r===activeCell.r && c===activeCell.c) return;
           setActiveCell(r,c,false);
           selectRange(anchorCell.r, anchorCell.c, r, c);
         }
         document.addEventListener('mouseup', ()=>{dragging=false; isShiftSelecting=false;});
       function onEdit(e){
-        const el = e.currentTarget;
+        const el = e.target.closest('.cell'); if(!el) return;
         const r = +el.dataset.r, c = +el.dataset.c;
-        pushUndo();
+        if(editBlocked()){ el.textContent = rawValue(r,c); return; }
+        beginEntry(r,c);
         data[r][c].value = el.textContent;
         if(document.activeElement === el){
           formulaBar.value = el.textContent;
         }
-        recalc();
+        recalc([{r,c}]);
       }
       function onBlurNormalize(e){
-        const el = e.currentTarget;
+        const el = e.target.closest('.cell'); if(!el) return;
         // keep "=   " while user is composing a formula
         if (/^=\s*$/.test(el.textContent)) return;
         el.textContent = el.textContent.replace(/\s+/g,' ').trim();
       }
+      tbody.addEventListener('input', onEdit);
+      tbody.addEventListener('focusout', onBlurNormalize);
+      // Leaving the cell commits the entry, unless the edit continues in the formula bar
+      tbody.addEventListener('focusout', e=>{ if(e.relatedTarget !== formulaBar) commitEntry(); });
+      tbody.addEventListener('focusin', onCellFocus);
+      tbody.addEventListener('mousedown', onCellMouseDown);
+      tbody.addEventListener('mouseover', onCellMouseEnter);
+      thead.addEventListener('mousedown', e=>{
+        if(e.target.classList.contains('col-resizer')) startColResize(e);
+      });
 
       formulaBar.addEventListener('input', () => {
         const r = +formulaBar.dataset.r, c = +formulaBar.dataset.c;
         if (isNaN(r) || isNaN(c)) return;
-        pushUndo();
+        if (editBlocked()) { formulaBar.value = rawValue(r,c); return; }
+        beginEntry(r,c);
         data[r][c].value = formulaBar.value;
         const cell = tbody.querySelector(`.cell[data-r="${r}"][data-c="${c}"]`);
         if (cell && document.activeElement !== cell) cell.textContent = formulaBar.value;
-        recalc();
+        recalc([{r,c}]);
+      });
+      formulaBar.addEventListener('blur', e => {
+        if(e.relatedTarget !== cellEl(activeCell.r, activeCell.c)) commitEntry();
       });
 
-        boldBtn?.addEventListener('click', () => {
-          const newState = !data[activeCell.r][activeCell.c].bold;
-          boldBtn.setAttribute('aria-pressed', newState ? 'true' : 'false');
+        // Apply a style change to every selected cell as one undo step, then repaint them
+        function styleSelection(label, fn){
+          if(editBlocked()){ setActiveCell(activeCell.r, activeCell.c, false); return; }
+          pushUndo(label, selectionRange || {r1:activeCell.r, c1:activeCell.c, r2:activeCell.r, c2:activeCell.c});
+          const els = [];
           forEachSelectedCell((r,c)=>{
-            const cell = data[r][c];
-            cell.bold = newState;
-            const el = tbody.querySelector(`.cell[data-r="${r}"][data-c="${c}"]`);
-            if(el) applyCellStyles(el, cell);
+            fn(data[r][c], r, c);
+            const el = cellEl(r,c);
+            if(el) els.push(el);
           });
-        });
-        italicBtn?.addEventListener('click', () => {
-          const newState = !data[activeCell.r][activeCell.c].italic;
-          italicBtn.setAttribute('aria-pressed', newState ? 'true' : 'false');
-          forEachSelectedCell((r,c)=>{
-            const cell = data[r][c];
-            cell.italic = newState;
-            const el = tbody.querySelector(`.cell[data-r="${r}"][data-c="${c}"]`);
-            if(el) applyCellStyles(el, cell);
+          refreshCells(els);
+          setActiveCell(activeCell.r, activeCell.c, false);
+        }
+        function bindToggle(btn, prop, label){
+          btn?.addEventListener('click', () => {
+            const newState = !data[activeCell.r][activeCell.c][prop];
+            styleSelection(label, cell=>{ cell[prop] = newState; });
           });
-        });
-        fillColorInput?.addEventListener('input', () => {
-          const color = fillColorInput.value;
-          forEachSelectedCell((r,c)=>{
-            const cell = data[r][c];
-            cell.bgColor = color;
-            const el = tbody.querySelector(`.cell[data-r="${r}"][data-c="${c}"]`);
-            if(el) applyCellStyles(el, cell);
+        }
+        bindToggle(boldBtn, 'bold', 'Bold');
+        bindToggle(italicBtn, 'italic', 'Italic');
+        bindToggle(underlineBtn, 'underline', 'Underline');
+        bindToggle(strikeBtn, 'strike', 'Strikethrough');
+        bindToggle(wrapBtn, 'wrap', 'Wrap text');
+        // Colour pickers commit on 'change' so dragging through the palette is a single undo step
+        fillColorInput?.addEventListener('change', () => styleSelection('Fill color', cell=>{ cell.bgColor = fillColorInput.value; }));
+        textColorInput?.addEventListener('change', () => styleSelection('Text color', cell=>{ cell.color = textColorInput.value; }));
+        fontFamilySelect?.addEventListener('change', () => styleSelection('Font', cell=>{ cell.fontFamily = fontFamilySelect.value; }));
+        fontSizeSelect?.addEventListener('change', () => styleSelection('Font size', cell=>{ cell.fontSize = +fontSizeSelect.value || 0; }));
+        hAlignSelect?.addEventListener('change', () => styleSelection('Align', cell=>{ cell.hAlign = hAlignSelect.value; }));
+        vAlignSelect?.addEventListener('change', () => styleSelection('Vertical align', cell=>{ cell.vAlign = vAlignSelect.value; }));
+
+        // Borders act on the selection as a whole: 'outline' and the single edges draw
+        // only along the outside of the range, 'all' draws every cell's edges
+        bordersSelect?.addEventListener('change', () => {
+          const mode = bordersSelect.value;
+          bordersSelect.value = '';
+          if(!mode) return;
+          const {r1,c1,r2,c2} = selectionRange || {r1:activeCell.r, c1:activeCell.c, r2:activeCell.r, c2:activeCell.c};
+          const edge = 'thin #000000';
+          styleSelection('Borders', (cell,r,c)=>{
+            const outer = { Top:r===r1, Right:c===c2, Bottom:r===r2, Left:c===c1 };
+            for(const side of BORDER_SIDES){
+              if(mode==='none') cell['border'+side] = '';
+              else if(mode==='all' || (mode==='outline' && outer[side]) || (mode===side.toLowerCase() && outer[side])) cell['border'+side] = edge;
+            }
           });
         });
 
-      undoBtn?.addEventListener('click', undo);
+        numFmtSelect?.addEventListener('change', () => {
+          let code = numFmtSelect.value;
+          if(code === 'custom'){
+            code = prompt('Number format code (e.g. #,##0.00;[Red]-#,##0.00)', data[activeCell.r][activeCell.c].numFmt || '')?.trim();
+            if(code == null){ setActiveCell(activeCell.r, activeCell.c, false); return; }
+          }
+          styleSelection('Number format', cell=>{ cell.numFmt = code; });
+        });
+
+            undoBtn?.addEventListener('click', undo);
       redoBtn?.addEventListener('click', redo);
       document.addEventListener('keydown', (e) => {
         const key = e.key.toLowerCase();
@@ -818,147 +1096,1330 @@ document.addEventListener('DOMContentLoaded', () => {
         } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
           e.preventDefault();
           redo();
+        } else if ((e.ctrlKey || e.metaKey) && (key === 'f' || key === 'h')) {
+          e.preventDefault();
+          openFindDialog(key === 'h');
         }
       });
 
-    // Throttled recalc (avoid flood while typing quickly)
+    // ===== Calculation engine client =====
+    // engine.js runs in calc-worker.js (in-page when workers are unavailable) with its own
+    // copy of the cell contents. Edits are batched for ~16ms (no flood while typing
+    // quickly) and sent over; results stream back into calcValues/errMap and patch the
+    // rendered cells as they arrive.
+    const calcValues = new Map(); // node key -> formula value
+    let postCalc = null;
+    let calcSeq = 0;
+    let calcDoneSeq = 0; // last seq whose recalculation finished (or failed)
     let recalcTimer = 0;
-    function recalc(){
+    let pendingLoad = false;
+    const pendingCells = new Map(); // node key -> {s,r,c}
+
+    function startCalc(){
+      try{
+        const worker = new Worker(new URL('./calc-worker.js', import.meta.url), {type:'module'});
+        worker.onmessage = e => onCalcMessage(e.data);
+        worker.onerror = e => {
+          log('Calc worker failed, calculating on the page:', e.message||'load error');
+          worker.terminate();
+          startInlineCalc();
+          recalc();
+          watchRuleFormulas();
+        };
+        postCalc = msg => worker.postMessage(msg);
+      }catch(err){
+        log('Calc worker unavailable, calculating on the page:', err.message||err);
+        startInlineCalc();
+      }
+    }
+    function startInlineCalc(){
+      const handle = serveEngine(msg => setTimeout(()=> onCalcMessage(msg)));
+      postCalc = msg => setTimeout(()=> handle(msg));
+    }
+    function workbookCells(){
+      return sheetCells(sheets.map((sh,i)=>({name:sh.name, data:sheetData(i)})));
+    }
+    // Formulas that live in no cell (MiniExcel.evaluate) run on one engine kept on the page.
+    // It loads the workbook when first needed after an edit and keeps its cached values until then.
+    let scratchEngine = null, scratchStale = true;
+    function evaluateOnPage(s, expr){
+      scratchEngine ??= createEngine();
+      if(scratchStale){
+        scratchEngine.load(workbookCells());
+        scratchStale = false;
+      }
+      return scratchEngine.evaluate(s, expr);
+    }
+
+    // cells: the {r,c[,s]} that changed; omit to resend the whole workbook
+    function recalc(cells){
+      touchWorkbook();
+      scratchStale = true;
+      if(cells) for(const {r, c, s=activeSheetIndex} of cells) pendingCells.set(nodeKey(s,r,c), {s,r,c});
+      else pendingLoad = true;
       calcState.textContent = 'Calculating…';
       clearTimeout(recalcTimer);
-      recalcTimer = setTimeout(()=>{
-        try{
-          refreshAllDisplay();
+      recalcTimer = setTimeout(sendCalc, 16); // ~60fps
+    }
+    function sendCalc(){
+      recalcTimer = 0;
+      if(pendingLoad){
+        postCalc({type:'load', seq:++calcSeq, sheets:workbookCells()});
+      }else if(pendingCells.size){
+        const cells = [...pendingCells.values()].map(({s,r,c})=>({s, r, c, value:rawValue(r,c,s)}));
+        postCalc({type:'set', seq:++calcSeq, cells});
+      }
+      pendingLoad = false;
+      pendingCells.clear();
+    }
+    function onCalcMessage(msg){
+      if(msg.type === 'values'){
+        if(msg.reset){ calcValues.clear(); errMap.clear(); }
+        for(const [key, value, error] of msg.patches){
+          calcValues.set(key, value);
+          if(error) errMap.set(key, error); else errMap.delete(key);
+        }
+        refreshKeys(msg.patches.map(p=>p[0]));
+        if(msg.done < msg.total) calcState.textContent = `Calculating… ${msg.done}/${msg.total}`;
+      }else if(msg.type === 'watched'){
+        ruleFormulaValues = new Map(msg.results);
+        updateConditionalFormats();
+        updateValidationMarks();
+        if(msg.seq === calcSeq && !recalcTimer) checkPendingEntry();
+      }else if(msg.type === 'done'){
+        if(msg.full) refreshAllDisplay();
+        if(msg.seq === calcSeq && !recalcTimer){
           calcState.textContent = 'Ready';
-        }catch(err){
-          calcState.textContent = 'Error';
-          log('Recalc error:', err.message||err);
+          updateConditionalFormats();
+          updateValidationMarks();
+          calcDoneSeq = msg.seq;
+          settleCalculation(true);
         }
-      }, 16); // ~60fps
+      }else if(msg.type === 'error'){
+        calcState.textContent = 'Error';
+        log('Recalc error:', msg.message);
+        if(msg.seq === calcSeq && !recalcTimer){
+          calcDoneSeq = msg.seq;
+          settleCalculation(false);
+        }
+      }
     }
 
     // Row/Col ops
+    // Insert `count` rows/columns (axis 'row'|'col') at index `at` of the active sheet, or
+    // delete -count of them from `at` on, fixing up formula references in every sheet
+    function spliceGrid(axis, at, count){
+      const isRow = axis==='row';
+      if(count<0 && -count >= (isRow ? rows : cols)) return; // keep at least one row/column
+      const n = Math.abs(count);
+      pushUndo(`${count>0 ? 'Insert' : 'Delete'} ${n} ${isRow ? 'row' : 'column'}${n>1 ? 's' : ''}`, 'workbook');
+      forEachFormulaCell((cell, s)=>{
+        cell.value = '=' + adjustRefs(cell.value.slice(1), sheets[s].name, sheets[activeSheetIndex].name, axis, at, count);
+      });
+      // Insert `count` fresh items at `at`, or remove -count from there
+      const splice = (arr, make) => count>0 ? arr.splice(at, 0, ...Array.from({length:count}, make)) : arr.splice(at, -count);
+      if(isRow){
+        splice(data, ()=>Array.from({length:cols}, ()=>createCell()));
+        splice(rowHeights, ()=>null);
+        rows += count;
+      }else{
+        for(const row of data) splice(row, createCell);
+        splice(colWidths, ()=>null);
+        cols += count;
+      }
+      shiftAutoFilter(axis, at, count);
+      shiftConditionalFormats(axis, at, count);
+      shiftValidations(axis, at, count);
+      shiftMerges(axis, at, count);
+      shiftFreeze(axis, at, count);
+      saveActiveState();
+      watchRuleFormulas();
+      copyOrigin = null;
+      selectionRange = null;
+      recalc();
+      renderHeader();
+      renderBody();
+    }
+    // Rows/columns an operation on header `idx` covers: the selected span when idx is
+    // inside the selection, otherwise just idx
+    function headerSpan(axis, idx){
+      const sr = selectionRange;
+      const [lo, hi] = !sr ? [] : axis==='row' ? [sr.r1, sr.r2] : [sr.c1, sr.c2];
+      return sr && idx>=lo && idx<=hi ? {at:lo, count:hi-lo+1} : {at:idx, count:1};
+    }
     function modifyGrid(type){
-      pushUndo();
-      switch(type){
-        case 'addRow':
-          data.push(Array.from({length:cols},()=>createCell()));
-          rows++;
-          rowHeights.push(null);
-          break;
-        case 'addCol':
-          for(const r of data) r.push(createCell());
-          cols++;
-          colWidths.push(null);
-          break;
-        case 'delRow':
-          if(rows>1){
-            data.pop();
-            rows--;
-            rowHeights.pop();
-          }
-          break;
-        case 'delCol':
-          if(cols>1){
-            for(const r of data) r.pop();
-            cols--;
-            colWidths.pop();
+      if(editBlocked()) return;
+      const axis = type.endsWith('Row') ? 'row' : 'col';
+      if(type.startsWith('add')){
+        spliceGrid(axis, axis==='row' ? rows : cols, 1);
+      }else{
+        const {at, count} = headerSpan(axis, axis==='row' ? activeCell.r : activeCell.c);
+        spliceGrid(axis, at, -count);
+      }
+    }
+
+    // Row/column header context menu: insert before/after or delete the header's span
+    const headerMenu = document.getElementById('headerMenu');
+    function openHeaderMenu(e, axis, idx){
+      e.preventDefault();
+      const {at, count} = headerSpan(axis, idx);
+      const unit = axis==='row' ? (count>1 ? `${count} rows` : 'row') : (count>1 ? `${count} columns` : 'column');
+      const [before, after] = axis==='row' ? ['above','below'] : ['left','right'];
+      const items = [
+        [`Insert ${unit} ${before}`, ()=>spliceGrid(axis, at, count)],
+        [`Insert ${unit} ${after}`, ()=>spliceGrid(axis, at+count, count)],
+        [`Delete ${unit}`, ()=>spliceGrid(axis, at, -count), count >= (axis==='row' ? rows : cols)],
+      ];
+      headerMenu.innerHTML = '';
+      for(const [label, run, disabled] of items){
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.setAttribute('role', 'menuitem');
+        btn.textContent = label;
+        btn.disabled = !!disabled;
+        btn.addEventListener('click', ()=>{ closeHeaderMenu(); if(!editBlocked()) run(); });
+        headerMenu.appendChild(btn);
+      }
+      headerMenu.style.left = e.clientX + 'px';
+      headerMenu.style.top = e.clientY + 'px';
+      headerMenu.hidden = false;
+      headerMenu.querySelector('button:not(:disabled)')?.focus();
+    }
+    function closeHeaderMenu(){ headerMenu.hidden = true; }
+    thead.addEventListener('contextmenu', e=>{
+      const th = e.target.closest('th[data-c]');
+      if(th) openHeaderMenu(e, 'col', +th.dataset.c);
+    });
+    tbody.addEventListener('contextmenu', e=>{
+      const th = e.target.closest('th[data-r]');
+      if(th) openHeaderMenu(e, 'row', +th.dataset.r);
+    });
+    document.addEventListener('click', e=>{ if(!headerMenu.hidden && !headerMenu.contains(e.target)) closeHeaderMenu(); });
+    document.addEventListener('keydown', e=>{ if(e.key==='Escape') closeHeaderMenu(); });
+
+    // ===== Sort and filter =====
+    function lastUsedRow(){
+      for(let r=rows-1;r>=0;r--) if(data[r].some(cell=>cell.value!=='')) return r;
+      return 0;
+    }
+    function lastUsedCol(){
+      let last = 0;
+      for(const row of data) for(let c=row.length-1;c>last;c--) if(row[c].value!==''){ last = c; break; }
+      return last;
+    }
+    // Typed value of a cell for sorting/filtering: engine result for formulas, literal otherwise
+    function cellValue(r,c){
+      const raw = rawValue(r,c);
+      if(typeof raw==='string' && raw.startsWith('=')) return calcValues.get(nodeKey(activeSheetIndex,r,c)) ?? '';
+      return literalValue(String(raw));
+    }
+    // Excel's sort order: numbers (and dates) < text < booleans < errors, blanks always last
+    function sortRank(v){
+      if(v==='' || v==null) return 4;
+      return typeof v==='number' ? 0 : typeof v==='string' ? 1 : typeof v==='boolean' ? 2 : 3;
+    }
+    function compareSortValues(a, b, desc){
+      const ra = sortRank(a), rb = sortRank(b);
+      if(ra===4 || rb===4) return ra - rb;
+      let d = ra - rb;
+      if(!d && ra===1) d = a.localeCompare(b, undefined, {sensitivity:'base', numeric:true});
+      else if(!d && ra!==3) d = a - b;
+      return desc ? -d : d;
+    }
+    // Reorder rows r1..r2 (columns c1..c2) by keys [{c, desc}]. Rows move as a unit and
+    // formulas keep pointing at their own row, as if the row had been cut and pasted.
+    function sortRows({r1, r2, c1, c2}, keys){
+      if(r2<=r1 || !keys.length || editBlocked()) return;
+      if(merges.some(m=>m.r1<=r2 && m.r2>=r1 && m.c1<=c2 && m.c2>=c1)){
+        fileInfo.textContent = 'Cannot sort a range that contains merged cells';
+        return;
+      }
+      // The filter's hidden rows are recomputed afterwards, so a filtered sheet is kept whole
+      pushUndo('Sort', autoFilter ? 'sheet' : {r1, c1, r2, c2});
+      const order = [];
+      for(let r=r1;r<=r2;r++) order.push({r, vals:keys.map(k=>cellValue(r,k.c))});
+      order.sort((a,b)=>{
+        for(let i=0;i<keys.length;i++){
+          const d = compareSortValues(a.vals[i], b.vals[i], keys[i].desc);
+          if(d) return d;
+        }
+        return a.r - b.r;
+      });
+      const moved = order.map(({r})=>data[r].slice(c1, c2+1));
+      order.forEach(({r:from}, i)=>{
+        const to = r1+i;
+        const cells = moved[i].map(cell=> to!==from && typeof cell.value==='string' && cell.value.startsWith('=')
+          ? {...cell, value:'='+shiftFormulaRefs(cell.value.slice(1), to-from, 0)} : cell);
+        data[to].splice(c1, cells.length, ...cells);
+      });
+      recalc();
+      if(autoFilter) applyAutoFilter(); else renderBody();
+    }
+
+    // A row passes the AutoFilter when every filtered column accepts it: the shown text is
+    // among the checked values, and the condition (if any) holds for the typed value
+    const FILTER_OPS = [
+      ['', 'No condition'], ['=', 'Equals'], ['<>', 'Does not equal'], ['>', 'Greater than'],
+      ['>=', 'Greater than or equal to'], ['<', 'Less than'], ['<=', 'Less than or equal to'],
+      ['contains', 'Contains'], ['notContains', 'Does not contain'], ['begins', 'Begins with'], ['ends', 'Ends with']
+    ];
+    function passesFilter(r, criteria){
+      return Object.entries(criteria).every(([c, crit])=>{
+        const text = displayValue(r, +c);
+        if(crit.values && !crit.values.includes(text)) return false;
+        return !crit.op || matchesCondition(cellValue(r, +c), text, crit.op, crit.arg);
+      });
+    }
+    // Re-evaluate the AutoFilter criteria and hide the rows that fail them
+    function applyAutoFilter(){
+      const hidden = [];
+      if(autoFilter){
+        const last = lastUsedRow();
+        for(let r=autoFilter.row+1;r<=last;r++) if(!passesFilter(r, autoFilter.criteria)) hidden.push(r);
+        autoFilter.hidden = hidden;
+      }
+      hiddenRows = new Set(hidden);
+      saveActiveState();
+      renderBody();
+    }
+    // Turn the AutoFilter on (header row = first selected row) or off
+    function toggleAutoFilter(){
+      if(editBlocked()) return;
+      pushUndo(autoFilter ? 'Remove filter' : 'Filter', 'layout');
+      if(autoFilter){
+        autoFilter = null;
+      }else{
+        const sr = selectionRange;
+        const multiCol = sr && sr.c2>sr.c1;
+        autoFilter = { row: sr ? sr.r1 : activeCell.r, c1: multiCol ? sr.c1 : 0, c2: multiCol ? sr.c2 : lastUsedCol(), criteria:{}, hidden:[] };
+      }
+      applyAutoFilter();
+    }
+    // Keep the AutoFilter attached to the same cells when rows/columns are inserted or deleted
+    function shiftAutoFilter(axis, at, count){
+      if(!autoFilter) return;
+      if(axis==='row'){
+        const head = moveSpan(autoFilter.row, autoFilter.row, at, count);
+        if(!head){ autoFilter = null; hiddenRows = new Set(); return; }
+        autoFilter.row = head[0];
+        autoFilter.hidden = autoFilter.hidden.map(r=>moveSpan(r, r, at, count)?.[0]).filter(r=>r!=null);
+        hiddenRows = new Set(autoFilter.hidden);
+      }else{
+        const span = moveSpan(autoFilter.c1, autoFilter.c2, at, count);
+        if(!span){ autoFilter = null; hiddenRows = new Set(); return; }
+        [autoFilter.c1, autoFilter.c2] = span;
+        const criteria = {};
+        for(const [c, crit] of Object.entries(autoFilter.criteria)){
+          const moved = moveSpan(+c, +c, at, count);
+          if(moved) criteria[moved[0]] = crit;
+        }
+        autoFilter.criteria = criteria;
+      }
+    }
+
+    function filterButton(c){
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'filter-btn' + (autoFilter.criteria[c] ? ' active' : '');
+      btn.dataset.c = c;
+      btn.textContent = '▾';
+      btn.setAttribute('aria-label', `Filter column ${colLabel(c)}`);
+      return btn;
+    }
+
+    // Filter dropdown for one column: sort, a condition and a checklist of shown values
+    const filterMenu = document.getElementById('filterMenu');
+    function openFilterMenu(btn, c){
+      const crit = autoFilter.criteria[c] || {};
+      const last = lastUsedRow();
+      const distinct = new Set();
+      for(let r=autoFilter.row+1;r<=last;r++) distinct.add(displayValue(r,c));
+      const values = [...distinct].sort((a,b)=>a.localeCompare(b, undefined, {numeric:true}));
+      filterMenu.replaceChildren();
+      const dataRows = {r1:autoFilter.row+1, r2:last, c1:autoFilter.c1, c2:autoFilter.c2};
+      const addButton = (label, run)=>{
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.textContent = label;
+        b.addEventListener('click', ()=>{ closeFilterMenu(); run(); });
+        filterMenu.appendChild(b);
+        return b;
+      };
+      addButton('Sort A → Z', ()=>sortRows(dataRows, [{c, desc:false}]));
+      addButton('Sort Z → A', ()=>sortRows(dataRows, [{c, desc:true}]));
+
+      const cond = document.createElement('div');
+      cond.className = 'filter-cond';
+      const opSel = document.createElement('select');
+      opSel.setAttribute('aria-label', 'Condition');
+      for(const [op, label] of FILTER_OPS) opSel.add(new Option(label, op, false, op===(crit.op||'')));
+      const argInput = document.createElement('input');
+      argInput.type = 'text';
+      argInput.setAttribute('aria-label', 'Condition value');
+      argInput.value = crit.arg ?? '';
+      cond.append(opSel, argInput);
+      filterMenu.appendChild(cond);
+
+      const list = document.createElement('div');
+      list.className = 'filter-values';
+      const checkbox = (label, checked)=>{
+        const row = document.createElement('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = checked;
+        row.append(box, label);
+        list.appendChild(row);
+        return box;
+      };
+      const all = checkbox('(Select all)', !crit.values);
+      const boxes = values.map(v=>{
+        const box = checkbox(v==='' ? '(Blanks)' : v, !crit.values || crit.values.includes(v));
+        box.dataset.value = v;
+        return box;
+      });
+      all.addEventListener('change', ()=>boxes.forEach(b=>{ b.checked = all.checked; }));
+      filterMenu.appendChild(list);
+
+      addButton('Apply', ()=>{
+        if(editBlocked()) return;
+        pushUndo(`Filter column ${colLabel(c)}`, 'layout');
+        const checked = boxes.filter(b=>b.checked).map(b=>b.dataset.value);
+        const next = {};
+        if(checked.length < boxes.length) next.values = checked;
+        if(opSel.value){ next.op = opSel.value; next.arg = argInput.value; }
+        if(Object.keys(next).length) autoFilter.criteria[c] = next;
+        else delete autoFilter.criteria[c];
+        applyAutoFilter();
+      });
+      addButton('Clear filter', ()=>{
+        if(editBlocked()) return;
+        pushUndo(`Clear filter on ${colLabel(c)}`, 'layout');
+        delete autoFilter.criteria[c];
+        applyAutoFilter();
+      });
+      const rect = btn.getBoundingClientRect();
+      filterMenu.style.left = rect.left + 'px';
+      filterMenu.style.top = rect.bottom + 'px';
+      filterMenu.hidden = false;
+    }
+    function closeFilterMenu(){ filterMenu.hidden = true; }
+    tbody.addEventListener('click', e=>{
+      const btn = e.target.closest('.filter-btn');
+      if(btn) openFilterMenu(btn, +btn.dataset.c);
+    });
+    document.addEventListener('mousedown', e=>{
+      if(!filterMenu.hidden && !filterMenu.contains(e.target) && !e.target.closest('.filter-btn')) closeFilterMenu();
+    });
+    document.addEventListener('keydown', e=>{ if(e.key==='Escape') closeFilterMenu(); });
+
+    // Sort dialog: the AutoFilter range, a multi-row selection or every used row,
+    // ordered by one or more columns
+    const sortDialog = document.getElementById('sortDialog');
+    function defaultSortRange(){
+      if(autoFilter) return {r1:autoFilter.row, r2:lastUsedRow(), c1:autoFilter.c1, c2:autoFilter.c2, header:true};
+      const sr = selectionRange;
+      if(sr && sr.r2>sr.r1) return {...sr, header:false};
+      return {r1:0, r2:lastUsedRow(), c1:0, c2:lastUsedCol(), header:false};
+    }
+    function openSortDialog(){
+      const range = defaultSortRange();
+      sortDialog.replaceChildren();
+      const title = document.createElement('h3');
+      title.textContent = `Sort ${colLabel(range.c1)}${range.r1+1}:${colLabel(range.c2)}${range.r2+1}`;
+      const headerLabel = document.createElement('label');
+      const headerBox = document.createElement('input');
+      headerBox.type = 'checkbox';
+      headerBox.checked = range.header;
+      headerLabel.append(headerBox, ' My data has a header row');
+      const levels = document.createElement('div');
+      levels.className = 'sort-levels';
+      const columnName = c => headerBox.checked && displayValue(range.r1, c) || `Column ${colLabel(c)}`;
+      const addLevel = ()=>{
+        const level = document.createElement('div');
+        level.className = 'sort-level';
+        const colSel = document.createElement('select');
+        colSel.setAttribute('aria-label', 'Sort by column');
+        for(let c=range.c1;c<=range.c2;c++) colSel.add(new Option(columnName(c), c));
+        const dirSel = document.createElement('select');
+        dirSel.setAttribute('aria-label', 'Order');
+        dirSel.add(new Option('A → Z', 'asc'));
+        dirSel.add(new Option('Z → A', 'desc'));
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', 'Remove level');
+        remove.addEventListener('click', ()=>{ if(levels.children.length>1) level.remove(); });
+        level.append(colSel, dirSel, remove);
+        levels.appendChild(level);
+      };
+      addLevel();
+      headerBox.addEventListener('change', ()=>{
+        for(const sel of levels.querySelectorAll('select[aria-label="Sort by column"]'))
+          for(const opt of sel.options) opt.textContent = columnName(+opt.value);
+      });
+      const actions = document.createElement('div');
+      actions.className = 'dialog-actions';
+      const button = (label, run)=>{
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.textContent = label;
+        b.addEventListener('click', run);
+        actions.appendChild(b);
+      };
+      button('Add level', addLevel);
+      button('Sort', ()=>{
+        const keys = [...levels.children].map(level=>{
+          const [colSel, dirSel] = level.querySelectorAll('select');
+          return {c:+colSel.value, desc:dirSel.value==='desc'};
+        });
+        sortDialog.hidden = true;
+        sortRows({...range, r1: range.r1 + (headerBox.checked ? 1 : 0)}, keys);
+      });
+      button('Cancel', ()=>{ sortDialog.hidden = true; });
+      sortDialog.append(title, headerLabel, levels, actions);
+      sortDialog.hidden = false;
+    }
+    document.getElementById('sortBtn')?.addEventListener('click', openSortDialog);
+    filterBtn?.addEventListener('click', toggleAutoFilter);
+    document.addEventListener('keydown', e=>{ if(e.key==='Escape') sortDialog.hidden = true; });
+
+    // ===== Conditional formatting =====
+    // Formula rules (conditional formats, custom validation) are evaluated by the calc engine:
+    // each cell of a rule's range watches the rule formula shifted from the range's top-left
+    // cell, keyed "cf:ruleIndex:r,c" or "dv:ruleIndex:r,c"
+    let ruleFormulaValues = new Map();
+    function watchRuleFormulas(){
+      const formulas = [];
+      const watch = (prefix, rules, type) => rules.forEach((rule, i)=>{
+        if(rule.type!==type) return;
+        const expr = String(rule.formula).replace(/^=/, '');
+        const {r1,c1,r2,c2} = rule.range;
+        for(let r=r1;r<=r2;r++) for(let c=c1;c<=c2;c++)
+          formulas.push([`${prefix}:${i}:${r},${c}`, shiftFormulaRefs(expr, r-r1, c-c1)]);
+      });
+      watch('cf', condFormats, 'formula');
+      watch('dv', validations, 'custom');
+      postCalc?.({type:'watch', seq:calcSeq, s:activeSheetIndex, formulas});
+    }
+    function computeConditionalFormats(){
+      cfStyles = !condFormats.length ? new Map() : computeConditionalStyles(condFormats,
+        (r,c)=>({value:cellValue(r,c), text:displayValue(r,c)}),
+        (i,r,c)=>ruleFormulaValues.get(`cf:${i}:${r},${c}`));
+    }
+    function updateConditionalFormats(){
+      if(!condFormats.length && !cfStyles.size) return;
+      computeConditionalFormats();
+      refreshAllDisplay();
+    }
+    // Rule ranges follow their cells when rows/columns of the active sheet are inserted or
+    // deleted (rules whose range is deleted go); formula rules on every sheet are rewritten
+    function shiftConditionalFormats(axis, at, count){
+      condFormats = shiftRuleRanges(condFormats, axis, at, count);
+      sheets[activeSheetIndex].condFormats = condFormats;
+      sheets.forEach(sheet=>{
+        for(const rule of sheet.condFormats || [])
+          if(rule.type==='formula') rule.formula = adjustRefs(String(rule.formula), sheet.name, sheets[activeSheetIndex].name, axis, at, count);
+      });
+    }
+    // A sheet was renamed or deleted: rewrite every sheet's formula rules that refer to it
+    // (map gets the reference without its sheet name, as for mapSheetRefs)
+    function mapConditionalFormatRefs(sheetName, map){
+      sheets.forEach(sheet=>{
+        for(const rule of sheet.condFormats || [])
+          if(rule.type==='formula') rule.formula = mapSheetRefs(String(rule.formula), sheetName, map);
+      });
+    }
+    // The rules of a list whose range survives the insert/delete, with their ranges moved
+    function shiftRuleRanges(rules, axis, at, count){
+      const [k1, k2] = axis==='row' ? ['r1','r2'] : ['c1','c2'];
+      return rules.filter(rule=>{
+        const span = moveSpan(rule.range[k1], rule.range[k2], at, count);
+        if(span) [rule.range[k1], rule.range[k2]] = span;
+        return !!span;
+      });
+    }
+    function setConditionalFormats(next){
+      if(editBlocked()) return;
+      pushUndo('Conditional formatting', 'layout');
+      condFormats = next;
+      saveActiveState();
+      watchRuleFormulas();
+      updateConditionalFormats();
+    }
+
+    const CF_TYPES = [
+      ['cellValue', 'Cell value'], ['text', 'Text'], ['top', 'Top / bottom'], ['duplicate', 'Duplicate values'],
+      ['formula', 'Formula'], ['colorScale', 'Color scale'], ['dataBar', 'Data bar']
+    ];
+    function describeRule(rule){
+      switch(rule.type){
+        case 'cellValue': return rule.op.endsWith('etween') ? `Value ${rule.op==='between'?'between':'not between'} ${rule.value} and ${rule.value2}` : `Value ${rule.op} ${rule.value}`;
+        case 'text': return `Text ${FILTER_OPS.find(o=>o[0]===rule.op)?.[1].toLowerCase() || rule.op} "${rule.value}"`;
+        case 'top': return `${rule.bottom?'Bottom':'Top'} ${rule.n}${rule.percent?'%':''}`;
+        case 'duplicate': return rule.unique ? 'Unique values' : 'Duplicate values';
+        case 'formula': return `Formula ${rule.formula}`;
+        case 'colorScale': return `${rule.colors.length}-color scale`;
+        case 'dataBar': return 'Data bar';
+      }
+      return rule.type;
+    }
+    // Rule manager: the active sheet's rules in priority order, plus a form for a new one
+    const cfDialog = document.getElementById('cfDialog');
+    function openConditionalDialog(){
+      cfDialog.replaceChildren();
+      const title = document.createElement('h3');
+      title.textContent = `Conditional formatting — ${sheets[activeSheetIndex].name}`;
+      const list = document.createElement('div');
+      list.className = 'cf-rules';
+      const small = (label, aria, run)=>{
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.textContent = label;
+        b.setAttribute('aria-label', aria);
+        b.addEventListener('click', ()=>{ run(); openConditionalDialog(); });
+        return b;
+      };
+      condFormats.forEach((rule, i)=>{
+        const row = document.createElement('div');
+        row.className = 'cf-rule';
+        const swatch = document.createElement('span');
+        swatch.className = 'cf-swatch';
+        swatch.style.background = rule.type==='colorScale' ? `linear-gradient(to right, ${rule.colors.join(',')})`
+          : rule.type==='dataBar' ? rule.color : rule.style?.bgColor || '#fff';
+        const text = document.createElement('span');
+        text.textContent = `${rangeText(rule.range)}: ${describeRule(rule)}`;
+        const move = d => ()=>{
+          const next = [...condFormats];
+          [next[i], next[i+d]] = [next[i+d], next[i]];
+          setConditionalFormats(next);
+        };
+        const up = small('↑', 'Raise priority', move(-1));
+        const down = small('↓', 'Lower priority', move(1));
+        up.disabled = i===0;
+        down.disabled = i===condFormats.length-1;
+        row.append(swatch, text, up, down, small('×', 'Delete rule', ()=>setConditionalFormats(condFormats.filter((_,j)=>j!==i))));
+        list.appendChild(row);
+      });
+      if(!condFormats.length) list.textContent = 'No rules on this sheet.';
+
+      // New rule form: fields shown depend on the rule type
+      const form = document.createElement('div');
+      form.className = 'cf-form';
+      const field = (label, el)=>{
+        const l = document.createElement('label');
+        l.append(label+' ', el);
+        form.appendChild(l);
+        return l;
+      };
+      const input = (type, value='')=>{
+        const el = document.createElement('input');
+        el.type = type;
+        el.value = value;
+        return el;
+      };
+      const select = options=>{
+        const el = document.createElement('select');
+        for(const [v, label] of options) el.add(new Option(label, v));
+        return el;
+      };
+      const sr = selectionRange || {r1:activeCell.r, c1:activeCell.c, r2:activeCell.r, c2:activeCell.c};
+      const rangeIn = input('text', rangeText(sr));
+      const typeSel = select(CF_TYPES);
+      const isTextOp = op => /contains|begins|ends/i.test(op);
+      const opSel = select([...FILTER_OPS.filter(o=>o[0] && !isTextOp(o[0])), ['between','Between'], ['notBetween','Not between']]);
+      const textOpSel = select(FILTER_OPS.filter(o=>isTextOp(o[0])));
+      const valueIn = input('text'), value2In = input('text'), textValueIn = input('text');
+      const topSel = select([['top','Top'], ['bottom','Bottom']]);
+      const nIn = input('number', '10');
+      const percentBox = input('checkbox');
+      const dupSel = select([['dup','Duplicate'], ['unique','Unique']]);
+      const formulaIn = input('text', '=');
+      const scaleSel = select([['2','2 colors'], ['3','3 colors']]);
+      const minColor = input('color', '#f8696b'), midColor = input('color', '#ffeb84'), maxColor = input('color', '#63be7b');
+      const barColor = input('color', '#638ec6');
+      const fillIn = input('color', '#ffc7ce'), colorIn = input('color', '#9c0006');
+      const boldBox = input('checkbox');
+      field('Apply to', rangeIn);
+      field('Rule', typeSel);
+      const groups = {
+        cellValue: [field('Value is', opSel), field('Value', valueIn), field('and', value2In)],
+        text: [field('Text', textOpSel), field('Value', textValueIn)],
+        top: [field('Show', topSel), field('Count', nIn), field('Percent', percentBox)],
+        duplicate: [field('Values', dupSel)],
+        formula: [field('Formula', formulaIn)],
+        colorScale: [field('Scale', scaleSel), field('Lowest', minColor), field('Midpoint', midColor), field('Highest', maxColor)],
+        dataBar: [field('Bar color', barColor)]
+      };
+      const styleFields = [field('Fill', fillIn), field('Text color', colorIn), field('Bold', boldBox)];
+      const status = document.createElement('div');
+      status.className = 'hint';
+      const sync = ()=>{
+        const type = typeSel.value;
+        for(const [t, els] of Object.entries(groups)) for(const el of els) el.hidden = t!==type;
+        groups.cellValue[2].hidden = type!=='cellValue' || !opSel.value.endsWith('etween');
+        groups.colorScale[2].hidden = type!=='colorScale' || scaleSel.value!=='3';
+        for(const el of styleFields) el.hidden = type==='colorScale' || type==='dataBar';
+      };
+      typeSel.addEventListener('change', sync);
+      opSel.addEventListener('change', sync);
+      scaleSel.addEventListener('change', sync);
+      sync();
+
+      const actions = document.createElement('div');
+      actions.className = 'dialog-actions';
+      const button = (label, run)=>{
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.textContent = label;
+        b.addEventListener('click', run);
+        actions.appendChild(b);
+      };
+      button('Add rule', ()=>{
+        const range = parseRangeText(rangeIn.value, rows, cols);
+        if(!range){ status.textContent = 'Enter a range like B2:B20'; return; }
+        const rule = {range, type:typeSel.value, style:{bgColor:fillIn.value, color:colorIn.value, bold:boldBox.checked}};
+        switch(rule.type){
+          case 'cellValue': Object.assign(rule, {op:opSel.value, value:valueIn.value, value2:value2In.value}); break;
+          case 'text': Object.assign(rule, {op:textOpSel.value, value:textValueIn.value}); break;
+          case 'top': Object.assign(rule, {n:+nIn.value||10, bottom:topSel.value==='bottom', percent:percentBox.checked}); break;
+          case 'duplicate': rule.unique = dupSel.value==='unique'; break;
+          case 'formula':
+            if(formulaIn.value.replace(/^=/,'').trim()===''){ status.textContent = 'Enter a formula such as =B2>100'; return; }
+            rule.formula = formulaIn.value;
+            break;
+          case 'colorScale': rule.colors = scaleSel.value==='3' ? [minColor.value, midColor.value, maxColor.value] : [minColor.value, maxColor.value]; break;
+          case 'dataBar': rule.color = barColor.value; break;
+        }
+        if(rule.type==='colorScale' || rule.type==='dataBar') delete rule.style;
+        setConditionalFormats([...condFormats, rule]);
+        openConditionalDialog();
+      });
+      button('Close', ()=>{ cfDialog.hidden = true; });
+      cfDialog.append(title, list, form, status, actions);
+      cfDialog.hidden = false;
+    }
+    document.getElementById('condFmtBtn')?.addEventListener('click', openConditionalDialog);
+    document.addEventListener('keydown', e=>{ if(e.key==='Escape') cfDialog.hidden = true; });
+
+    // ===== Data validation =====
+    let showInvalid = false;        // "Circle invalid" view
+    let invalidCells = new Set();   // "r,c" of cells failing their rule while the view is on
+    let entry = null;               // cell being typed into: {r, c, before, undoDepth}
+    let pendingEntry = null;        // committed entry under a custom rule, awaiting the engine
+
+    // The rule governing a cell — the latest one covering it — as {rule, index}, or null
+    function validationAt(r,c){
+      for(let i=validations.length-1;i>=0;i--){
+        const {r1,c1,r2,c2} = validations[i].range;
+        if(r>=r1 && r<=r2 && c>=c1 && c<=c2) return {rule:validations[i], index:i};
+      }
+      return null;
+    }
+    // The sheet and range a list source like =B2:B9 or ='Price list'!A:A refers to, or null
+    function listSourceRange(src){
+      const m = new RegExp(`^=(?:(${SHEET_NAME_SRC})!)?(.+)$`).exec(src);
+      if(!m) return null;
+      const s = m[1] ? sheets.findIndex(sh=>sh.name.toLowerCase()===unquoteSheetName(m[1]).toLowerCase()) : activeSheetIndex;
+      if(s<0) return null;
+      const range = s===activeSheetIndex ? parseRangeText(m[2], rows, cols) : parseRangeText(m[2], sheets[s].rows, sheets[s].cols);
+      return range && {s, range};
+    }
+    // Allowed items of a list rule: its comma-separated source, or the non-empty shown
+    // values of the range it refers to (which may be on another sheet)
+    function listItems(rule){
+      const src = String(rule.source ?? '').trim();
+      if(!src.startsWith('=')) return [...new Set(src.split(',').map(t=>t.trim()).filter(Boolean))];
+      const ref = listSourceRange(src);
+      if(!ref) return [];
+      const {s, range} = ref;
+      const items = [];
+      for(let r=range.r1;r<=range.r2;r++) for(let c=range.c1;c<=range.c2;c++){
+        const t = cellDisplay(r,c,s).text;
+        if(t!=='' && !items.includes(t)) items.push(t);
+      }
+      return items;
+    }
+    // Check typed text (or, for the circle view, the value the cell shows) against its rule
+    function passesValidation({rule, index}, r, c, value, text, list){
+      return isValidEntry(rule, value, text, {
+        list: rule.type==='list' ? list || listItems(rule) : undefined,
+        formula: ruleFormulaValues.get(`dv:${index}:${r},${c}`)
+      });
+    }
+    function passesEntry(v, r, c, raw, list){
+      return passesValidation(v, r, c, literalValue(raw), raw.trim(), list);
+    }
+
+    // Entries are checked when they are committed (the cell or formula bar loses focus), not
+    // on every keystroke. beginEntry runs before an edit's first change and records the whole
+    // edit as one undo step.
+    function beginEntry(r,c){
+      if(entry && entry.r===r && entry.c===c) return;
+      commitEntry();
+      const record = pushUndo(`Edit ${colLabel(c)}${r+1}`, {r1:r, c1:c, r2:r, c2:c});
+      entry = {r, c, before:data[r][c].value, record};
+    }
+    function commitEntry(){
+      const e = entry;
+      entry = null;
+      if(!e) return;
+      const v = validationAt(e.r, e.c);
+      const raw = String(data[e.r][e.c].value);
+      if(raw===String(e.before)){ dropUndo(e.record); return; }
+      // Formula results come from the engine later; Circle invalid points those out
+      if(!v || raw.startsWith('=')) return;
+      if(v.rule.type==='custom'){
+        // The verdict needs the engine to re-evaluate the rule with the new value
+        pendingEntry = {...e, v};
+        watchRuleFormulas();
+        return;
+      }
+      if(!passesEntry(v, e.r, e.c, raw)) rejectEntry(e, v.rule);
+    }
+    function checkPendingEntry(){
+      const e = pendingEntry;
+      pendingEntry = null;
+      if(!e) return;
+      const raw = String(data[e.r][e.c].value);
+      if(raw!==String(e.before) && !passesEntry(e.v, e.r, e.c, raw)) rejectEntry(e, e.v.rule);
+    }
+    // A stop rule puts the old value back and drops the edit's undo step; a warning rule
+    // keeps the entry. Either way the status pill says why.
+    function rejectEntry(e, rule){
+      const where = colLabel(e.c)+(e.r+1);
+      const why = describeValidation(rule, rule.type==='list' ? listItems(rule) : []);
+      if(rule.errorStyle==='warning'){ fileInfo.textContent = `${where}: ${why}`; return; }
+      dropUndo(e.record);
+      data[e.r][e.c].value = e.before;
+      const el = cellEl(e.r, e.c);
+      if(el && document.activeElement===el) el.textContent = String(e.before);
+      if(activeCell.r===e.r && activeCell.c===e.c) formulaBar.value = rawValue(e.r, e.c);
+      recalc([{r:e.r, c:e.c}]);
+      if(el) refreshCells([el]);
+      fileInfo.textContent = `${where} rejected: ${why}`;
+    }
+
+    // In-cell dropdown for list rules, shown on the active cell
+    function addListPicker(td, r, c){
+      const v = validationAt(r,c);
+      if(v?.rule.type!=='list' || v.rule.dropdown===false) return;
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'dv-picker';
+      btn.textContent = '▾';
+      btn.setAttribute('aria-label', 'Choose from list');
+      td.classList.add('has-picker');
+      td.appendChild(btn);
+    }
+    function syncListPicker(){
+      const old = tbody.querySelector('.dv-picker');
+      old?.parentElement.classList.remove('has-picker');
+      old?.remove();
+      const td = cellEl(activeCell.r, activeCell.c)?.parentElement;
+      if(td) addListPicker(td, activeCell.r, activeCell.c);
+    }
+    const listMenu = document.getElementById('listMenu');
+    function openListMenu(btn){
+      const {r, c} = activeCell;
+      const v = validationAt(r,c);
+      if(!v) return;
+      listMenu.replaceChildren();
+      for(const item of listItems(v.rule)){
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.setAttribute('role', 'menuitem');
+        b.textContent = item;
+        b.addEventListener('click', ()=>{
+          listMenu.hidden = true;
+          if(editBlocked()) return;
+          commitEntry();
+          pushUndo(`Edit ${colLabel(c)}${r+1}`, {r1:r, c1:c, r2:r, c2:c});
+          data[r][c].value = item;
+          formulaBar.value = item;
+          recalc([{r,c}]);
+          const el = cellEl(r,c);
+          if(el){ el.textContent = item; refreshCells([el]); }
+        });
+        listMenu.appendChild(b);
+      }
+      const rect = btn.getBoundingClientRect();
+      listMenu.style.left = rect.left + 'px';
+      listMenu.style.top = rect.bottom + 'px';
+      listMenu.hidden = false;
+    }
+    tbody.addEventListener('click', e=>{
+      const btn = e.target.closest('.dv-picker');
+      if(btn) openListMenu(btn);
+    });
+    document.addEventListener('mousedown', e=>{
+      if(!listMenu.hidden && !listMenu.contains(e.target) && !e.target.closest('.dv-picker')) listMenu.hidden = true;
+    });
+
+    // Circle invalid: mark every cell whose current value breaks its rule
+    function computeValidationMarks(){
+      invalidCells = new Set();
+      if(!showInvalid) return;
+      validations.forEach((rule, index)=>{
+        const list = rule.type==='list' ? listItems(rule) : undefined;
+        const {r1,c1,r2,c2} = rule.range;
+        for(let r=r1;r<=r2;r++) for(let c=c1;c<=c2;c++){
+          if(validationAt(r,c).index!==index) continue; // a later rule governs this cell
+          if(!passesValidation({rule, index}, r, c, cellValue(r,c), displayValue(r,c), list)) invalidCells.add(r+','+c);
+        }
+      });
+    }
+    function updateValidationMarks(){
+      if(!showInvalid && !invalidCells.size) return;
+      computeValidationMarks();
+      refreshAllDisplay();
+    }
+    const circleInvalidBtn = document.getElementById('circleInvalidBtn');
+    circleInvalidBtn?.addEventListener('click', ()=>{
+      showInvalid = !showInvalid;
+      circleInvalidBtn.setAttribute('aria-pressed', String(showInvalid));
+      updateValidationMarks();
+      if(showInvalid) fileInfo.textContent = invalidCells.size ? `${invalidCells.size} invalid cell${invalidCells.size>1?'s':''}` : 'No invalid data';
+    });
+
+    function setValidations(next){
+      if(editBlocked()) return;
+      pushUndo('Data validation', 'layout');
+      validations = next;
+      saveActiveState();
+      watchRuleFormulas();
+      syncListPicker();
+      updateValidationMarks();
+    }
+    // Rule ranges follow their cells like conditional formats; custom formulas and list
+    // source ranges on every sheet are rewritten
+    function shiftValidations(axis, at, count){
+      validations = shiftRuleRanges(validations, axis, at, count);
+      sheets[activeSheetIndex].validations = validations;
+      sheets.forEach(sheet=>{
+        for(const rule of sheet.validations || []){
+          if(rule.type==='custom') rule.formula = adjustRefs(String(rule.formula), sheet.name, sheets[activeSheetIndex].name, axis, at, count);
+          else if(rule.type==='list' && String(rule.source).startsWith('='))
+            rule.source = adjustRefs(String(rule.source), sheet.name, sheets[activeSheetIndex].name, axis, at, count);
+        }
+      });
+    }
+    // A sheet was renamed or deleted: rewrite custom formulas and list ranges that refer to it
+    function mapValidationRefs(sheetName, map){
+      sheets.forEach(sheet=>{
+        for(const rule of sheet.validations || []){
+          if(rule.type==='custom') rule.formula = mapSheetRefs(String(rule.formula), sheetName, map);
+          else if(rule.type==='list' && String(rule.source).startsWith('=')) rule.source = mapSheetRefs(String(rule.source), sheetName, map);
+        }
+      });
+    }
+
+    // Validation dialog: edits the rule on the active cell, or creates one for the selection
+    const dvDialog = document.getElementById('dvDialog');
+    function openValidationDialog(){
+      commitEntry();
+      const current = validationAt(activeCell.r, activeCell.c)?.rule;
+      const rule = current || {range: selectionRange || {r1:activeCell.r, c1:activeCell.c, r2:activeCell.r, c2:activeCell.c},
+        type:'list', op:'between', allowBlank:true, errorStyle:'stop'};
+      dvDialog.replaceChildren();
+      const title = document.createElement('h3');
+      title.textContent = 'Data validation';
+      const form = document.createElement('div');
+      form.className = 'cf-form';
+      const field = (label, el)=>{
+        const l = document.createElement('label');
+        l.append(label+' ', el);
+        form.appendChild(l);
+        return l;
+      };
+      const input = (type, value='')=>{
+        const el = document.createElement('input');
+        el.type = type;
+        if(type==='checkbox') el.checked = !!value; else el.value = value;
+        return el;
+      };
+      const select = (options, value)=>{
+        const el = document.createElement('select');
+        for(const [v, label] of options) el.add(new Option(label, v));
+        if(value!=null) el.value = value;
+        return el;
+      };
+      const rangeIn = input('text', rangeText(rule.range));
+      const typeSel = select(VALIDATION_TYPES, rule.type);
+      const opSel = select(VALIDATION_OPS, rule.op || 'between');
+      const minIn = input('text', rule.min ?? ''), maxIn = input('text', rule.max ?? '');
+      const sourceIn = input('text', rule.source ?? '');
+      sourceIn.placeholder = 'a,b,c or =A1:A9';
+      const formulaIn = input('text', rule.formula ?? '=');
+      const blankBox = input('checkbox', rule.allowBlank!==false);
+      const dropdownBox = input('checkbox', rule.dropdown!==false);
+      const styleSel = select([['stop','Reject'], ['warning','Warn']], rule.errorStyle || 'stop');
+      const messageIn = input('text', rule.message ?? '');
+      messageIn.placeholder = 'Optional';
+      field('Apply to', rangeIn);
+      field('Allow', typeSel);
+      const opField = field('Data', opSel);
+      const minField = field('Value', minIn);
+      const maxField = field('and', maxIn);
+      const sourceField = field('Source', sourceIn);
+      const dropdownField = field('In-cell dropdown', dropdownBox);
+      const formulaField = field('Formula', formulaIn);
+      field('Ignore blank', blankBox);
+      field('On invalid', styleSel);
+      field('Message', messageIn);
+      const status = document.createElement('div');
+      status.className = 'hint';
+      const sync = ()=>{
+        const type = typeSel.value, bounded = !['list','custom'].includes(type);
+        opField.hidden = minField.hidden = !bounded;
+        maxField.hidden = !bounded || !['between','notBetween'].includes(opSel.value);
+        sourceField.hidden = dropdownField.hidden = type!=='list';
+        formulaField.hidden = type!=='custom';
+      };
+      typeSel.addEventListener('change', sync);
+      opSel.addEventListener('change', sync);
+      sync();
+
+      const actions = document.createElement('div');
+      actions.className = 'dialog-actions';
+      const button = (label, run)=>{
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.textContent = label;
+        b.addEventListener('click', run);
+        actions.appendChild(b);
+      };
+      button('Apply', ()=>{
+        const range = parseRangeText(rangeIn.value, rows, cols);
+        if(!range){ status.textContent = 'Enter a range like B2:B20'; return; }
+        const next = {range, type:typeSel.value, allowBlank:blankBox.checked, errorStyle:styleSel.value};
+        if(messageIn.value.trim()) next.message = messageIn.value.trim();
+        if(next.type==='list'){
+          if(!sourceIn.value.trim()){ status.textContent = 'Enter the allowed values or a range'; return; }
+          if(sourceIn.value.trim().startsWith('=') && !listSourceRange(sourceIn.value.trim())){ status.textContent = 'Enter a range like =E2:E9 or =Lists!A1:A5'; return; }
+          Object.assign(next, {source:sourceIn.value.trim(), dropdown:dropdownBox.checked});
+        }else if(next.type==='custom'){
+          if(formulaIn.value.replace(/^=/,'').trim()===''){ status.textContent = 'Enter a formula such as =B2<=C2'; return; }
+          next.formula = formulaIn.value;
+        }else{
+          const needsMax = ['between','notBetween'].includes(opSel.value);
+          if(minIn.value.trim()==='' || (needsMax && maxIn.value.trim()==='')){ status.textContent = 'Enter the limits'; return; }
+          Object.assign(next, {op:opSel.value, min:minIn.value.trim(), ...(needsMax ? {max:maxIn.value.trim()} : {})});
+        }
+        // A rule on exactly the same range (or the one being edited) is replaced
+        dvDialog.hidden = true;
+        setValidations([...validations.filter(v=>v!==current && rangeText(v.range)!==rangeText(range)), next]);
+      });
+      button('Clear', ()=>{
+        const sr = selectionRange || {r1:activeCell.r, c1:activeCell.c, r2:activeCell.r, c2:activeCell.c};
+        const overlaps = ({range:a}) => a.r1<=sr.r2 && a.r2>=sr.r1 && a.c1<=sr.c2 && a.c2>=sr.c1;
+        dvDialog.hidden = true;
+        if(validations.some(overlaps)) setValidations(validations.filter(v=>!overlaps(v)));
+      });
+      button('Cancel', ()=>{ dvDialog.hidden = true; });
+      dvDialog.append(title, form, status, actions);
+      dvDialog.hidden = false;
+    }
+    document.getElementById('validationBtn')?.addEventListener('click', openValidationDialog);
+    document.addEventListener('keydown', e=>{
+      if(e.key!=='Escape') return;
+      dvDialog.hidden = true;
+      listMenu.hidden = true;
+    });
+
+    // ===== Merged cells =====
+    // The merged block covering (r,c), or null
+    function mergeAt(r,c){
+      return merges.find(m=>r>=m.r1 && r<=m.r2 && c>=m.c1 && c<=m.c2) || null;
+    }
+    // Grow a range until no merged block sticks out of it
+    function expandToMerges(range){
+      const out = {...range};
+      for(let grown=true; grown;){
+        grown = false;
+        for(const m of merges){
+          if(m.r1>out.r2 || m.r2<out.r1 || m.c1>out.c2 || m.c2<out.c1) continue;
+          if(m.r1<out.r1 || m.r2>out.r2 || m.c1<out.c1 || m.c2>out.c2){
+            Object.assign(out, {r1:Math.min(out.r1,m.r1), r2:Math.max(out.r2,m.r2), c1:Math.min(out.c1,m.c1), c2:Math.max(out.c2,m.c2)});
+            grown = true;
           }
-          break;
+        }
       }
-      renderHeader();
+      return out;
+    }
+    // Blocks stretch and shrink with inserted/deleted rows or columns; ones reduced to a
+    // single cell are dropped
+    function shiftMerges(axis, at, count){
+      const [k1, k2] = axis==='row' ? ['r1','r2'] : ['c1','c2'];
+      merges = merges.filter(m=>{
+        const span = moveSpan(m[k1], m[k2], at, count);
+        if(span) [m[k1], m[k2]] = span;
+        return span && (m.r1<m.r2 || m.c1<m.c2);
+      });
+    }
+    // mode: 'center' (one block, centred), 'across' (one block per selected row), 'cells'
+    // (one block) or 'unmerge'. Merging keeps only each block's top-left value.
+    function mergeSelection(mode){
+      if(editBlocked()) return;
+      const sr = selectionRange;
+      const hit = m => sr && m.r1<=sr.r2 && m.r2>=sr.r1 && m.c1<=sr.c2 && m.c2>=sr.c1;
+      if(mode==='unmerge'){
+        const target = sr ? hit : m => m===mergeAt(activeCell.r, activeCell.c);
+        if(!merges.some(target)) return;
+        pushUndo('Unmerge cells', 'layout');
+        merges = merges.filter(m=>!target(m));
+      }else{
+        if(!sr || (sr.r1===sr.r2 && sr.c1===sr.c2) || (mode==='across' && sr.c1===sr.c2)){
+          fileInfo.textContent = 'Select more than one cell to merge';
+          return;
+        }
+        pushUndo(mode==='center' ? 'Merge and center' : 'Merge cells');
+        const blocks = mode==='across'
+          ? Array.from({length:sr.r2-sr.r1+1}, (_,i)=>({r1:sr.r1+i, c1:sr.c1, r2:sr.r1+i, c2:sr.c2}))
+          : [{...sr}];
+        let dropped = false;
+        for(const b of blocks) for(let r=b.r1;r<=b.r2;r++) for(let c=b.c1;c<=b.c2;c++){
+          if(r===b.r1 && c===b.c1) continue;
+          if(data[r][c].value!=='') dropped = true;
+          data[r][c].value = '';
+        }
+        if(mode==='center') data[sr.r1][sr.c1].hAlign = 'center';
+        merges = [...merges.filter(m=>!hit(m)), ...blocks];
+        if(dropped) fileInfo.textContent = 'Merging kept only the upper-left values';
+      }
+      saveActiveState();
+      recalc();
+      renderBody();
+      focusCell(sr ? sr.r1 : activeCell.r, sr ? sr.c1 : activeCell.c);
+    }
+    const mergeSelect = document.getElementById('mergeSelect');
+    mergeSelect?.addEventListener('change', ()=>{
+      const mode = mergeSelect.value;
+      mergeSelect.value = '';
+      if(mode) mergeSelection(mode);
+    });
+
+    // ===== Freeze panes =====
+    function setFreeze(frozenRows, frozenCols){
+      if(editBlocked()) return;
+      pushUndo(frozenRows || frozenCols ? 'Freeze panes' : 'Unfreeze panes', 'layout');
+      freeze = {rows:frozenRows, cols:frozenCols};
+      saveActiveState();
       renderBody();
+    }
+    // Rows/columns inserted or deleted inside the frozen band grow or shrink it
+    function shiftFreeze(axis, at, count){
+      const k = axis==='row' ? 'rows' : 'cols';
+      if(at < freeze[k]) freeze = {...freeze, [k]: Math.max(at, freeze[k] + count)};
+    }
+    const freezeSelect = document.getElementById('freezeSelect');
+    freezeSelect?.addEventListener('change', ()=>{
+      const mode = freezeSelect.value;
+      freezeSelect.value = '';
+      if(mode==='row') setFreeze(1, 0);
+      else if(mode==='col') setFreeze(0, 1);
+      else if(mode==='cell') setFreeze(activeCell.r, activeCell.c); // rows above, columns left of it
+      else if(mode==='none') setFreeze(0, 0);
+    });
+
+    // ===== Find and replace =====
+    // opts: {query, scope:'sheet'|'workbook', lookIn:'values'|'formulas', matchCase, wholeCell, regex}
+    function findPattern(opts){
+      const src = opts.regex ? opts.query : opts.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(opts.wholeCell ? `^(?:${src})$` : src, opts.matchCase ? 'g' : 'gi');
+    }
+    // Every matching cell as {s,r,c}, in sheet, row, column order (rows hidden by a filter are skipped)
+    function findAll(opts){
+      const re = findPattern(opts);
+      const hits = [];
+      const scope = opts.scope==='workbook' ? sheets.map((_,i)=>i) : [activeSheetIndex];
+      for(const s of scope){
+        const d = sheetData(s);
+        const hidden = s===activeSheetIndex ? hiddenRows : new Set(sheets[s].autoFilter?.hidden);
+        for(let r=0;r<d.length;r++){
+          if(hidden.has(r)) continue;
+          for(let c=0;c<d[r].length;c++){
+            if(d[r][c].value==='') continue;
+            const text = opts.lookIn==='formulas' ? String(d[r][c].value) : cellDisplay(r,c,s).text;
+            re.lastIndex = 0;
+            if(re.test(text)) hits.push({s,r,c});
+          }
+        }
+      }
+      return hits;
+    }
+    // Replace matches in a cell's contents (formulas are edited as text); true if it changed.
+    // Looking in values matches what a formula shows, not its text, so formulas are left alone.
+    function replaceInCell(cell, opts, replacement){
+      const raw = String(cell.value);
+      if(opts.lookIn!=='formulas' && raw.startsWith('=')) return false;
+      const next = raw.replace(findPattern(opts), opts.regex ? replacement : ()=>replacement);
+      if(next===raw) return false;
+      cell.value = next;
+      return true;
+    }
+    // Replace everywhere in scope as a single undo step; returns the number of cells changed
+    function replaceAll(opts, replacement){
+      const hits = findAll(opts);
+      if(!hits.length) return 0;
+      pushUndo('Replace all', opts.scope);
+      let changed = 0;
+      for(const {s,r,c} of hits) if(replaceInCell(sheetData(s)[r][c], opts, replacement)) changed++;
       recalc();
+      renderBody();
+      return changed;
     }
 
+    const findDialog = document.getElementById('findDialog');
+    const findText = document.getElementById('findText');
+    const replaceText = document.getElementById('replaceText');
+    const findStatus = document.getElementById('findStatus');
+    function findOptions(){
+      return {
+        query: findText.value,
+        scope: document.getElementById('findScope').value,
+        lookIn: document.getElementById('findLookIn').value,
+        matchCase: document.getElementById('findCase').checked,
+        wholeCell: document.getElementById('findWhole').checked,
+        regex: document.getElementById('findRegex').checked
+      };
+    }
+    function openFindDialog(withReplace){
+      findDialog.classList.toggle('find-only', !withReplace);
+      findDialog.hidden = false;
+      findStatus.textContent = '';
+      findText.focus();
+      findText.select();
+    }
+    // Run fn(opts) unless the query is empty or an invalid regular expression
+    function withFindOptions(fn){
+      const opts = findOptions();
+      if(!opts.query){ findStatus.textContent = 'Type something to find'; return; }
+      try{ findPattern(opts); }
+      catch(err){ findStatus.textContent = err.message; return; }
+      fn(opts);
+    }
+    // Move to the next (dir=1) or previous (dir=-1) hit after the active cell, wrapping around
+    function findStep(dir){
+      withFindOptions(opts=>{
+        const hits = findAll(opts);
+        if(!hits.length){ findStatus.textContent = 'No matches'; return; }
+        const here = [activeSheetIndex, activeCell.r, activeCell.c];
+        const cmp = h => h.s-here[0] || h.r-here[1] || h.c-here[2];
+        const idx = dir>0 ? hits.findIndex(h=>cmp(h)>0) : hits.findLastIndex(h=>cmp(h)<0);
+        const hit = hits[idx>=0 ? idx : dir>0 ? 0 : hits.length-1];
+        if(hit.s!==activeSheetIndex) switchSheet(hit.s);
+        focusCell(hit.r, hit.c);
+        findText.focus({preventScroll:true});
+        findStatus.textContent = `Match ${hits.indexOf(hit)+1} of ${hits.length}` + (hit.s!==here[0] ? ` on ${sheets[hit.s].name}` : '');
+      });
+    }
+    document.getElementById('findNext').addEventListener('click', ()=>findStep(1));
+    document.getElementById('findPrev').addEventListener('click', ()=>findStep(-1));
+    findText.addEventListener('keydown', e=>{
+      if(e.key==='Enter'){ e.preventDefault(); findStep(e.shiftKey ? -1 : 1); }
+    });
+    document.getElementById('replaceOne').addEventListener('click', ()=>{
+      if(editBlocked()) return;
+      withFindOptions(opts=>{
+        const {r,c} = activeCell;
+        const onHit = findAll({...opts, scope:'sheet'}).some(h=>h.r===r && h.c===c);
+        if(onHit){
+          const record = pushUndo('Replace', {r1:r, c1:c, r2:r, c2:c});
+          if(replaceInCell(data[r][c], opts, replaceText.value)){
+            recalc([{r,c}]);
+            refreshCells([cellEl(r,c)].filter(Boolean));
+            setActiveCell(r, c, false);
+          }else dropUndo(record);
+        }
+        findStep(1);
+      });
+    });
+    document.getElementById('replaceAll').addEventListener('click', ()=>{
+      if(editBlocked()) return;
+      withFindOptions(opts=>{
+        const n = replaceAll(opts, replaceText.value);
+        findStatus.textContent = n ? `Replaced ${n} cell${n===1?'':'s'}` : 'No matches';
+      });
+    });
+    document.getElementById('findBtn')?.addEventListener('click', ()=>openFindDialog(true));
+    document.getElementById('findClose').addEventListener('click', ()=>{ findDialog.hidden = true; });
+    findDialog.addEventListener('keydown', e=>{ if(e.key==='Escape') findDialog.hidden = true; });
+
     document.getElementById('addRow').addEventListener('click', () => modifyGrid('addRow'));
     document.getElementById('addCol').addEventListener('click', () => modifyGrid('addCol'));
     document.getElementById('delRow').addEventListener('click', () => modifyGrid('delRow'));
     document.getElementById('delCol').addEventListener('click', () => modifyGrid('delCol'));
-    document.getElementById('newSheet').onclick = ()=>{
+    function newWorkbook(){
+      flushAutosave();
       sheets.length=0;
       sheets.push(createSheet('Sheet1'));
       loadSheet(0);
       renderTabs();
+      startWorkbook('Untitled', false);
+    }
+    document.getElementById('newSheet').onclick = ()=>{
+      if(editBlocked()) return;
+      newWorkbook();
       fileInfo.textContent='';
     };
 
-    // CSV helpers
-    function toCSV(d=data){
-      return d.map(row=>
-        row.map(cell=>{
-          const s = String(cell.value ?? '');
-          if(/[,"\n]/.test(s)) return `"${s.replace(/"/g,'""')}"`;
-          return s;
-        }).join(',')
-      ).join('\n');
-    }
-    function parseCSV(text){
-      const out = []; let row=[]; let i=0; let cur=''; let inQ=false;
-      const pushCell =()=>{ row.push(cur); cur=''; };
-      const pushRow =()=>{ out.push(row); row=[]; };
-      while(i<text.length){
-        const ch = text[i++];
-        if(inQ){
-          if(ch === '"'){
-            if(text[i]==='"'){ cur+='"'; i++; } else { inQ=false; }
-          }else cur += ch;
-        }else{
-          if(ch === '"'){ inQ=true; }
-          else if(ch === ','){ pushCell(); }
-          else if(ch === '\n'){ pushCell(); pushRow(); }
-          else if(ch === '\r'){ /* ignore */ }
-          else cur += ch;
-        }
-      }
-      pushCell(); pushRow();
-      const maxC = Math.max(...out.map(r=>r.length));
-      return out.map(r=>r.concat(Array(Math.max(0,maxC-r.length)).fill('')));
+    // Replace the workbook with one read from a file, as Open does (also window.MiniExcel)
+    function openSheets(loaded, active, fileName){
+      flushAutosave();
+      sheets.splice(0, sheets.length, ...loaded);
+      loadSheet(active);
+      renderTabs();
+      startWorkbook(fileName, true);
     }
-
-    function loadArrayInto(sheet, arr){
-      sheet.rows = arr.length;
-      sheet.cols = Math.max(...arr.map(r=>r.length));
-      sheet.data = createEmpty(sheet.rows, sheet.cols);
-      sheet.colWidths = Array(sheet.cols).fill(null);
-      sheet.rowHeights = Array(sheet.rows).fill(null);
-      for(let r=0;r<sheet.rows;r++) for(let c=0;c<sheet.cols;c++) sheet.data[r][c].value = arr[r][c]??'';
+    function openJSONText(text, fileName){
+      const {sheets:loaded, active} = workbookFromJSON(text, createSheet);
+      openSheets(loaded, active, fileName);
+    }
+    function openCSVText(text, fileName){
+      const sh = createSheet(fileName.replace(/\.csv$/i,''));
+      loadArrayInto(sh, parseCSV(text));
+      openSheets([sh], 0, fileName);
+    }
+    async function openXLSXBuffer(buf, fileName){
+      const lib = await ensureXLSX();
+      if(!lib) throw new Error('XLSX library unavailable — please open CSV instead');
+      const wb = lib.read(buf, {type:'array', cellNF:true, cellStyles:true, bookFiles:true});
+      const part = path => { const f = wb.files?.[path?.replace(/^\//, '')]; return f?.content ? new TextDecoder().decode(f.content) : ''; };
+      const stylesXml = part(wb.Directory?.styles?.[0]);
+      openSheets(wb.SheetNames.map((sn, i)=>{
+        const ws = wb.Sheets[sn];
+        const sheetXml = part(wb.Directory?.sheets?.[i]);
+        const arr = lib.utils.sheet_to_json(ws,{header:1, blankrows:true, defval:''});
+        // SheetJS reports only fills, so styles are read from the file's own parts when it has them
+        const cellProps = importXLSXCellProps(lib, ws, arr, stylesXml && sheetXml ? readCellStyles(stylesXml, sheetXml) : undefined);
+        const sh = createSheet(sn);
+        loadArrayInto(sh, arr);
+        for(const {r,c,props} of cellProps) if(sh.data[r]?.[c]) Object.assign(sh.data[r][c], props);
+        sh.merges = (ws['!merges'] || [])
+          .map(m=>({r1:m.s.r, c1:m.s.c, r2:Math.min(m.e.r, sh.rows-1), c2:Math.min(m.e.c, sh.cols-1)}))
+          .filter(m=>m.r1<=m.r2 && m.c1<=m.c2 && (m.r1<m.r2 || m.c1<m.c2));
+        if(sheetXml) sh.freeze = readFrozenPane(sheetXml) || sh.freeze;
+        return sh;
+      }), 0, fileName);
     }
 
     // File open
     document.getElementById('fileInput').addEventListener('change', async (ev)=>{
       const file = ev.target.files[0]; if(!file) return; const name = file.name.toLowerCase();
+      if(editBlocked()){ ev.target.value=''; return; }
       try{
-        if(name.endsWith('.csv')){
-          let txt = await file.text();
-          if (txt.charCodeAt(0) === 0xFEFF) txt = txt.slice(1);
-          const arr = parseCSV(txt);
-          sheets.length=0;
-          const sh = createSheet(file.name.replace(/\.csv$/i,''));
-          loadArrayInto(sh, arr);
-          sheets.push(sh);
-          loadSheet(0);
-          renderTabs();
+        if(name.endsWith('.json')){
+          openJSONText(await file.text(), file.name);
+          fileInfo.textContent = `Loaded workbook (${file.name})`;
+        }else if(name.endsWith('.csv')){
+          openCSVText(await file.text(), file.name);
           fileInfo.textContent = `Loaded CSV (${file.name})`;
         }else{
-          const lib = await ensureXLSX();
-          if(!lib){ fileInfo.textContent = 'XLSX library unavailable — please open CSV instead'; return; }
-          const buf = await file.arrayBuffer();
-          const wb = lib.read(buf, {type:'array'});
-          sheets.length=0;
-          wb.SheetNames.forEach(sn=>{
-            const ws = wb.Sheets[sn];
-            const arr = lib.utils.sheet_to_json(ws,{header:1, blankrows:true, defval:''});
-            const sh = createSheet(sn);
-            loadArrayInto(sh, arr);
-            sheets.push(sh);
-          });
-          loadSheet(0);
-          renderTabs();
+          await openXLSXBuffer(await file.arrayBuffer(), file.name);
           fileInfo.textContent = `Loaded XLSX (${file.name})`;
         }
       }catch(err){
-        fileInfo.textContent = 'Failed to open file';
+        fileInfo.textContent = `Failed to open file: ${err.message||err}`;
         calcState.textContent = 'Error';
         log('Open error:', err.message||err);
       } finally {
@@ -980,13 +2441,24 @@ document.addEventListener('DOMContentLoaded', () => {
         const blob = await zip.generateAsync({type:'blob'});
         const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = 'sheets.zip'; a.click(); URL.revokeObjectURL(a.href);
       }
+      markSaved();
     };
 
-    // Save XLSX (lazy-load lib to prevent ReferenceError)
-    saveXLSXBtn.onclick = async ()=>{
+    // Save the native workbook file (workbookjson.js), which keeps everything
+    document.getElementById('saveJSON').onclick = ()=>{
+      saveActiveState();
+      const text = JSON.stringify(workbookToJSON(sheets, activeSheetIndex));
+      const blob = new Blob([text], {type:'application/json'});
+      const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = currentWorkbook.name.replace(/\.\w+$/, '') + '.json'; a.click(); URL.revokeObjectURL(a.href);
+      markSaved();
+    };
+
+    const isStyled = cell => Object.keys(styleToXLSX(cell)).length > 0;
+    // The workbook as .xlsx bytes (an ArrayBuffer), or null when the library cannot be loaded
+    async function buildXLSX(){
       saveActiveState();
       const lib = XLSXRef || await ensureXLSX();
-      if(!lib){ fileInfo.textContent = 'XLSX export unavailable — library not loaded'; return; }
+      if(!lib) return null;
       const wb = lib.utils.book_new();
       sheets.forEach(sh=>{
         const aoa = sh.data.map(row=>row.map(cell=>cell.value));
@@ -994,34 +2466,73 @@ document.addEventListener('DOMContentLoaded', () => {
         for(let r=0;r<sh.rows;r++){
           for(let c=0;c<sh.cols;c++){
             const cell = sh.data[r][c];
-            if(!cell.bold && !cell.italic && !cell.bgColor) continue;
+            // Styled cells need a <c> element even when blank; their styles go in below
+            if(!isStyled(cell) && !cell.numFmt) continue;
             const addr = lib.utils.encode_cell({r,c});
             ws[addr] = ws[addr] || { t:'s', v: cell.value || '' };
-            ws[addr].s = ws[addr].s || {};
-            if(cell.bold || cell.italic){
-              ws[addr].s.font = ws[addr].s.font || {};
-              if(cell.bold) ws[addr].s.font.bold = true;
-              if(cell.italic) ws[addr].s.font.italic = true;
-            }
-            if(cell.bgColor){
-              ws[addr].s.fill = { patternType:'solid', fgColor:{ rgb:'FF'+cell.bgColor.slice(1).toUpperCase() } };
+            if(cell.numFmt){
+              // Formatted numbers (and typed dates) are written as numeric cells
+              const v = literalValue(String(cell.value));
+              if(typeof v === 'number'){ ws[addr].t = 'n'; ws[addr].v = v; }
+              ws[addr].z = cell.numFmt;
             }
           }
         }
+        if(sh.merges?.length) ws['!merges'] = sh.merges.map(m=>({s:{r:m.r1, c:m.c1}, e:{r:m.r2, c:m.c2}}));
         lib.utils.book_append_sheet(wb, ws, sh.name);
       });
-      lib.writeFile(wb, 'sheets.xlsx');
+      const frozen = sh => sh.freeze?.rows || sh.freeze?.cols;
+      const styled = sheets.map(sh=>sh.data.some(row=>row.some(isStyled)));
+      const bytes = lib.write(wb, {type:'array', bookType:'xlsx'});
+      if(!sheets.some((sh, i)=>styled[i] || sh.condFormats?.length || frozen(sh))) return bytes;
+      // SheetJS drops cell styles, conditional formats and frozen panes: write the file, then
+      // splice the styles, the rules with their differential styles and the panes into the
+      // sheet parts and styles.xml
+      const zipLib = await ensureJSZip();
+      if(!zipLib){ fileInfo.textContent = 'Cell styles, conditional formats and frozen panes not exported — ZIP library unavailable'; return bytes; }
+      const zip = await zipLib.loadAsync(bytes);
+      let stylesXml = await zip.file('xl/styles.xml').async('string');
+      const dxfs = [];
+      for(const [i, sh] of sheets.entries()){
+        if(!styled[i] && !sh.condFormats?.length && !frozen(sh)) continue;
+        const path = `xl/worksheets/sheet${i+1}.xml`;
+        let xml = await zip.file(path).async('string');
+        if(styled[i]){
+          const cells = new Map();
+          sh.data.forEach((row, r)=>row.forEach((cell, c)=>{ if(isStyled(cell)) cells.set(colLabel(c)+(r+1), cell); }));
+          ({styles:stylesXml, sheets:[xml]} = insertCellStyles(stylesXml, [{xml, cells}]));
+        }
+        if(frozen(sh)) xml = insertFrozenPane(xml, sh.freeze);
+        if(sh.condFormats?.length){
+          const cf = conditionalFormattingXML(sh.condFormats, dxfs.length);
+          dxfs.push(...cf.dxfs);
+          xml = insertConditionalFormatting(xml, cf.xml);
+        }
+        zip.file(path, xml);
+      }
+      zip.file('xl/styles.xml', insertDxfs(stylesXml, dxfs));
+      return zip.generateAsync({type:'arraybuffer'});
+    }
+    // Save XLSX (lazy-load lib to prevent ReferenceError)
+    saveXLSXBtn.onclick = async ()=>{
+      const bytes = await buildXLSX();
+      if(!bytes){ fileInfo.textContent = 'XLSX export unavailable — library not loaded'; return; }
+      markSaved();
+      const blob = new Blob([bytes], {type:'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'});
+      const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = 'sheets.xlsx'; a.click(); URL.revokeObjectURL(a.href);
     };
 
     // ===== Keyboard navigation (Enter/Shift+Enter, Tab/Shift+Tab, arrows) =====
         function focusCell(r,c,clearSel=true){
           r = Math.max(0, Math.min(rows-1, r));
           c = Math.max(0, Math.min(cols-1, c));
-          const el = tbody.querySelector(`.cell[data-r="${r}"][data-c="${c}"]`);
+          const m = mergeAt(r,c);
+          if(m){ r = m.r1; c = m.c1; }
+          scrollCellIntoView(r,c);
+          const el = cellEl(r,c);
           if (el){
-            el.focus();
+            el.focus({preventScroll:true});
             placeCaretEnd(el);
-            el.scrollIntoView({block:'nearest', inline:'nearest'});
           }
           setActiveCell(r,c,clearSel);
         }
@@ -1073,7 +2584,11 @@ document.addEventListener('DOMContentLoaded', () => {
           formulaVirtualCursor.active = false; // Reset on Enter
           updateFormulaCursorHighlight();
         }
-        focusCell(nr, nc);
+        // Step over the merged block being left; focusCell lands on the anchor of one entered
+        const here = mergeAt(r, c);
+        if(here && nr>r) nr = here.r2 + nr - r;
+        if(here && nc>c) nc = here.c2 + nc - c;
+        focusCell(visibleRow(nr, nr-r, r), nc);
       };
       
       // Excel-like formula navigation: insert cell references when editing formulas
@@ -1140,7 +2655,7 @@ document.addEventListener('DOMContentLoaded', () => {
           selection.removeAllRanges();
           selection.addRange(newRange);
 
-          recalc();
+          recalc([{r,c}]);
         }
       };
       
@@ -1148,7 +2663,7 @@ document.addEventListener('DOMContentLoaded', () => {
       if (e.key === 'Tab')   return go(r, c + (e.shiftKey?-1:1));
       
       // Arrow key behavior: insert cell references when editing formulas
-      if (isEditingFormula && formulaVirtualCursor.active && !e.shiftKey && !e.ctrlKey && !e.metaKey) {
+      if (isEditingFormula && formulaVirtualCursor.active && !batchEntry && !e.shiftKey && !e.ctrlKey && !e.metaKey) {
         if (e.key === 'ArrowDown') return insertCellRef(1, 0);
         if (e.key === 'ArrowUp') return insertCellRef(-1, 0);
         if (e.key === 'ArrowLeft') return insertCellRef(0, -1);
@@ -1172,9 +2687,15 @@ document.addEventListener('DOMContentLoaded', () => {
           else if(e.key === 'ArrowRight') nc++;
           else return;
           e.preventDefault();
+          const here = mergeAt(r, c);
+          if(here && nr>r) nr = here.r2 + 1;
+          if(here && nc>c) nc = here.c2 + 1;
           nr = Math.max(0, Math.min(rows-1, nr));
           nc = Math.max(0, Math.min(cols-1, nc));
+          // Focusing the cell must not make it the new anchor (see onCellFocus)
+          isShiftSelecting = true;
           focusCell(nr, nc, false);
+          isShiftSelecting = false;
           selectRange(anchorCell.r, anchorCell.c, nr, nc);
           return;
         }
@@ -1217,13 +2738,28 @@ document.addEventListener('DOMContentLoaded', () => {
     tbody.addEventListener('paste', (e)=>{
       const el = e.target.closest('.cell'); if (!el) return;
       e.preventDefault();
+      if (editBlocked()) return;
       const text = (e.clipboardData || window.clipboardData).getData('text');
       if (!text) return;
-      pushUndo();
       const rowsClip = text.replace(/\r/g,'').split('\n').map(r=>r.split('\t'));
       const r0 = +el.dataset.r, c0 = +el.dataset.c;
+      const width = rowsClip.reduce((m,r)=>Math.max(m, r.length), 0);
+      pushUndo('Paste', {r1:r0, c1:c0, r2:Math.min(rows, r0+rowsClip.length)-1, c2:Math.min(cols, c0+width)-1});
       const dr = copyOrigin ? r0 - copyOrigin.r : 0;
       const dc = copyOrigin ? c0 - copyOrigin.c : 0;
+      const pasted = [];
+      // Values breaking a stop rule are left out (custom rules wait for Circle invalid)
+      let rejected = 0, why = '';
+      const lists = new Map();
+      const allowed = (r, c, text)=>{
+        const v = validationAt(r,c);
+        if(!v || v.rule.type==='custom' || v.rule.errorStyle==='warning' || text.startsWith('=')) return true;
+        if(v.rule.type==='list' && !lists.has(v.index)) lists.set(v.index, listItems(v.rule));
+        if(passesEntry(v, r, c, text, lists.get(v.index))) return true;
+        rejected++;
+        why = describeValidation(v.rule, lists.get(v.index));
+        return false;
+      };
       for (let i=0;i<rowsClip.length;i++){
         for (let j=0;j<rowsClip[i].length;j++){
           const rr = r0+i, cc = c0+j;
@@ -1232,132 +2768,158 @@ document.addEventListener('DOMContentLoaded', () => {
             if(copyOrigin && typeof cellText==='string' && cellText.startsWith('=')){
               cellText = '=' + shiftFormulaRefs(cellText.slice(1), dr, dc);
             }
+            if(!allowed(rr, cc, cellText)) continue;
             data[rr][cc].value = cellText;
+            pasted.push({r:rr, c:cc});
           }
         }
       }
-      renderBody(); recalc();
+      recalc(pasted); renderBody();
       copyOrigin = null;
+      if(rejected) fileInfo.textContent = `${rejected} pasted value${rejected>1?'s':''} rejected: ${why}`;
+    });
+
+    // ===== Fill handle =====
+    // The square on the selection's corner: dragging it past the selection extends its values,
+    // formulas, formats and series (fill.js) over the cells dragged across, in any direction,
+    // and a double-click fills down as far as the data in the next column goes. Ctrl+D and
+    // Ctrl+R copy the top row down and the left column right.
+    const FILL_STEPS = {down:[1,0], up:[-1,0], right:[0,1], left:[0,-1]};
+    let fillDrag = null; // {src, target:{dir, count}} while the handle is dragged
+    function fillSource(){
+      return selectionRange || expandToMerges({r1:activeCell.r, c1:activeCell.c, r2:activeCell.r, c2:activeCell.c});
+    }
+    function syncFillHandle(){
+      const old = tbody.querySelector('.fill-handle');
+      old?.parentElement.classList.remove('has-fill-handle');
+      old?.remove();
+      const {r2, c2} = fillSource();
+      const m = mergeAt(r2, c2);
+      const td = cellEl(m ? m.r1 : r2, m ? m.c1 : c2)?.parentElement;
+      if(!td) return;
+      const handle = document.createElement('div');
+      handle.className = 'fill-handle';
+      handle.title = 'Drag to fill; double-click to fill down to the end of the data';
+      td.classList.add('has-fill-handle');
+      td.appendChild(handle);
+    }
+    // The count rows or columns beside src in direction dir, clipped to the sheet
+    function fillTarget(src, dir, count){
+      switch(dir){
+        case 'down': return {...src, r1:src.r2+1, r2:Math.min(rows-1, src.r2+count)};
+        case 'up': return {...src, r1:Math.max(0, src.r1-count), r2:src.r1-1};
+        case 'right': return {...src, c1:src.c2+1, c2:Math.min(cols-1, src.c2+count)};
+        case 'left': return {...src, c1:Math.max(0, src.c1-count), c2:src.c1-1};
+      }
+    }
+    // Dragging the handle to (r,c) fills towards the side it went furthest past
+    function dragTarget(src, r, c){
+      const past = {down:r-src.r2, up:src.r1-r, right:c-src.c2, left:src.c1-c};
+      const dir = Object.keys(past).reduce((a, b)=>past[b]>past[a] ? b : a);
+      return past[dir]>0 ? {dir, count:past[dir]} : null;
+    }
+    // Fill count rows/columns beside src from it, one undo step. Each column (filling up or
+    // down) or row (left or right) of src is a line that fillCells continues on its own.
+    function fillRange(src, dir, count, label='Fill', series=true){
+      if(editBlocked()) return null;
+      const target = fillTarget(src, dir, count);
+      if(target.r1>target.r2 || target.c1>target.c2) return null;
+      if(merges.some(m=>m.r1<=target.r2 && m.r2>=target.r1 && m.c1<=target.c2 && m.c2>=target.c1)){
+        fileInfo.textContent = 'Cannot fill over merged cells';
+        return null;
+      }
+      commitEntry();
+      pushUndo(label, target);
+      const [dr, dc] = FILL_STEPS[dir];
+      const n = dr ? src.r2-src.r1+1 : src.c2-src.c1+1;
+      const len = dr ? target.r2-target.r1+1 : target.c2-target.c1+1;
+      // Lines run away from the target's side, so position 0 is the far edge of src
+      const r0 = dr<0 ? src.r2 : src.r1, c0 = dc<0 ? src.c2 : src.c1;
+      const filled = [];
+      const lines = dr ? src.c2-src.c1+1 : src.r2-src.r1+1;
+      for(let k=0;k<lines;k++){
+        const at = j => dr ? {r:r0 + j*dr, c:src.c1+k} : {r:src.r1+k, c:c0 + j*dc};
+        const source = Array.from({length:n}, (_, j)=>{ const p = at(j); return data[p.r][p.c]; });
+        fillCells(source, len, dr, dc, series).forEach((cell, i)=>{
+          const p = at(n+i);
+          data[p.r][p.c] = cell;
+          filled.push(p);
+        });
+      }
+      recalc(filled); renderBody();
+      return target;
+    }
+    function paintFillPreview(){
+      const t = fillDrag?.target && fillTarget(fillDrag.src, fillDrag.target.dir, fillDrag.target.count);
+      for(const el of tbody.querySelectorAll('.cell')){
+        const r = +el.dataset.r, c = +el.dataset.c;
+        el.classList.toggle('fill-preview', !!t && r>=t.r1 && r<=t.r2 && c>=t.c1 && c<=t.c2);
+      }
+    }
+    tbody.addEventListener('mousedown', e=>{
+      if(!e.target.classList.contains('fill-handle')) return;
+      e.preventDefault();
+      fillDrag = {src:fillSource(), target:null};
+    });
+    tbody.addEventListener('mouseover', e=>{
+      if(!fillDrag) return;
+      const el = e.target.closest('.cell'); if(!el) return;
+      fillDrag.target = dragTarget(fillDrag.src, +el.dataset.r, +el.dataset.c);
+      paintFillPreview();
+    });
+    document.addEventListener('mouseup', ()=>{
+      if(!fillDrag) return;
+      const {src, target} = fillDrag;
+      fillDrag = null;
+      paintFillPreview();
+      const done = target && fillRange(src, target.dir, target.count);
+      if(done) selectRange(Math.min(src.r1, done.r1), Math.min(src.c1, done.c1), Math.max(src.r2, done.r2), Math.max(src.c2, done.c2));
+    });
+    tbody.addEventListener('dblclick', e=>{
+      if(!e.target.classList.contains('fill-handle')) return;
+      const src = fillSource();
+      const hasData = (r, c)=>c>=0 && c<cols && r<rows && String(data[r][c].value ?? '')!=='';
+      // The column that says how far to go: the one on the left, else the one on the right
+      const c = hasData(src.r2+1, src.c1-1) ? src.c1-1 : hasData(src.r2+1, src.c2+1) ? src.c2+1 : -1;
+      if(c<0) return;
+      let end = src.r2+1;
+      while(hasData(end+1, c)) end++;
+      const done = fillRange(src, 'down', end-src.r2);
+      if(done) selectRange(src.r1, src.c1, done.r2, src.c2);
+    });
+    document.addEventListener('keydown', e=>{
+      const key = e.key.toLowerCase();
+      if(!(e.ctrlKey || e.metaKey) || e.shiftKey || e.altKey || (key!=='d' && key!=='r')) return;
+      if(e.target.closest?.('input, textarea, select, .dialog, .agent-panel')) return;
+      e.preventDefault();
+      const dir = key==='d' ? 'down' : 'right';
+      const [a, b] = dir==='down' ? ['r1','r2'] : ['c1','c2'];
+      const sel = fillSource();
+      // A single row (column) is filled from the one above (left of) it, more from their first
+      const src = sel[a]===sel[b] ? {...sel, [a]:sel[a]-1, [b]:sel[a]-1} : {...sel, [b]:sel[a]};
+      if(src[a]<0) return;
+      fillRange(src, dir, sel[b]-src[b], dir==='down' ? 'Fill down' : 'Fill right', false);
     });
 
     // ===== Auto-fit columns (lightweight) =====
+    // Fills autoWidths for columns the user has not resized; the window layout uses them
     function autofitColumns(maxWidth=360){
       const ctx = document.createElement('canvas').getContext('2d');
       // Approximate table cell font (inherits from body)
       const bodyStyle = getComputedStyle(document.body);
       ctx.font = `${bodyStyle.fontSize} ${bodyStyle.fontFamily}`;
+      autoWidths = Array(cols).fill(null);
       for(let c=0;c<cols;c++){
-        if(colWidths[c]!=null){
-          applyColWidth(c, colWidths[c]);
-          continue;
-        }
+        if(colWidths[c]!=null) continue;
         let w = ctx.measureText(colLabel(c)).width + 24;
         for(let r=0;r<Math.min(rows, 50); r++){ // sample first 50 rows for speed
           const txt = String(displayValue(r,c));
           w = Math.max(w, ctx.measureText(txt).width + 24);
           if (w >= maxWidth) break;
         }
-        const finalW = Math.min(Math.max(80, Math.ceil(w)), maxWidth); // clamp 80..maxWidth
-        applyColWidth(c, finalW);
-      }
-    }
-
-    // ===== Runtime self-tests =====
-    document.getElementById('runTests').onclick = async ()=>{
-      const results = [];
-      // Existing Test 1: formula evaluation
-      const bak = data.map(r=>r.map(cell=>({...cell}))); const bakRows=rows, bakCols=cols;
-      rows=2; cols=3; data=createEmpty(rows,cols);
-      data[0][0].value='1'; data[0][1].value='2'; data[0][2].value='=A1+B1*3';
-      const val = valueAt(0,2);
-      results.push(val===7 ? '✓ Formula (=A1+B1*3) == 7' : `✗ Formula expected 7 got ${val}`);
-
-      // Existing Test 2: CSV roundtrip
-      const csv = toCSV();
-      const arr = parseCSV(csv);
-      const ok2 = arr[1][3]===undefined && arr[0][0]==='1' && arr[0][1]==='2' && arr[0][2]==='=A1+B1*3';
-      results.push(ok2 ? '✓ CSV roundtrip' : '✗ CSV roundtrip failed');
-
-      // Restore sheet
-      rows=bakRows; cols=bakCols; data=bak; renderHeader(); renderBody();
-
-      // Existing Test 3: XLSX availability (no failure if offline)
-      results.push((XLSXRef||window.XLSX) ? '✓ XLSX present' : '• XLSX not loaded (CSV still OK)');
-
-      // Added Test 4: SUM(range & multi-range) evaluation
-      rows=3; cols=3; data=createEmpty(rows,cols);
-      data[0][0].value='1'; data[0][1].value='2'; data[1][0].value='3'; data[1][1].value='4';
-      data[0][2].value='5'; data[1][2].value='6';
-      data[2][2].value='=SUM(A1:B2)';
-      const sumVal = valueAt(2,2);
-      results.push(sumVal===10 ? '✓ SUM(A1:B2) == 10' : `✗ SUM(A1:B2) expected 10 got ${sumVal}`);
-      data[2][2].value='=SUM(A1:B1,B2:C2)';
-      const sumVal2 = valueAt(2,2);
-      results.push(sumVal2===13 ? '✓ SUM(A1:B1,B2:C2) == 13' : `✗ SUM multi-range expected 13 got ${sumVal2}`);
-
-      // Added Test 5: A1 parse + colLabel check
-      const p = parseA1('AA10');
-      const lbl = colLabel(27); // 0-based 27 -> AB
-      const ok5 = p && p.r===9 && p.c===26 && lbl==='AB';
-      results.push(ok5 ? '✓ A1 parse & colLabel' : '✗ A1 parse/label failed');
-
-      // Added Test 6: Unsafe formula handled
-      data[0][0].value='=A1+BADFUNC(1)';
-      const unsafe = valueAt(0,0);
-      results.push(isErr(unsafe) ? '✓ Unsafe formula -> #VALUE!' : `✗ Unsafe formula not blocked (${unsafe})`);
-
-      // Added Test 7: Blank '=' preserved
-      data[0][0].value='='; const blank = valueAt(0,0);
-      results.push(blank==='=' ? '✓ Blank formula (=) kept' : `✗ '=' should be kept, got ${blank}`);
-
-      // Added Test 8: Whitespace-only after '=' preserved
-      data[0][0].value='=   '; const blank2 = valueAt(0,0);
-      results.push(/^=\s*$/.test(blank2) ? '✓ Whitespace-only formula kept' : `✗ '=   ' should be kept, got ${blank2}`);
-
-      // Added Test 9: Nested functions & MIN/MAX/AVERAGE
-      rows=2; cols=2; data=createEmpty(rows,cols);
-      data[0][0].value='5'; data[0][1].value='15';
-      data[1][0].value='=SUM(MIN(A1:B1), MAX(A1:B1), AVERAGE(A1:B1))';
-      const nested = valueAt(1,0);
-      results.push(nested===30 ? '✓ Nested MIN/MAX/AVERAGE' : `✗ Nested functions expected 30 got ${nested}`);
-
-      // Added Test 10: Parentheses precedence
-      data[1][1].value='=(1+2)*3';
-      const prec = valueAt(1,1);
-      results.push(prec===9 ? '✓ (1+2)*3 == 9' : `✗ (1+2)*3 expected 9 got ${prec}`);
-
-      // Added Test 11: Error propagation for non-numeric
-      rows=1; cols=3; data=createEmpty(rows,cols);
-      data[0][0].value='a';
-      data[0][1].value='=1+A1';
-      const err1 = valueAt(0,1);
-      results.push(err1 && err1.error==='#VALUE!' ? '✓ 1+A1 with A1="a" -> #VALUE!' : `✗ 1+A1 expected #VALUE! got ${String(err1)}`);
-      data[0][2].value='=SUM(1,A1)';
-      const err2 = valueAt(0,2);
-      results.push(err2 && err2.error==='#VALUE!' ? '✓ SUM(1,A1) -> #VALUE!' : `✗ SUM(1,A1) expected #VALUE! got ${String(err2)}`);
-
-      // Added Test 12: Blank cell reference -> #VALUE!
-      data=createEmpty(rows,cols);
-      data[0][1].value='=1+A1';
-      const errBlank = valueAt(0,1);
-      results.push(errBlank && errBlank.error==='#VALUE!' ? '✓ 1+A1 with A1 blank -> #VALUE!' : `✗ 1+A1 blank expected #VALUE! got ${String(errBlank)}`);
-
-      // Added Test 13: Absolute reference shifting
-      rows=3; cols=3; data=createEmpty(rows,cols);
-      data[0][0].value='1'; data[1][0].value='2'; data[0][1].value='3'; data[1][1].value='4';
-      const baseFormula='=$A$1+$A1+A$1+A1';
-      const shifted='='+shiftFormulaRefs(baseFormula.slice(1),1,1);
-      const okAbs = shifted==='=$A$1+$A2+B$1+B2';
-      data[2][2].value=shifted;
-      const absVal = valueAt(2,2);
-      results.push(okAbs && absVal===10 ? '✓ $A$1/$A1/A$1 refs' : `✗ $ refs failed (${shifted} -> ${absVal})`);
-
-      // Restore again
-      rows=bakRows; cols=bakCols; data=bak; renderHeader(); renderBody();
-
-      fileInfo.textContent = results.join(' | ');
-      log('Test results:', results.join(' | '));
-    };
+        autoWidths[c] = Math.min(Math.max(80, Math.ceil(w)), maxWidth); // clamp 80..maxWidth
+      }
+    }
 
     // ===== Dropdown menus (Export, Advanced) =====
     (function setupMenus(){
@@ -1428,7 +2990,508 @@ document.addEventListener('DOMContentLoaded', () => {
       });
     }
 
+    // ===== Agent =====
+    // The chat panel hands requests to a model (agent.js) that works through the tools below.
+    // A turn edits the workbook directly inside one history batch, so its changes appear in
+    // the grid as they are made; the panel then lists them, Approve keeps them as a single
+    // undo step and Reject rolls them back.
+    const agentPanel = document.getElementById('agentPanel');
+    const agentLog = document.getElementById('agentLog');
+    const agentForm = document.getElementById('agentForm');
+    const agentInput = document.getElementById('agentInput');
+    const agentReview = document.getElementById('agentReview');
+    const agentChanges = document.getElementById('agentChanges');
+    const AGENT_SETTINGS_KEY = 'miniExcel.agent';
+    const AGENT_READ_LIMIT = 2000; // cells per read_range, to keep requests small
+    const AGENT_FORMAT_KEYS = ['bold', 'italic', 'underline', 'wrap', 'color', 'bgColor', 'numFmt', 'hAlign'];
+    const agentSettings = {endpoint:'https://api.openai.com/v1', model:'gpt-4o-mini', apiKey:''};
+    try{ Object.assign(agentSettings, JSON.parse(localStorage.getItem(AGENT_SETTINGS_KEY) || '{}')); }catch{ /* keep defaults */ }
+    // Replaceable provider (see agent.js); null uses the endpoint from the settings
+    let agentProvider = null;
+    const agentMessages = [{role:'system', content:agentSystemPrompt()}];
+    let agentBusy = false;
+
+    // Sheet, cell and range arguments of the agent tools and window.MiniExcel, which throw
+    // on anything they cannot use. A sheet is a name, the active sheet when omitted.
+    function sheetArg(name){
+      const idx = name==null || name==='' ? activeSheetIndex : findSheetIndex(String(name));
+      if(idx<0) throw new Error(`No sheet named ${name}`);
+      return idx;
+    }
+    // The sheet made active, so a window.MiniExcel edit to it shows and is recorded against it
+    function editSheetArg(name){
+      const idx = sheetArg(name);
+      switchSheet(idx);
+      return idx;
+    }
+    function cellArg(text){
+      const p = parseA1(String(text ?? '').trim().replace(/\$/g, ''));
+      if(!p) throw new Error(`Not a cell: ${text}`);
+      return p;
+    }
+    function rangeArg(text){
+      const range = parseRangeText(String(text ?? ''));
+      if(!range) throw new Error(`Not a range: ${text}`);
+      return range;
+    }
+    // Add a sheet with the given name (the next free SheetN when omitted); returns its name
+    function addSheetArg(name){
+      const wanted = String(name ?? '').trim();
+      const problem = wanted && sheetNameError(wanted);
+      if(problem) throw new Error(problem);
+      addSheet(wanted || undefined);
+      return sheets[activeSheetIndex].name;
+    }
+    // Append blank rows/columns to sheet s (not the active one) until it is at least
+    // rowCount x colCount; nothing lies past its edge, so no reference or rule moves
+    function growSheet(s, rowCount, colCount){
+      const sh = sheets[s];
+      if(colCount > sh.cols){
+        for(const row of sh.data) row.push(...Array.from({length:colCount-sh.cols}, ()=>createCell()));
+        sh.colWidths.push(...Array(colCount-sh.cols).fill(null));
+        sh.cols = colCount;
+      }
+      if(rowCount > sh.rows){
+        sh.data.push(...Array.from({length:rowCount-sh.rows}, ()=>Array.from({length:sh.cols}, ()=>createCell())));
+        sh.rowHeights.push(...Array(rowCount-sh.rows).fill(null));
+        sh.rows = rowCount;
+      }
+    }
+    // Write rows of values into sheet s from cell p on, growing the sheet to fit (appending
+    // leaves every reference as it is); returns the range written, or null. The active
+    // sheet stays as it is and is redrawn only when it is the one written.
+    function writeValues(s, p, values){
+      if(!Array.isArray(values) || !values.every(Array.isArray)) throw new Error('values must be a list of rows');
+      const width = Math.max(0, ...values.map(row=>row.length));
+      if(!width) return null;
+      if(s===activeSheetIndex){
+        if(p.r+values.length > rows) spliceGrid('row', rows, p.r+values.length-rows);
+        if(p.c+width > cols) spliceGrid('col', cols, p.c+width-cols);
+      }else{
+        growSheet(s, p.r+values.length, p.c+width);
+      }
+      const d = sheetData(s);
+      const cells = [];
+      values.forEach((row, i)=>row.forEach((v, j)=>{
+        d[p.r+i][p.c+j].value = v==null ? '' : String(v);
+        cells.push({s, r:p.r+i, c:p.c+j});
+      }));
+      recalc(cells);
+      if(s===activeSheetIndex) renderBody();
+      return {r1:p.r, c1:p.c, r2:p.r+values.length-1, c2:p.c+width-1};
+    }
+    const agentHandlers = {
+      list_sheets(){
+        saveActiveState();
+        const sel = selectionRange || {r1:activeCell.r, c1:activeCell.c, r2:activeCell.r, c2:activeCell.c};
+        return {sheets:sheets.map(sh=>({name:sh.name, rows:sh.rows, cols:sh.cols})), active:sheets[activeSheetIndex].name, selection:rangeText(sel)};
+      },
+      // Results as the grid shows them, once pending recalculation is done; the active sheet stays
+      async read_range({sheet, range}){
+        const s = sheetArg(sheet);
+        const {r1, c1, ...end} = rangeArg(range);
+        await whenCalculated();
+        saveActiveState();
+        const c2 = Math.min(end.c2, sheets[s].cols-1);
+        let r2 = Math.min(end.r2, sheets[s].rows-1);
+        const width = c2-c1+1;
+        const truncated = width>0 && (r2-r1+1)*width > AGENT_READ_LIMIT;
+        if(truncated) r2 = r1 + Math.floor(AGENT_READ_LIMIT/width) - 1;
+        if(r1>r2 || c1>c2) return {values:[]};
+        const values = [], formulas = {};
+        for(let r=r1;r<=r2;r++){
+          const row = [];
+          for(let c=c1;c<=c2;c++){
+            const {value, result} = cellInfo(s, r, c);
+            row.push(result);
+            if(typeof value==='string' && value.startsWith('=')) formulas[colLabel(c)+(r+1)] = value;
+          }
+          values.push(row);
+        }
+        return {range:rangeText({r1, c1, r2, c2}), values, formulas, ...(truncated ? {truncated:true} : {})};
+      },
+      write_range({sheet, start, values}){
+        const range = writeValues(sheetArg(sheet), cellArg(start), values);
+        if(!range) return {written:0};
+        return {written:values.reduce((n, row)=>n + row.length, 0), range:rangeText(range)};
+      },
+      set_formula({sheet, cell, formula}){
+        const f = String(formula ?? '').trim();
+        return agentHandlers.write_range({sheet, start:cell, values:[[f.startsWith('=') ? f : '='+f]]});
+      },
+      add_sheet({name}){
+        return {name:addSheetArg(name)};
+      },
+      format_cells({sheet, range, format}){
+        const s = sheetArg(sheet);
+        const r = rangeArg(range);
+        saveActiveState();
+        const r2 = Math.min(r.r2, sheets[s].rows-1), c2 = Math.min(r.c2, sheets[s].cols-1);
+        const fields = {};
+        for(const k of AGENT_FORMAT_KEYS) if(format && k in format) fields[k] = format[k];
+        for(const k of ['color', 'bgColor']){
+          if(fields[k] && !/^#[0-9a-f]{6}$/i.test(fields[k])) throw new Error(`${k} must be #rrggbb`);
+        }
+        const d = sheetData(s);
+        for(let rr=r.r1;rr<=r2;rr++) for(let c=r.c1;c<=c2;c++) Object.assign(d[rr][c], fields);
+        touchWorkbook();
+        if(s===activeSheetIndex) renderBody();
+        return {formatted:Math.max(0, (r2-r.r1+1)*(c2-r.c1+1))};
+      }
+    };
+
+    function addAgentMessage(role, text){
+      const div = document.createElement('div');
+      div.className = `agent-msg ${role}`;
+      div.textContent = text;
+      agentLog.appendChild(div);
+      agentLog.scrollTop = agentLog.scrollHeight;
+    }
+    agentForm.addEventListener('submit', async e=>{
+      e.preventDefault();
+      const text = agentInput.value.trim();
+      if(!text || agentBusy) return;
+      if(batchEntry){ addAgentMessage('error', 'Approve or reject the changes above first'); return; }
+      agentInput.value = '';
+      agentBusy = true;
+      agentForm.classList.add('busy');
+      addAgentMessage('user', text);
+      commitEntry();
+      beginBatch(`Agent: ${text.length>40 ? text.slice(0, 39)+'…' : text}`);
+      agentMessages.push({role:'user', content:text});
+      try{
+        const reply = await runAgent({
+          provider: agentProvider || createOpenAIProvider(agentSettings),
+          messages: agentMessages,
+          handlers: agentHandlers,
+          onTool: (name, args, result)=>addAgentMessage('tool', `${name} ${JSON.stringify(args)}${result?.error ? ` — ${result.error}` : ''}`)
+        });
+        addAgentMessage('assistant', reply);
+      }catch(err){
+        addAgentMessage('error', err.message || String(err));
+        log('Agent error:', err.message||err);
+      }
+      agentBusy = false;
+      agentForm.classList.remove('busy');
+      reviewAgentTurn();
+    });
+    // List what the turn changed; a turn that changed nothing leaves no undo step
+    function reviewAgentTurn(){
+      saveActiveState();
+      const changes = diffWorkbooks(batchEntry.state.sheets, sheets);
+      if(!changes.length){ dropUndo(endBatch()); return; }
+      agentChanges.innerHTML = '';
+      for(const ch of changes.slice(0, 50)){
+        const li = document.createElement('li');
+        const where = ch.kind==='value' || ch.kind==='format' ? `${ch.sheet}!${colLabel(ch.c)}${ch.r+1}` : ch.sheet;
+        li.textContent = ch.kind==='sheetAdded' ? `New sheet ${where}`
+          : ch.kind==='sheetRemoved' ? `Deleted sheet ${where}`
+          : ch.kind==='format' ? `${where}: formatting`
+          : `${where}: ${ch.before || '(blank)'} → ${ch.after || '(blank)'}`;
+        li.className = ch.kind;
+        agentChanges.appendChild(li);
+      }
+      if(changes.length>50){
+        const li = document.createElement('li');
+        li.textContent = `…and ${changes.length-50} more`;
+        agentChanges.appendChild(li);
+      }
+      agentReview.hidden = false;
+    }
+    document.getElementById('agentApprove').addEventListener('click', ()=>{
+      endBatch();
+      agentReview.hidden = true;
+      renderHistory();
+      fileInfo.textContent = 'Agent changes applied';
+    });
+    document.getElementById('agentReject').addEventListener('click', ()=>{
+      const item = endBatch();
+      agentReview.hidden = true;
+      if(item && undoStack.at(-1)===item){
+        undo();
+        redoStack.pop();
+        renderHistory();
+      }
+      agentMessages.push({role:'user', content:'I rejected those changes, so they were rolled back.'});
+      fileInfo.textContent = 'Agent changes rolled back';
+    });
+
+    document.getElementById('agentBtn')?.addEventListener('click', ()=>{
+      agentPanel.hidden = !agentPanel.hidden;
+      if(!agentPanel.hidden) agentInput.focus();
+    });
+    document.getElementById('agentClose').addEventListener('click', ()=>{ agentPanel.hidden = true; });
+    agentInput.addEventListener('keydown', e=>{
+      if(e.key==='Enter' && !e.shiftKey){ e.preventDefault(); agentForm.requestSubmit(); }
+    });
+    for(const [id, key] of [['agentEndpoint', 'endpoint'], ['agentModel', 'model'], ['agentKey', 'apiKey']]){
+      const input = document.getElementById(id);
+      input.value = agentSettings[key];
+      input.addEventListener('change', ()=>{
+        agentSettings[key] = input.value.trim();
+        localStorage.setItem(AGENT_SETTINGS_KEY, JSON.stringify(agentSettings));
+      });
+    }
+
+    // ===== Autosave and recent workbooks =====
+    // The open workbook is written to IndexedDB (storage.js) a moment after each change and
+    // reopened on the next visit. Opening a file or exporting one counts as saving it; if the
+    // stored workbook changed after that (the tab was closed or crashed first), the recovery
+    // bar says so and offers to go back to the saved copy.
+    const AUTOSAVE_DELAY = 1000;
+    let currentWorkbook = {id:newWorkbookId(), name:'Untitled', updatedAt:0, savedAt:0};
+    let autosaveReady = false; // off until the previous session has been restored
+    let autosaveTimer = 0;
+    function newWorkbookId(){
+      return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+    // Something in the workbook changed: note when, and store it shortly
+    function touchWorkbook(){
+      queueChangeEvent();
+      if(!autosaveReady) return;
+      currentWorkbook.updatedAt = Date.now();
+      clearTimeout(autosaveTimer);
+      autosaveTimer = setTimeout(autosave, AUTOSAVE_DELAY);
+    }
+    async function autosave(saved=false){
+      clearTimeout(autosaveTimer);
+      autosaveTimer = 0;
+      saveActiveState();
+      try{
+        await storeWorkbook({...currentWorkbook}, workbookToJSON(sheets, activeSheetIndex), saved);
+        refreshRecent();
+      }catch(err){
+        log('Autosave error:', err.message||err);
+      }
+    }
+    // Store any pending change before the workbook is replaced
+    function flushAutosave(){
+      if(autosaveTimer) autosave();
+    }
+    // The sheets now hold a different workbook; saved=true when it matches a file (just opened)
+    function startWorkbook(name, saved){
+      const now = Date.now();
+      currentWorkbook = {id:newWorkbookId(), name, updatedAt:now, savedAt:now};
+      recoveryBar.hidden = true;
+      clearHistory();
+      if(saved) autosave(true);
+      else{ clearTimeout(autosaveTimer); autosaveTimer = 0; refreshRecent(); }
+    }
+    // The workbook was just exported: the stored copy is the saved one now
+    function markSaved(){
+      currentWorkbook.savedAt = currentWorkbook.updatedAt = Date.now();
+      recoveryBar.hidden = true;
+      autosave(true);
+    }
+    // Show a stored workbook, keeping its stored timestamps
+    function openStored(meta, doc){
+      const {sheets:stored, active} = workbookFromJSON(doc, createSheet);
+      const ready = autosaveReady;
+      autosaveReady = false;
+      sheets.splice(0, sheets.length, ...stored);
+      currentWorkbook = {...meta};
+      loadSheet(Math.min(active, sheets.length-1));
+      renderTabs();
+      clearHistory();
+      autosaveReady = ready;
+    }
+    async function restoreSession(){
+      try{
+        const [last] = await listRecent();
+        const draft = last && await loadDraft(last.id);
+        if(draft){
+          openStored(last, draft);
+          if(last.updatedAt > last.savedAt) showRecovery(last);
+        }
+      }catch(err){
+        log('Session restore error:', err.message||err);
+      }
+      autosaveReady = true;
+      refreshRecent();
+    }
+
+    const recoveryBar = document.getElementById('recoveryBar');
+    function showRecovery(meta){
+      const when = t => new Date(t).toLocaleString();
+      document.getElementById('recoveryText').textContent = `Recovered unsaved changes to ${meta.name} from ${when(meta.updatedAt)}`
+        + (meta.savedAt ? ` (last saved ${when(meta.savedAt)})` : '');
+      recoveryBar.hidden = false;
+    }
+    document.getElementById('recoveryKeep').addEventListener('click', ()=>{ recoveryBar.hidden = true; });
+    // Go back to the last saved copy, or to a blank workbook when there never was one
+    document.getElementById('recoveryDiscard').addEventListener('click', async ()=>{
+      if(editBlocked()) return;
+      recoveryBar.hidden = true;
+      const saved = await loadSaved(currentWorkbook.id).catch(()=>null);
+      if(saved){
+        openStored({...currentWorkbook, updatedAt:currentWorkbook.savedAt}, saved);
+        autosave();
+      }else{
+        clearTimeout(autosaveTimer);
+        autosaveTimer = 0;
+        await forgetWorkbook(currentWorkbook.id).catch(()=>null);
+        newWorkbook();
+      }
+      fileInfo.textContent = 'Unsaved changes discarded';
+    });
+
+    const recentSelect = document.getElementById('recentSelect');
+    async function refreshRecent(){
+      if(!recentSelect) return;
+      const list = (await listRecent().catch(()=>[])).filter(w=>w.id!==currentWorkbook.id);
+      recentSelect.length = 1; // keep the "Recent…" placeholder
+      for(const w of list) recentSelect.add(new Option(`${w.name} — ${new Date(w.updatedAt).toLocaleString()}`, w.id));
+      recentSelect.disabled = !list.length;
+    }
+    recentSelect?.addEventListener('change', async ()=>{
+      const id = recentSelect.value;
+      recentSelect.value = '';
+      if(!id || editBlocked()) return;
+      flushAutosave();
+      const meta = (await listRecent()).find(w=>w.id===id);
+      const draft = meta && await loadDraft(id);
+      if(!draft){ fileInfo.textContent = 'That workbook is no longer stored'; refreshRecent(); return; }
+      openStored(meta, draft);
+      recoveryBar.hidden = true;
+      if(meta.updatedAt > meta.savedAt) showRecovery(meta);
+      fileInfo.textContent = `Opened ${meta.name}`;
+      refreshRecent();
+    });
+    window.addEventListener('pagehide', flushAutosave);
+    document.addEventListener('visibilitychange', ()=>{ if(document.hidden) flushAutosave(); });
+
+    // ===== Scripting API =====
+    // window.MiniExcel lets scripts, tests and extensions drive the editor (see "Scripting API"
+    // in README.md). Calls take the paths the matching UI actions take, so each edit is one
+    // undo step and recalculates, autosaves and repaints as if typed. Sheets are given by name,
+    // the active sheet when omitted; editing another sheet makes it active. Results are
+    // calculated asynchronously, so read them after `await MiniExcel.calculated()`.
+    const apiListeners = {change:new Set(), calculated:new Set()};
+    let changeQueued = false;
+    let calcWaiters = [];
+    function emitApiEvent(type){
+      for(const fn of apiListeners[type]){
+        try{ fn({type}); }catch(err){ log(`MiniExcel ${type} listener error:`, err.message||err); }
+      }
+    }
+    // Called on every workbook change (touchWorkbook); listeners hear of a burst of them once
+    function queueChangeEvent(){
+      if(changeQueued || !apiListeners.change.size) return;
+      changeQueued = true;
+      queueMicrotask(()=>{ changeQueued = false; emitApiEvent('change'); });
+    }
+    // The latest recalculation finished (ok) or failed
+    function settleCalculation(ok){
+      const waiters = calcWaiters;
+      calcWaiters = [];
+      for(const resolve of waiters) resolve();
+      if(ok) emitApiEvent('calculated');
+    }
+    // Resolves once results are up to date (the latest recalculation finished or failed)
+    function whenCalculated(){
+      if(!recalcTimer && calcDoneSeq===calcSeq) return Promise.resolve();
+      return new Promise(resolve=>calcWaiters.push(resolve));
+    }
+    // What a script sees of a cell: the stored value, its result and the text the grid shows
+    function cellInfo(s, r, c){
+      const value = rawValue(r, c, s);
+      const result = typeof value==='string' && value.startsWith('=') ? calcValues.get(nodeKey(s, r, c)) ?? '' : literalValue(String(value));
+      return {value, result:isErr(result) ? result.error : result, text:cellDisplay(r, c, s).text};
+    }
+    // An agent turn under review is one open history entry that would swallow the edit
+    function checkEditable(){
+      if(batchEntry) throw new Error('Approve or reject the agent\'s changes first');
+    }
+    function apiWrite(sheet, start, values){
+      checkEditable();
+      editSheetArg(sheet);
+      const p = cellArg(start);
+      if(!Array.isArray(values) || !values.every(Array.isArray)) throw new Error('values must be a list of rows');
+      const range = {r1:p.r, c1:p.c, r2:p.r+values.length-1, c2:p.c+Math.max(0, ...values.map(row=>row.length))-1};
+      if(range.r2<range.r1 || range.c2<range.c1) return;
+      // Growing the sheet splices the whole workbook, so then the write is recorded with it
+      const grows = range.r2>=rows || range.c2>=cols;
+      if(grows) beginBatch(`Edit ${rangeText(range)}`);
+      else pushUndo(`Edit ${rangeText(range)}`, range);
+      try{ writeValues(activeSheetIndex, p, values); }finally{ if(grows) endBatch(); }
+    }
+
+    window.MiniExcel = Object.freeze({
+      version: 1,
+      sheets(){
+        saveActiveState();
+        return sheets.map(sh=>({name:sh.name, rows:sh.rows, cols:sh.cols}));
+      },
+      activeSheet(){ return sheets[activeSheetIndex].name; },
+      activateSheet(name){ switchSheet(sheetArg(name)); },
+      getCell(ref, sheet){
+        const s = sheetArg(sheet), {r, c} = cellArg(ref);
+        return cellInfo(s, r, c);
+      },
+      // Rows of getCell results; whole rows/columns (A:C, 2:5) stop at the sheet's edge
+      getRange(range, sheet){
+        const s = sheetArg(sheet), {r1, c1, r2, c2} = rangeArg(range);
+        const d = sheetData(s), out = [];
+        for(let r=r1;r<=Math.min(r2, d.length-1);r++){
+          const row = [];
+          for(let c=c1;c<=Math.min(c2, d[r].length-1);c++) row.push(cellInfo(s, r, c));
+          out.push(row);
+        }
+        return out;
+      },
+      setCell(ref, value, sheet){ apiWrite(sheet, ref, [[value]]); },
+      setRange(start, values, sheet){ apiWrite(sheet, start, values); },
+      evaluate(formula, sheet){
+        const v = evaluateOnPage(sheetArg(sheet), String(formula).trim().replace(/^=/, ''));
+        return isErr(v) ? v.error : v;
+      },
+      calculated(){ return whenCalculated(); },
+      addSheet(name){
+        checkEditable();
+        return addSheetArg(name);
+      },
+      renameSheet(name, newName){
+        checkEditable();
+        const idx = sheetArg(name), wanted = String(newName ?? '').trim();
+        const problem = wanted ? sheetNameError(wanted, idx) : 'A sheet needs a name';
+        if(problem) throw new Error(problem);
+        renameSheet(idx, wanted);
+      },
+      deleteSheet(name){
+        checkEditable();
+        const idx = sheetArg(name);
+        if(sheets.length===1) throw new Error('A workbook keeps at least one sheet');
+        deleteSheet(idx);
+      },
+      undo(){ checkEditable(); undo(); },
+      redo(){ checkEditable(); redo(); },
+      importCSV(text, fileName='data.csv'){
+        checkEditable();
+        openCSVText(String(text), fileName);
+      },
+      async importXLSX(buffer, fileName='workbook.xlsx'){
+        checkEditable();
+        return openXLSXBuffer(buffer, fileName);
+      },
+      exportCSV(sheet){ return toCSV(sheetData(sheetArg(sheet))); },
+      async exportXLSX(){
+        const bytes = await buildXLSX();
+        if(!bytes) throw new Error('XLSX library unavailable');
+        return bytes;
+      },
+      // Events: 'change' (the workbook changed) and 'calculated' (results are up to date).
+      // Returns a function that unsubscribes.
+      on(type, fn){
+        if(!apiListeners[type]) throw new Error(`Unknown event ${type}`);
+        apiListeners[type].add(fn);
+        return ()=>apiListeners[type].delete(fn);
+      },
+      off(type, fn){ apiListeners[type]?.delete(fn); }
+    });
+
     // ===== Init =====
+    startCalc();
     renderHeader(); renderBody(); recalc(); renderTabs();
+    restoreSession();
 });
 
@@ -0,0 +1,6 @@
+// Formula engine worker: holds the workbook's cell contents and recalculates them off
+// the main thread. Protocol: see serveEngine in engine.js.
+import { serveEngine } from './engine.js';
+
+const handle = serveEngine(msg => self.postMessage(msg));
+self.onmessage = e => handle(e.data);
@@ -0,0 +1,218 @@
+// Conditional formatting: per-sheet rule lists evaluated to per-cell style overrides, and
+// their XLSX <conditionalFormatting> markup. A rule is
+//   {range:{r1,c1,r2,c2}, type, style:{bgColor, color, bold, italic}, ...type fields}
+// with type fields
+//   cellValue   op ('>' '>=' '<' '<=' '=' '<>' 'between' 'notBetween'), value, value2
+//   text        op ('contains' 'notContains' 'begins' 'ends'), value
+//   top         n, bottom, percent
+//   duplicate   unique (true: mark values that occur once instead)
+//   formula     formula written for the range's top-left cell (relative refs follow each cell)
+//   colorScale  colors: [min, max] or [min, mid, max]
+//   dataBar     color
+// colorScale and dataBar ignore `style`. Colours are #rrggbb.
+import { literalValue, isErr } from './engine.js';
+
+// Text/number comparison shared with the AutoFilter. v is the typed value, text what the
+// cell shows; numbers (and dates) compare numerically, everything else as text.
+export function matchesCondition(v, text, op, arg){
+  const t = text.toLowerCase(), a = String(arg ?? '').toLowerCase();
+  switch(op){
+    case 'contains': return t.includes(a);
+    case 'notContains': return !t.includes(a);
+    case 'begins': return t.startsWith(a);
+    case 'ends': return t.endsWith(a);
+  }
+  const want = literalValue(String(arg ?? '').trim());
+  const numeric = typeof v==='number' && typeof want==='number';
+  if(typeof want==='number' && !numeric && op!=='=' && op!=='<>') return false;
+  const d = numeric ? v - want : t.localeCompare(a, undefined, {sensitivity:'base'});
+  switch(op){
+    case '=': return d===0;
+    case '<>': return d!==0;
+    case '>': return d>0;
+    case '>=': return d>=0;
+    case '<': return d<0;
+    case '<=': return d<=0;
+  }
+  return true;
+}
+
+// cellAt(r,c) -> {value, text}; formulaValue(ruleIndex, r, c) -> the engine's result for
+// a formula rule at that cell. Returns Map "r,c" -> {bgColor, color, bold, italic, bar:{pct,color}}.
+// Earlier rules take priority where rules set the same property.
+export function computeConditionalStyles(rules, cellAt, formulaValue){
+  const out = new Map();
+  for(let i=rules.length-1;i>=0;i--){
+    const rule = rules[i];
+    const cells = [];
+    const {r1,c1,r2,c2} = rule.range;
+    for(let r=r1;r<=r2;r++) for(let c=c1;c<=c2;c++) cells.push({r, c, ...cellAt(r,c)});
+    const apply = (cell, style)=>{
+      const key = cell.r+','+cell.c;
+      out.set(key, {...out.get(key), ...style});
+    };
+    const nums = cells.filter(x=>typeof x.value==='number');
+    if(rule.type==='colorScale' || rule.type==='dataBar'){
+      if(!nums.length) continue;
+      const vals = nums.map(x=>x.value).sort((a,b)=>a-b);
+      const min = vals[0], max = vals[vals.length-1];
+      for(const x of nums){
+        const f = max===min ? 1 : (x.value-min)/(max-min);
+        if(rule.type==='dataBar') apply(x, {bar:{pct: Math.round(10 + f*90), color: rule.color}});
+        else apply(x, {bgColor: scaleColor(rule.colors, f, (percentile(vals, .5)-min)/((max-min)||1))});
+      }
+      continue;
+    }
+    const match = ruleMatcher(rule, cells, nums, (r,c)=>formulaValue(i, r, c));
+    for(const x of cells) if(match(x)) apply(x, pickStyle(rule.style));
+  }
+  return out;
+}
+
+function ruleMatcher(rule, cells, nums, formulaValue){
+  switch(rule.type){
+    case 'cellValue':
+      if(rule.op==='between' || rule.op==='notBetween'){
+        const a = literalValue(String(rule.value ?? '').trim()), b = literalValue(String(rule.value2 ?? '').trim());
+        const lo = Math.min(a,b), hi = Math.max(a,b);
+        const inside = x => typeof x.value==='number' && x.value>=lo && x.value<=hi;
+        return rule.op==='between' ? inside : x => x.value!=='' && !inside(x);
+      }
+      return x => x.value!=='' && !isErr(x.value) && matchesCondition(x.value, x.text, rule.op, rule.value);
+    case 'text':
+      return x => x.value!=='' && matchesCondition(x.value, x.text, rule.op, rule.value);
+    case 'top': {
+      const vals = nums.map(x=>x.value).sort((a,b)=> rule.bottom ? a-b : b-a);
+      const n = rule.percent ? Math.max(1, Math.floor(vals.length*(+rule.n||0)/100)) : (+rule.n||0);
+      if(!n || !vals.length) return ()=>false;
+      const cut = vals[Math.min(n, vals.length)-1];
+      return x => typeof x.value==='number' && (rule.bottom ? x.value<=cut : x.value>=cut);
+    }
+    case 'duplicate': {
+      const counts = new Map();
+      for(const x of cells) if(x.value!=='') counts.set(x.text.toLowerCase(), (counts.get(x.text.toLowerCase())||0)+1);
+      return x => x.value!=='' && (counts.get(x.text.toLowerCase())>1) !== !!rule.unique;
+    }
+    case 'formula':
+      return x => {
+        const v = formulaValue(x.r, x.c);
+        return v===true || (typeof v==='number' && v!==0);
+      };
+  }
+  return ()=>false;
+}
+
+function pickStyle(style={}){
+  const out = {};
+  for(const k of ['bgColor','color','bold','italic']) if(style[k]) out[k] = style[k];
+  return out;
+}
+function percentile(sorted, p){
+  const i = (sorted.length-1)*p, lo = Math.floor(i);
+  return sorted[lo] + (sorted[Math.ceil(i)]-sorted[lo])*(i-lo);
+}
+// Colour at fraction f along a 2- or 3-stop scale (the middle stop sits at `mid`)
+function scaleColor(colors, f, mid){
+  if(colors.length<3) return mix(colors[0], colors[1], f);
+  return f<=mid ? mix(colors[0], colors[1], mid ? f/mid : 1) : mix(colors[1], colors[2], (f-mid)/((1-mid)||1));
+}
+function mix(a, b, f){
+  const ch = (hex, i) => parseInt(hex.slice(1+2*i, 3+2*i), 16);
+  return '#' + [0,1,2].map(i=>Math.round(ch(a,i) + (ch(b,i)-ch(a,i))*f).toString(16).padStart(2,'0')).join('');
+}
+
+// ===== XLSX =====
+const CELL_IS_OPS = {'>':'greaterThan', '>=':'greaterThanOrEqual', '<':'lessThan', '<=':'lessThanOrEqual',
+  '=':'equal', '<>':'notEqual', between:'between', notBetween:'notBetween'};
+const esc = s => String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+const argb = hex => 'FF' + hex.slice(1).toUpperCase();
+function a1(r, c){
+  let s = ''; c++;
+  while(c>0){ const m = (c-1)%26; s = String.fromCharCode(65+m) + s; c = Math.floor((c-1)/26); }
+  return s + (r+1);
+}
+// A rule operand as an Excel formula: numbers as-is, anything else as a "string"
+function operand(v){
+  const t = String(v ?? '').trim();
+  return t!=='' && isFinite(Number(t)) ? t : `"${t.replace(/"/g,'""')}"`;
+}
+
+// <conditionalFormatting> blocks for one sheet's rules plus the differential styles
+// (<dxf>) they use, numbered from dxfStart in the workbook's shared <dxfs> list.
+// SheetJS does not write conditional formats, so these are spliced into its output.
+export function conditionalFormattingXML(rules, dxfStart=0){
+  const dxfs = [];
+  const blocks = rules.map((rule, i)=>{
+    const {r1,c1,r2,c2} = rule.range;
+    const sqref = r1===r2 && c1===c2 ? a1(r1,c1) : `${a1(r1,c1)}:${a1(r2,c2)}`;
+    const tl = a1(r1,c1), priority = i+1;
+    const dxf = () => { dxfs.push(dxfXML(rule.style)); return dxfStart + dxfs.length - 1; };
+    let body;
+    switch(rule.type){
+      case 'cellValue': {
+        const formulas = [rule.value, ...(rule.op==='between' || rule.op==='notBetween' ? [rule.value2] : [])]
+          .map(v=>`<formula>${esc(operand(v))}</formula>`).join('');
+        body = `<cfRule type="cellIs" dxfId="${dxf()}" priority="${priority}" operator="${CELL_IS_OPS[rule.op]}">${formulas}</cfRule>`;
+        break;
+      }
+      case 'text': {
+        const q = `"${String(rule.value ?? '').replace(/"/g,'""')}"`;
+        const [type, op, f] = {
+          contains: ['containsText', 'containsText', `NOT(ISERROR(SEARCH(${q},${tl})))`],
+          notContains: ['notContainsText', 'notContains', `ISERROR(SEARCH(${q},${tl}))`],
+          begins: ['beginsWith', 'beginsWith', `LEFT(${tl},LEN(${q}))=${q}`],
+          ends: ['endsWith', 'endsWith', `RIGHT(${tl},LEN(${q}))=${q}`]
+        }[rule.op];
+        body = `<cfRule type="${type}" dxfId="${dxf()}" priority="${priority}" operator="${op}" text="${esc(rule.value)}"><formula>${esc(f)}</formula></cfRule>`;
+        break;
+      }
+      case 'top':
+        body = `<cfRule type="top10" dxfId="${dxf()}" priority="${priority}" rank="${+rule.n||10}"${rule.percent?' percent="1"':''}${rule.bottom?' bottom="1"':''}/>`;
+        break;
+      case 'duplicate':
+        body = `<cfRule type="${rule.unique?'uniqueValues':'duplicateValues'}" dxfId="${dxf()}" priority="${priority}"/>`;
+        break;
+      case 'formula':
+        body = `<cfRule type="expression" dxfId="${dxf()}" priority="${priority}"><formula>${esc(String(rule.formula).replace(/^=/,''))}</formula></cfRule>`;
+        break;
+      case 'colorScale': {
+        const stops = rule.colors.length>2 ? '<cfvo type="min"/><cfvo type="percentile" val="50"/><cfvo type="max"/>' : '<cfvo type="min"/><cfvo type="max"/>';
+        body = `<cfRule type="colorScale" priority="${priority}"><colorScale>${stops}${rule.colors.map(c=>`<color rgb="${argb(c)}"/>`).join('')}</colorScale></cfRule>`;
+        break;
+      }
+      case 'dataBar':
+        body = `<cfRule type="dataBar" priority="${priority}"><dataBar><cfvo type="min"/><cfvo type="max"/><color rgb="${argb(rule.color)}"/></dataBar></cfRule>`;
+        break;
+      default:
+        return '';
+    }
+    return `<conditionalFormatting sqref="${sqref}">${body}</conditionalFormatting>`;
+  });
+  return {xml: blocks.join(''), dxfs};
+}
+function dxfXML(style={}){
+  const font = (style.bold?'<b/>':'') + (style.italic?'<i/>':'') + (style.color?`<color rgb="${argb(style.color)}"/>`:'');
+  const fill = style.bgColor ? `<fill><patternFill><bgColor rgb="${argb(style.bgColor)}"/></patternFill></fill>` : '';
+  return `<dxf>${font?`<font>${font}</font>`:''}${fill}</dxf>`;
+}
+
+// Elements that follow <conditionalFormatting> in a worksheet, in schema order
+const AFTER_CF = ['dataValidations','hyperlinks','printOptions','pageMargins','pageSetup','headerFooter',
+  'rowBreaks','colBreaks','customProperties','cellWatches','ignoredErrors','smartTags','drawing',
+  'legacyDrawing','legacyDrawingHF','picture','oleObjects','controls','webPublishItems','tableParts','extLst'];
+export function insertConditionalFormatting(sheetXml, cfXml){
+  if(!cfXml) return sheetXml;
+  let at = sheetXml.lastIndexOf('</worksheet>');
+  for(const tag of AFTER_CF){
+    const i = sheetXml.indexOf('<'+tag);
+    if(i>=0 && i<at) at = i;
+  }
+  return sheetXml.slice(0, at) + cfXml + sheetXml.slice(at);
+}
+export function insertDxfs(stylesXml, dxfs){
+  if(!dxfs.length) return stylesXml;
+  const list = `<dxfs count="${dxfs.length}">${dxfs.join('')}</dxfs>`;
+  if(/<dxfs[^>]*\/>/.test(stylesXml)) return stylesXml.replace(/<dxfs[^>]*\/>/, list);
+  const at = stylesXml.search(/<tableStyles|<colors|<extLst|<\/styleSheet>/);
+  return stylesXml.slice(0, at) + list + stylesXml.slice(at);
+}
@@ -0,0 +1,37 @@
+// CSV text <-> rows. toCSV writes a sheet's cells (the raw values, so formulas stay
+// formulas); parseCSV reads quoted fields (with commas, "" and line breaks), LF or CRLF line
+// ends and a leading byte order mark, into rows of strings padded to the widest row.
+
+export function toCSV(d){
+  return d.map(row=>
+    row.map(cell=>{
+      const s = String(cell.value ?? '');
+      if(/[,"\n]/.test(s)) return `"${s.replace(/"/g,'""')}"`;
+      return s;
+    }).join(',')
+  ).join('\n');
+}
+export function parseCSV(text){
+  if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+  const out = []; let row=[]; let i=0; let cur=''; let inQ=false;
+  const pushCell =()=>{ row.push(cur); cur=''; };
+  const pushRow =()=>{ out.push(row); row=[]; };
+  while(i<text.length){
+    const ch = text[i++];
+    if(inQ){
+      if(ch === '"'){
+        if(text[i]==='"'){ cur+='"'; i++; } else { inQ=false; }
+      }else cur += ch;
+    }else{
+      if(ch === '"'){ inQ=true; }
+      else if(ch === ','){ pushCell(); }
+      else if(ch === '\n'){ pushCell(); pushRow(); }
+      else if(ch === '\r'){ /* ignore */ }
+      else cur += ch;
+    }
+  }
+  // A line break at the very end closes the last row rather than starting another
+  if(!(out.length && !row.length && cur==='' && text.endsWith('\n'))){ pushCell(); pushRow(); }
+  const maxC = out.reduce((m,r)=>Math.max(m, r.length), 0);
+  return out.map(r=>r.concat(Array(Math.max(0,maxC-r.length)).fill('')));
+}
@@ -0,0 +1,941 @@
+// Formula engine: typed values, the function library, the tokenizer/parser and
+// dependency-graph recalculation. It never touches the DOM, so the same module runs
+// inside calc-worker.js and, as a fallback, on the page itself (see serveEngine).
+
+function escapeRegExp(s){ return s.replace(/[.*+?^${}()|[\]\\]/g,'\\$&'); }
+export function parseA1(ref){
+  const m = /^(\$?)([A-Z]+)(\$?)(\d+)$/.exec(ref.toUpperCase());
+  if(!m) return null;
+  const absCol = !!m[1];
+  const absRow = !!m[3];
+  const c = m[2].split('').reduce((a,ch)=>a*26 + (ch.charCodeAt(0)-64),0)-1;
+  const r = parseInt(m[4],10)-1;
+  if(r<0) return null; // there is no row 0
+  return {r, c, absRow, absCol};
+}
+
+export const VALUE_ERROR = {error:'#VALUE!'};
+export const CIRC_ERROR = {error:'#CIRC!'};
+export const REF_ERROR = {error:'#REF!'};
+export const DIV0_ERROR = {error:'#DIV/0!'};
+export const NA_ERROR = {error:'#N/A'};
+export const NUM_ERROR = {error:'#NUM!'};
+export const ERROR_LITERALS = {'#VALUE!':VALUE_ERROR, '#CIRC!':CIRC_ERROR, '#REF!':REF_ERROR, '#DIV/0!':DIV0_ERROR, '#N/A':NA_ERROR, '#NUM!':NUM_ERROR};
+export function isErr(v){ return v && typeof v === 'object' && 'error' in v; }
+function numeric(v){
+  if(isErr(v)) return v;
+  if(typeof v === 'number') return v;
+  if(typeof v === 'boolean') return v ? 1 : 0;
+  if(v === '') return VALUE_ERROR;
+  const n = Number(v);
+  if(isFinite(n)) return n;
+  return parseDateLiteral(String(v).trim()) ?? VALUE_ERROR;
+}
+// Typed value of a literal (non-formula) cell: numbers, dates and TRUE/FALSE are converted
+export function literalValue(raw){
+  if(raw === '') return '';
+  const t = raw.trim();
+  if(t !== '' && isFinite(Number(t))) return Number(t);
+  const serial = parseDateLiteral(t);
+  if(serial != null) return serial;
+  const u = t.toUpperCase();
+  if(u === 'TRUE' || u === 'FALSE') return u === 'TRUE';
+  return raw;
+}
+
+// ----- Dates: Excel serial numbers (1 = 1900-01-01, keeping Excel's phantom 1900-02-29) -----
+const MS_PER_DAY = 86400000;
+const SERIAL_EPOCH = Date.UTC(1899,11,30);
+function dateToSerial(y,m,d){
+  const n = (Date.UTC(y, m-1, d) - SERIAL_EPOCH) / MS_PER_DAY;
+  return n < 61 ? n-1 : n;
+}
+// UTC Date for a serial; read it back with getUTC* accessors
+export function serialToDate(serial){
+  let days = Math.floor(serial);
+  if(days < 61) days += 1;
+  return new Date(SERIAL_EPOCH + days*MS_PER_DAY + Math.round((serial - Math.floor(serial)) * MS_PER_DAY));
+}
+export function serialToISO(serial, withTime=false){
+  const iso = serialToDate(serial).toISOString();
+  return withTime ? iso.slice(0,16).replace('T',' ') : iso.slice(0,10);
+}
+// Typed dates and times: 2026-10-19, 2026/10/19 14:30, 14:30:05
+function parseDateLiteral(text){
+  let m = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+  if(m){
+    const [y,mo,d] = [+m[1], +m[2], +m[3]];
+    const check = new Date(Date.UTC(y, mo-1, d));
+    if(check.getUTCMonth() !== mo-1 || check.getUTCDate() !== d) return null;
+    const time = m[4] ? timeFraction(+m[4], +m[5], +(m[6]||0)) : 0;
+    return time == null ? null : dateToSerial(y,mo,d) + time;
+  }
+  m = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(text);
+  return m ? timeFraction(+m[1], +m[2], +(m[3]||0)) : null;
+}
+function timeFraction(h, mi, sec){
+  if(h>23 || mi>59 || sec>59) return null;
+  return (h*3600 + mi*60 + sec) / 86400;
+}
+function todaySerial(){
+  const now = new Date();
+  return dateToSerial(now.getFullYear(), now.getMonth()+1, now.getDate());
+}
+// Results of these functions display as dates rather than bare serials: the number
+// format used when the cell has none of its own
+export function autoDateFormat(raw){
+  const m = /^=\s*(TODAY|NOW|DATE|EDATE)\s*\(/i.exec(raw);
+  return m ? (m[1].toUpperCase()==='NOW' ? 'yyyy-mm-dd hh:mm' : 'yyyy-mm-dd') : null;
+}
+
+export function toText(v){
+  if(typeof v === 'boolean') return v ? 'TRUE' : 'FALSE';
+  return String(v ?? '');
+}
+function toBool(v){
+  if(isErr(v) || typeof v === 'boolean') return v;
+  if(typeof v === 'number') return v !== 0;
+  if(v === '') return false;
+  const u = String(v).toUpperCase();
+  if(u === 'TRUE' || u === 'FALSE') return u === 'TRUE';
+  return VALUE_ERROR;
+}
+// Excel ordering: numbers < text < logicals; text compares case-insensitively
+function compareValues(a,b){
+  if(a === '') a = typeof b === 'number' ? 0 : typeof b === 'boolean' ? false : '';
+  if(b === '') b = typeof a === 'number' ? 0 : typeof a === 'boolean' ? false : '';
+  const rank = v => typeof v === 'number' ? 0 : typeof v === 'boolean' ? 2 : 1;
+  if(rank(a) !== rank(b)) return rank(a) - rank(b);
+  if(rank(a) === 1){ a = String(a).toLowerCase(); b = String(b).toLowerCase(); }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+// Ranges evaluate to 2-D arrays (rows of typed values) so shape and text survive
+function isRange(v){ return Array.isArray(v); }
+// Numeric arguments for aggregates: text, logicals and blanks inside ranges are skipped
+function flatten(args){
+  const out=[];
+  for(const a of args){
+    if(isRange(a)){
+      for(const row of a) for(const x of row) if(isErr(x) || typeof x==='number') out.push(x);
+    }
+    else out.push(numeric(a));
+  }
+  return out;
+}
+function sumFn(args){
+  const v=flatten(args);
+  for(const x of v) if(isErr(x)) return x;
+  return v.reduce((a,b)=>a+b,0);
+}
+function minFn(args){
+  const v=flatten(args);
+  for(const x of v) if(isErr(x)) return x;
+  return v.length?Math.min(...v):0;
+}
+function maxFn(args){
+  const v=flatten(args);
+  for(const x of v) if(isErr(x)) return x;
+  return v.length?Math.max(...v):0;
+}
+function avgFn(args){
+  const v=flatten(args);
+  for(const x of v) if(isErr(x)) return x;
+  const s=sumFn(v);
+  return isErr(s)?s:(v.length?s/v.length:0);
+}
+function arity(name, args, min, max=min){
+  if(args.length<min || args.length>max) throw new Error(`${name} expects ${min===max?min:`${min}-${max}`} argument${max===1?'':'s'}`);
+}
+function logicalValues(args){
+  const out=[];
+  for(const a of args){
+    if(isRange(a)){
+      for(const row of a) for(const x of row){
+        if(isErr(x)) return x;
+        if(typeof x==='number' || typeof x==='boolean') out.push(toBool(x));
+      }
+      continue;
+    }
+    const b=toBool(a);
+    if(isErr(b)) return b;
+    out.push(b);
+  }
+  return out;
+}
+function ifFn(args){
+  arity('IF', args, 2, 3);
+  const cond=toBool(args[0]);
+  if(isErr(cond)) return cond;
+  return cond ? args[1] : (args.length>2 ? args[2] : false);
+}
+function andFn(args){
+  const v=logicalValues(args);
+  return isErr(v) ? v : v.every(Boolean);
+}
+function orFn(args){
+  const v=logicalValues(args);
+  return isErr(v) ? v : v.some(Boolean);
+}
+function notFn(args){
+  arity('NOT', args, 1);
+  const b=toBool(args[0]);
+  return isErr(b) ? b : !b;
+}
+function iferrorFn(args){
+  arity('IFERROR', args, 2);
+  return isErr(args[0]) ? args[1] : args[0];
+}
+function iserrorFn(args){ arity('ISERROR', args, 1); return !!isErr(args[0]); }
+function isblankFn(args){ arity('ISBLANK', args, 1); return args[0]===''; }
+
+// ----- Lookup functions -----
+function wildcardRegex(pattern){
+  let src='';
+  for(let i=0;i<pattern.length;i++){
+    const ch=pattern[i];
+    if(ch==='~' && i+1<pattern.length) src+=escapeRegExp(pattern[++i]);
+    else if(ch==='*') src+='.*';
+    else if(ch==='?') src+='.';
+    else src+=escapeRegExp(ch);
+  }
+  return new RegExp(`^${src}$`,'i');
+}
+// Position of target in list, or -1. mode: 0 exact, -1 exact or next smaller,
+// 1 exact or next larger, 2 exact with * ? ~ wildcards for text
+function findMatch(list, target, mode=0, reverse=false){
+  const re = mode===2 && typeof target==='string' ? wildcardRegex(target) : null;
+  let best=-1;
+  for(let k=0;k<list.length;k++){
+    const i = reverse ? list.length-1-k : k;
+    const v = list[i];
+    if(v==='' || isErr(v)) continue;
+    if(re){ if(typeof v==='string' && re.test(v)) return i; continue; }
+    const d = compareValues(v, target);
+    if(d===0) return i;
+    if(typeof v!==typeof target) continue;
+    if(mode===-1 && d<0 && (best<0 || compareValues(v, list[best])>0)) best=i;
+    if(mode===1 && d>0 && (best<0 || compareValues(v, list[best])<0)) best=i;
+  }
+  return best;
+}
+// Single row or column of a range as a flat list, or null for 2-D ranges
+function vector(range){
+  if(range.length===1) return range[0];
+  if(range.every(row=>row.length===1)) return range.map(row=>row[0]);
+  return null;
+}
+function transpose(range){ return range[0].map((_,c)=>range.map(row=>row[c])); }
+// VLOOKUP/HLOOKUP: search the first column (or row) and return from the index-th one
+function tableLookup(name, args, byRow){
+  arity(name, args, 3, 4);
+  const [target, table, index, approx=true] = args;
+  if(isErr(target)) return target;
+  if(isRange(target) || !isRange(table)) return VALUE_ERROR;
+  const rowsOf = byRow ? transpose(table) : table;
+  const n = numeric(index); if(isErr(n)) return n;
+  const approxMatch = toBool(approx); if(isErr(approxMatch)) return approxMatch;
+  const k = Math.trunc(n);
+  if(k<1) return VALUE_ERROR;
+  if(k>rowsOf[0].length) return REF_ERROR;
+  const i = findMatch(rowsOf.map(row=>row[0]), target, approxMatch ? -1 : 2);
+  return i<0 ? NA_ERROR : rowsOf[i][k-1];
+}
+function vlookupFn(args){ return tableLookup('VLOOKUP', args, false); }
+function hlookupFn(args){ return tableLookup('HLOOKUP', args, true); }
+function indexFn(args){
+  arity('INDEX', args, 2, 3);
+  const arr = isRange(args[0]) ? args[0] : [[args[0]]];
+  let r = numeric(args[1]); if(isErr(r)) return r;
+  let c;
+  if(args.length>2){ c = numeric(args[2]); if(isErr(c)) return c; }
+  else if(arr.length===1 && arr[0].length>1){ c = r; r = 1; }
+  else c = arr[0].length===1 ? 1 : 0;
+  r = Math.trunc(r); c = Math.trunc(c);
+  if(r<0 || c<0) return VALUE_ERROR;
+  if(r>arr.length || c>arr[0].length) return REF_ERROR;
+  if(r===0 && c===0) return arr;
+  if(r===0) return arr.map(row=>[row[c-1]]);
+  if(c===0) return [arr[r-1]];
+  return arr[r-1][c-1];
+}
+function matchFn(args){
+  arity('MATCH', args, 2, 3);
+  const [target, range, type=1] = args;
+  if(isErr(target)) return target;
+  if(isRange(target)) return VALUE_ERROR;
+  const list = isRange(range) ? vector(range) : [range];
+  if(!list) return NA_ERROR;
+  const t = numeric(type); if(isErr(t)) return t;
+  const i = findMatch(list, target, t>0 ? -1 : t<0 ? 1 : 2);
+  return i<0 ? NA_ERROR : i+1;
+}
+function xlookupFn(args){
+  arity('XLOOKUP', args, 3, 6);
+  const [target, lookupRange, returnRange, ifNotFound=NA_ERROR, matchMode=0, searchMode=1] = args;
+  if(isErr(target)) return target;
+  if(isRange(target) || !isRange(lookupRange) || !isRange(returnRange)) return VALUE_ERROR;
+  const list = vector(lookupRange);
+  if(!list) return VALUE_ERROR;
+  const vertical = lookupRange.length>1 || lookupRange[0].length===1;
+  if(vertical ? returnRange.length!==list.length : returnRange[0].length!==list.length) return VALUE_ERROR;
+  const mode = numeric(matchMode); if(isErr(mode)) return mode;
+  const search = numeric(searchMode); if(isErr(search)) return search;
+  if(![0,-1,1,2].includes(mode) || ![1,-1,2,-2].includes(search)) return VALUE_ERROR;
+  const i = findMatch(list, target, mode, search<0);
+  if(i<0) return ifNotFound;
+  const hit = vertical ? [returnRange[i]] : returnRange.map(row=>[row[i]]);
+  return hit.length===1 && hit[0].length===1 ? hit[0][0] : hit;
+}
+function naFn(args){ arity('NA', args, 0); return NA_ERROR; }
+
+// ----- Text functions -----
+function firstErr(...vals){ return vals.find(isErr); }
+function textOf(v){ return isRange(v) ? VALUE_ERROR : isErr(v) ? v : toText(v); }
+function intOf(v){ const n=numeric(isRange(v) ? VALUE_ERROR : v); return isErr(n) ? n : Math.trunc(n); }
+// Every value of the arguments as text, ranges expanded row by row
+function textValues(args){
+  const out=[];
+  for(const a of args){
+    for(const x of (isRange(a) ? a.flat() : [a])){
+      if(isErr(x)) return x;
+      out.push(toText(x));
+    }
+  }
+  return out;
+}
+function leftFn(args){
+  arity('LEFT', args, 1, 2);
+  const t=textOf(args[0]), n=args.length>1 ? intOf(args[1]) : 1;
+  const e=firstErr(t,n); if(e) return e;
+  return n<0 ? VALUE_ERROR : t.slice(0,n);
+}
+function rightFn(args){
+  arity('RIGHT', args, 1, 2);
+  const t=textOf(args[0]), n=args.length>1 ? intOf(args[1]) : 1;
+  const e=firstErr(t,n); if(e) return e;
+  return n<0 ? VALUE_ERROR : t.slice(Math.max(0, t.length-n));
+}
+function midFn(args){
+  arity('MID', args, 3);
+  const t=textOf(args[0]), start=intOf(args[1]), n=intOf(args[2]);
+  const e=firstErr(t,start,n); if(e) return e;
+  return start<1 || n<0 ? VALUE_ERROR : t.slice(start-1, start-1+n);
+}
+function lenFn(args){
+  arity('LEN', args, 1);
+  const t=textOf(args[0]);
+  return isErr(t) ? t : t.length;
+}
+function upperFn(args){ arity('UPPER', args, 1); const t=textOf(args[0]); return isErr(t) ? t : t.toUpperCase(); }
+function lowerFn(args){ arity('LOWER', args, 1); const t=textOf(args[0]); return isErr(t) ? t : t.toLowerCase(); }
+function trimFn(args){
+  arity('TRIM', args, 1);
+  const t=textOf(args[0]);
+  return isErr(t) ? t : t.replace(/^ +| +$/g,'').replace(/ {2,}/g,' ');
+}
+function concatFn(args){
+  const v=textValues(args);
+  return isErr(v) ? v : v.join('');
+}
+function textjoinFn(args){
+  if(args.length<3) throw new Error('TEXTJOIN expects at least 3 arguments');
+  const delim=textOf(args[0]), ignoreEmpty=toBool(args[1]), v=textValues(args.slice(2));
+  const e=firstErr(delim,ignoreEmpty,v); if(e) return e;
+  return (ignoreEmpty ? v.filter(x=>x!=='') : v).join(delim);
+}
+function substituteFn(args){
+  arity('SUBSTITUTE', args, 3, 4);
+  const t=textOf(args[0]), from=textOf(args[1]), to=textOf(args[2]);
+  const nth=args.length>3 ? intOf(args[3]) : 0;
+  const e=firstErr(t,from,to,nth); if(e) return e;
+  if(from==='') return t;
+  if(args.length<=3) return t.split(from).join(to);
+  if(nth<1) return VALUE_ERROR;
+  let at=-1;
+  for(let k=0;k<nth;k++){ at=t.indexOf(from, at+1); if(at<0) return t; }
+  return t.slice(0,at) + to + t.slice(at+from.length);
+}
+function findFn(args){
+  arity('FIND', args, 2, 3);
+  const needle=textOf(args[0]), hay=textOf(args[1]), start=args.length>2 ? intOf(args[2]) : 1;
+  const e=firstErr(needle,hay,start); if(e) return e;
+  if(start<1 || start>hay.length+1) return VALUE_ERROR;
+  const at=hay.indexOf(needle, start-1);
+  return at<0 ? VALUE_ERROR : at+1;
+}
+
+// ----- Date functions -----
+function serialArg(v){
+  const n = numeric(isRange(v) ? VALUE_ERROR : v);
+  return isErr(n) ? n : n<0 ? NUM_ERROR : n;
+}
+function todayFn(args){ arity('TODAY', args, 0); return todaySerial(); }
+function nowFn(args){
+  arity('NOW', args, 0);
+  const now = new Date();
+  return todaySerial() + timeFraction(now.getHours(), now.getMinutes(), now.getSeconds());
+}
+function dateFn(args){
+  arity('DATE', args, 3);
+  let [y,m,d] = args.map(intOf);
+  const e=firstErr(y,m,d); if(e) return e;
+  if(y<1900) y+=1900;
+  if(y>9999) return NUM_ERROR;
+  const serial = dateToSerial(y,m,d);
+  return serial<1 ? NUM_ERROR : serial;
+}
+function datePartFn(name, part){
+  return args=>{
+    arity(name, args, 1);
+    const n=serialArg(args[0]); if(isErr(n)) return n;
+    const d=serialToDate(n);
+    return part==='y' ? d.getUTCFullYear() : part==='m' ? d.getUTCMonth()+1 : d.getUTCDate();
+  };
+}
+function edateFn(args){
+  arity('EDATE', args, 2);
+  const n=serialArg(args[0]), months=intOf(args[1]);
+  const e=firstErr(n,months); if(e) return e;
+  const d=serialToDate(n);
+  const y=d.getUTCFullYear(), m=d.getUTCMonth()+months;
+  const lastDay=new Date(Date.UTC(y, m+1, 0)).getUTCDate();
+  const t=new Date(Date.UTC(y, m, Math.min(d.getUTCDate(), lastDay)));
+  return dateToSerial(t.getUTCFullYear(), t.getUTCMonth()+1, t.getUTCDate());
+}
+function networkdaysFn(args){
+  arity('NETWORKDAYS', args, 2, 3);
+  const a=serialArg(args[0]), b=serialArg(args[1]);
+  const e=firstErr(a,b); if(e) return e;
+  const holidays=new Set();
+  for(const h of (args.length>2 ? (isRange(args[2]) ? args[2].flat() : [args[2]]) : [])){
+    if(h==='') continue;
+    const n=serialArg(h); if(isErr(n)) return n;
+    holidays.add(Math.floor(n));
+  }
+  const from=Math.floor(Math.min(a,b)), to=Math.floor(Math.max(a,b));
+  let count=0;
+  for(let n=from;n<=to;n++){
+    const wd=serialToDate(n).getUTCDay();
+    if(wd!==0 && wd!==6 && !holidays.has(n)) count++;
+  }
+  return a<=b ? count : -count;
+}
+
+const fnMap = {
+  SUM: sumFn, MIN: minFn, MAX: maxFn, AVERAGE: avgFn,
+  IF: ifFn, AND: andFn, OR: orFn, NOT: notFn,
+  IFERROR: iferrorFn, ISERROR: iserrorFn, ISBLANK: isblankFn,
+  VLOOKUP: vlookupFn, HLOOKUP: hlookupFn, INDEX: indexFn, MATCH: matchFn, XLOOKUP: xlookupFn, NA: naFn,
+  LEFT: leftFn, RIGHT: rightFn, MID: midFn, LEN: lenFn, UPPER: upperFn, LOWER: lowerFn, TRIM: trimFn,
+  CONCAT: concatFn, TEXTJOIN: textjoinFn, SUBSTITUTE: substituteFn, FIND: findFn,
+  TODAY: todayFn, NOW: nowFn, DATE: dateFn, YEAR: datePartFn('YEAR','y'), MONTH: datePartFn('MONTH','m'),
+  DAY: datePartFn('DAY','d'), EDATE: edateFn, NETWORKDAYS: networkdaysFn
+};
+// Names of the supported worksheet functions
+export const FUNCTION_NAMES = Object.keys(fnMap);
+
+export function isBlankFormula(s){ return typeof s==='string' && /^=\s*$/.test(s); }
+
+export function tokenize(str){
+  const tokens=[]; let i=0;
+  const len=str.length;
+  const isDigit=ch=>/\d/.test(ch);
+  const isAlpha=ch=>/[A-Za-z]/.test(ch);
+  while(i<len){
+    const ch=str[i];
+    if(ch===" "||ch==="\t"||ch==="\n"||ch==="\r"){ i++; continue; }
+    if("+-*/(),&=".includes(ch)){ tokens.push({type:ch}); i++; continue; }
+    if(ch==='<' || ch==='>'){
+      const two=str.slice(i,i+2);
+      if(two==='<>' || two==='<=' || two==='>='){ tokens.push({type:two}); i+=2; }
+      else { tokens.push({type:ch}); i++; }
+      continue;
+    }
+    if(ch==='"'){
+      // String literal; "" escapes a quote
+      let j=i+1, text='';
+      while(j<len){
+        if(str[j]==='"'){ if(str[j+1]==='"'){ text+='"'; j+=2; continue; } break; }
+        text+=str[j++];
+      }
+      if(j>=len) throw new Error('Unterminated string');
+      tokens.push({type:'str', value:text}); i=j+1;
+      continue;
+    }
+    if(ch==='#'){
+      const m = /^#(?:VALUE!|CIRC!|REF!|DIV\/0!|N\/A|NUM!)/i.exec(str.slice(i));
+      if(!m) throw new Error('Unexpected character #');
+      tokens.push({type:'err', value:ERROR_LITERALS[m[0].toUpperCase()]}); i+=m[0].length;
+      continue;
+    }
+    if(ch==="'"){
+      // Quoted sheet name: 'My Sheet'!A1 ('' escapes a quote)
+      let j=i+1, name='';
+      while(j<len){
+        if(str[j]==="'"){ if(str[j+1]==="'"){ name+="'"; j+=2; continue; } break; }
+        name+=str[j++];
+      }
+      if(str[j]!=="'" || str[j+1]!=='!') throw new Error('Invalid sheet reference');
+      i=j+2;
+      tokens.push(readRef(name));
+      continue;
+    }
+    if(isDigit(ch)){
+      let s=i; while(isDigit(str[i])) i++; if(str[i]==='.') { i++; while(isDigit(str[i])) i++; }
+      tokens.push({type:'num', value:parseFloat(str.slice(s,i))});
+      continue;
+    }
+    if(isAlpha(ch) || ch==='$'){
+      const sm = /^([A-Za-z][A-Za-z0-9_.]*)!/.exec(str.slice(i));
+      if(sm){ i+=sm[0].length; tokens.push(readRef(sm[1])); continue; }
+      if(/^\$?[A-Za-z]+\$?\d+/.test(str.slice(i))){ tokens.push(readRef(null)); continue; }
+      let s=i; while(i<len && isAlpha(str[i])) i++; const letters=str.slice(s,i).toUpperCase();
+      tokens.push({type:'id', value:letters});
+      continue;
+    }
+    throw new Error('Unexpected character '+ch);
+  }
+  return tokens;
+
+  // Cell or range reference at i, optionally qualified by a sheet name
+  function readRef(sheet){
+    const m = /^\$?[A-Za-z]+\$?\d+/.exec(str.slice(i));
+    if(!m) throw new Error('Invalid reference');
+    const cell1=parseA1(m[0]); i+=m[0].length;
+    if(str[i]===':'){
+      const m2 = /^\$?[A-Za-z]+\$?\d+/.exec(str.slice(i+1));
+      if(!m2) throw new Error('Invalid range');
+      const cell2=parseA1(m2[0]);
+      i += 1 + m2[0].length;
+      return {type:'range', sheet, start:cell1, end:cell2};
+    }
+    return {type:'cell', sheet, pos:cell1};
+  }
+}
+
+export function nodeKey(s,r,c){ return `${s}!${r},${c}`; }
+export function parseNodeKey(key){
+  const bang = key.indexOf('!'), comma = key.indexOf(',');
+  return {s:+key.slice(0,bang), r:+key.slice(bang+1,comma), c:+key.slice(comma+1)};
+}
+
+// Formulas that must be recalculated as time passes
+const VOLATILE_RE = /\b(?:TODAY|NOW)\s*\(/i;
+
+// ===== Engine instance =====
+// Owns a copy of the workbook's raw cell contents: book is [{name, cells}] with cells a
+// 2-D array of the strings typed into the grid. Styles and layout stay on the page.
+export function createEngine(){
+  let book = [];
+  const errMap = new Map(); // node key -> error message
+
+  // Dependency graph & value cache. Nodes are cells keyed "s!r,c". Each formula node records the single cells and the
+  // ranges it reads; `dependents` is the reverse index for single cells, ranges are
+  // matched by containment. Edits invalidate only the edited cells and everything
+  // downstream of them; flushCalc re-evaluates those in topological order.
+  const valueCache = new Map();
+  const cellPrecedents = new Map();  // formula key -> Set of cell keys
+  const rangePrecedents = new Map(); // formula key -> [{s,r1,c1,r2,c2}]
+  const dependents = new Map();      // cell key -> Set of formula keys
+  const formulaNodes = new Set();
+  const volatileNodes = new Set();
+  const pendingDirty = new Set();
+  let pendingAll = true;
+  let graphReady = false;
+  let onValue = null, flushTotal = 0; // flush() listener and the number of nodes it will see
+
+  function rawValue(r,c,s){ return book[s]?.cells[r]?.[c] ?? ''; }
+  function findSheetIndex(name){
+    const n=name.toLowerCase();
+    return book.findIndex(sh=>sh.name.toLowerCase()===n);
+  }
+  function cacheValue(key, v){
+    valueCache.set(key, v);
+    onValue?.(key, v, flushTotal);
+  }
+  // s: index of the sheet the formula lives on (bare refs resolve against it)
+  function evaluateFormula(expr, visited, s){
+    const tokens=tokenize(expr.trim()); let i=0;
+    function peek(){ return tokens[i]; }
+    function consume(type){ const t=tokens[i]; if(!t||t.type!==type) throw new Error('Expected '+type); i++; return t; }
+    function scalar(v){
+      if(Array.isArray(v)) throw new Error('Invalid range in expression');
+      return v;
+    }
+    // Precedence (low to high): comparison, &, + -, * /, unary
+    function parseComparison(){
+      let val=parseConcat();
+      while(peek() && ['=','<>','<','>','<=','>='].includes(peek().type)){
+        const op=consume(peek().type).type;
+        const a=scalar(val), b=scalar(parseConcat());
+        if(isErr(a)) continue;
+        if(isErr(b)){ val=b; continue; }
+        const d=compareValues(a,b);
+        val = op==='=' ? d===0 : op==='<>' ? d!==0 : op==='<' ? d<0 : op==='>' ? d>0 : op==='<=' ? d<=0 : d>=0;
+      }
+      return val;
+    }
+    function parseConcat(){
+      let val=parseExpression();
+      while(peek() && peek().type==='&'){
+        consume('&');
+        const a=scalar(val), b=scalar(parseExpression());
+        if(isErr(a)) continue;
+        val = isErr(b) ? b : toText(a)+toText(b);
+      }
+      return val;
+    }
+    function parseExpression(){
+      let val=parseTerm();
+      while(peek() && (peek().type==='+'||peek().type==='-')){
+        const op=consume(peek().type).type;
+        const a=numeric(scalar(val)), b=numeric(scalar(parseTerm()));
+        if(isErr(a)) { val=a; continue; }
+        if(isErr(b)){ val=b; continue; }
+        val = op==='+'? a+b : a-b;
+      }
+      return val;
+    }
+    function parseTerm(){
+      let val=parseFactor();
+      while(peek() && (peek().type==='*'||peek().type==='/')){
+        const op=consume(peek().type).type;
+        const a=numeric(scalar(val)), b=numeric(scalar(parseFactor()));
+        if(isErr(a)) { val=a; continue; }
+        if(isErr(b)){ val=b; continue; }
+        if(op==='/' && b===0){ val=DIV0_ERROR; continue; }
+        val = op==='*'? a*b : a/b;
+      }
+      return val;
+    }
+    function parseFactor(){
+      const t=peek();
+      if(t && t.type==='+'){ consume('+'); return parseFactor(); }
+      if(t && t.type==='-'){ consume('-'); const v=numeric(scalar(parseFactor())); return isErr(v) ? v : -v; }
+      return parsePrimary();
+    }
+    function parsePrimary(){
+      const t=peek(); if(!t) throw new Error('Unexpected end');
+      if(t.type==='num'){ consume('num'); return t.value; }
+      if(t.type==='str'){ consume('str'); return t.value; }
+      if(t.type==='err'){ consume('err'); return t.value; }
+      if(t.type==='cell'){
+        consume('cell'); const si=refSheet(t); if(si<0) return REF_ERROR;
+        return valueAt(t.pos.r,t.pos.c, visited, si);
+      }
+      if(t.type==='range'){
+        consume('range'); const si=refSheet(t); if(si<0) return REF_ERROR;
+        const out=[];
+        const r1=Math.min(t.start.r,t.end.r), r2=Math.max(t.start.r,t.end.r);
+        const c1=Math.min(t.start.c,t.end.c), c2=Math.max(t.start.c,t.end.c);
+        for(let r=r1;r<=r2;r++){
+          const row=[];
+          for(let c=c1;c<=c2;c++) row.push(valueAt(r,c, visited, si));
+          out.push(row);
+        }
+        return out;
+      }
+      if(t.type==='id'){
+        if(tokens[i+1]?.type==='(') return parseFunctionCall();
+        consume('id');
+        if(t.value==='TRUE' || t.value==='FALSE') return t.value==='TRUE';
+        throw new Error(`Unknown name ${t.value}`);
+      }
+      if(t.type==='('){ consume('('); const v=parseComparison(); consume(')'); return v; }
+      throw new Error('Unexpected token');
+    }
+    function refSheet(t){ return t.sheet==null ? s : findSheetIndex(t.sheet); }
+    function parseFunctionCall(){
+      const name=consume('id').value; consume('(');
+      const args=[]; if(peek() && peek().type!==')'){ do{ args.push(parseComparison()); if(peek() && peek().type===',') consume(','); else break; }while(true); }
+      consume(')'); const fn=fnMap[name]; if(!fn) throw new Error(`Unknown function ${name}`);
+      return fn(args);
+    }
+    const result=parseComparison();
+    if(i<tokens.length) throw new Error('Unexpected token');
+    if(Array.isArray(result)) throw new Error('Invalid range in expression');
+    return result;
+  }
+
+  function setError(r,c,msg,s){ errMap.set(nodeKey(s,r,c), msg); }
+  function clearError(r,c,s){ errMap.delete(nodeKey(s,r,c)); }
+
+  // Formula results come from valueCache when present; otherwise they are evaluated
+  // (recursively, with `visited` as a fallback cycle guard) and cached
+  function valueAt(r,c, visited, s){
+    const key = nodeKey(s,r,c);
+    if(valueCache.has(key)) return valueCache.get(key);
+    const top = !visited;
+    visited = visited || new Set();
+    if(visited.has(key)){
+      setError(r,c, '#CIRC!', s);
+      return CIRC_ERROR;
+    }
+    visited.add(key);
+    try{
+      const raw = rawValue(r,c,s);
+      if(typeof raw !== 'string') { clearError(r,c,s); return raw ?? ''; }
+      if(isBlankFormula(raw)) { clearError(r,c,s); return raw; }
+      if(raw.startsWith('=')){
+        try{
+          const v = evaluateFormula(raw.slice(1), visited, s);
+          if(isErr(v)) setError(r,c, v.error, s);
+          else clearError(r,c,s);
+          cacheValue(key, v);
+          return v;
+        }catch(e){
+          setError(r,c, String(e.message||e), s);
+          cacheValue(key, VALUE_ERROR);
+          return VALUE_ERROR;
+        }
+      }
+      clearError(r,c,s);
+      return literalValue(raw);
+    } finally {
+      visited.delete(key);
+      if(top) visited.clear();
+    }
+  }
+
+  function unlinkNode(key){
+    for(const p of cellPrecedents.get(key) || []) dependents.get(p)?.delete(key);
+    cellPrecedents.delete(key);
+    rangePrecedents.delete(key);
+    formulaNodes.delete(key);
+    volatileNodes.delete(key);
+  }
+  // (Re)build the outgoing edges of one cell from its current content
+  function linkNode(key){
+    unlinkNode(key);
+    const {s, r, c} = parseNodeKey(key);
+    const raw = rawValue(r,c,s);
+    if(typeof raw !== 'string' || !raw.startsWith('=') || isBlankFormula(raw)) return;
+    formulaNodes.add(key);
+    if(VOLATILE_RE.test(raw)) volatileNodes.add(key);
+    let tokens;
+    try{ tokens = tokenize(raw.slice(1)); }catch{ return; }
+    const cellsRead = new Set(), ranges = [];
+    for(const t of tokens){
+      if(t.type !== 'cell' && t.type !== 'range') continue;
+      const si = t.sheet==null ? s : findSheetIndex(t.sheet);
+      if(si < 0) continue;
+      if(t.type === 'cell'){ cellsRead.add(nodeKey(si, t.pos.r, t.pos.c)); continue; }
+      ranges.push({s:si, r1:Math.min(t.start.r,t.end.r), c1:Math.min(t.start.c,t.end.c),
+        r2:Math.max(t.start.r,t.end.r), c2:Math.max(t.start.c,t.end.c)});
+    }
+    cellPrecedents.set(key, cellsRead);
+    if(ranges.length) rangePrecedents.set(key, ranges);
+    for(const p of cellsRead){
+      if(!dependents.has(p)) dependents.set(p, new Set());
+      dependents.get(p).add(key);
+    }
+  }
+  function ensureGraph(){
+    if(graphReady) return;
+    cellPrecedents.clear(); rangePrecedents.clear(); dependents.clear();
+    formulaNodes.clear(); volatileNodes.clear();
+    book.forEach((sheet, s)=> sheet.cells.forEach((row, r)=> row.forEach((raw, c)=>{
+      if(typeof raw==='string' && raw.startsWith('=')) linkNode(nodeKey(s,r,c));
+    })));
+    graphReady = true;
+  }
+  function dependentsOf(key){
+    const out = new Set(dependents.get(key));
+    const {s, r, c} = parseNodeKey(key);
+    for(const [fk, ranges] of rangePrecedents){
+      if(ranges.some(g=>g.s===s && r>=g.r1 && r<=g.r2 && c>=g.c1 && c<=g.c2)) out.add(fk);
+    }
+    return out;
+  }
+  // Formula nodes a formula reads, including formulas inside its ranges
+  function formulaPrecedents(key){
+    const out = [];
+    for(const p of cellPrecedents.get(key) || []) if(formulaNodes.has(p)) out.push(p);
+    for(const g of rangePrecedents.get(key) || []){
+      const area = (g.r2-g.r1+1)*(g.c2-g.c1+1);
+      if(area <= formulaNodes.size){
+        for(let r=g.r1;r<=g.r2;r++) for(let c=g.c1;c<=g.c2;c++){
+          const k = nodeKey(g.s,r,c);
+          if(formulaNodes.has(k)) out.push(k);
+        }
+      }else{
+        for(const k of formulaNodes){
+          const p = parseNodeKey(k);
+          if(p.s===g.s && p.r>=g.r1 && p.r<=g.r2 && p.c>=g.c1 && p.c<=g.c2) out.push(k);
+        }
+      }
+    }
+    return out;
+  }
+
+  function invalidateAll(){
+    valueCache.clear();
+    errMap.clear();
+    pendingDirty.clear();
+    pendingAll = true;
+    graphReady = false;
+  }
+  // Cells {s,r,c} changed: relink them and drop cached values downstream
+  function markDirty(cells){
+    ensureGraph();
+    const queue = [];
+    for(const {r, c, s} of cells){
+      const key = nodeKey(s,r,c);
+      linkNode(key);
+      queue.push(key);
+    }
+    while(queue.length){
+      const key = queue.pop();
+      if(pendingDirty.has(key)) continue;
+      pendingDirty.add(key);
+      valueCache.delete(key);
+      errMap.delete(key);
+      for(const d of dependentsOf(key)) if(!pendingDirty.has(d)) queue.push(d);
+    }
+  }
+  // Evaluate formula nodes precedents-first (iterative DFS). A back edge closes a
+  // cycle: every node on the stack from its target up is cached as #CIRC!.
+  function evaluateInOrder(keys){
+    const state = new Map(); // 1 = on stack, 2 = done
+    const circular = new Set();
+    for(const root of keys){
+      if(state.has(root) || valueCache.has(root)) continue;
+      const stack = [{key:root, deps:null, i:0}];
+      state.set(root, 1);
+      while(stack.length){
+        const top = stack[stack.length-1];
+        if(!top.deps) top.deps = formulaPrecedents(top.key);
+        if(top.i < top.deps.length){
+          const k = top.deps[top.i++];
+          if(state.get(k) === 1){
+            for(let j=stack.length-1;j>=0;j--){ circular.add(stack[j].key); if(stack[j].key===k) break; }
+          }else if(!state.has(k) && !valueCache.has(k)){
+            state.set(k, 1);
+            stack.push({key:k, deps:null, i:0});
+          }
+          continue;
+        }
+        stack.pop();
+        state.set(top.key, 2);
+        const {s, r, c} = parseNodeKey(top.key);
+        if(circular.has(top.key)){
+          setError(r,c, '#CIRC!', s);
+          cacheValue(top.key, CIRC_ERROR);
+        }else{
+          valueAt(r,c, undefined, s);
+        }
+      }
+    }
+  }
+  // Bring the cache up to date. Returns the node keys that were recomputed,
+  // or null after a full recalculation.
+  function flushCalc(){
+    ensureGraph();
+    const full = pendingAll;
+    const keys = full ? [...formulaNodes] : [...pendingDirty];
+    pendingAll = false;
+    pendingDirty.clear();
+    const todo = full ? keys : keys.filter(k=>formulaNodes.has(k));
+    flushTotal = todo.length;
+    evaluateInOrder(todo);
+    return full ? null : keys;
+  }
+
+
+  return {
+    load(sheets){ book = sheets; invalidateAll(); },
+    // changes: [{s,r,c,value}]; returns the number of cells now awaiting recalculation
+    setCells(changes){
+      for(const {s, r, c, value} of changes){
+        const cells = book[s].cells;
+        while(cells.length <= r) cells.push([]);
+        cells[r][c] = value;
+      }
+      markDirty(changes);
+      return pendingDirty.size;
+    },
+    markDirty,
+    // Recalculate; listener(key, value, total) sees each formula result as it is cached
+    flush(listener){
+      onValue = listener || null;
+      try{ return flushCalc(); }finally{ onValue = null; }
+    },
+    value(s,r,c){ return valueAt(r,c, undefined, s); },
+    // Value of a formula that lives in no cell (e.g. a conditional format rule), read on sheet s
+    evaluate(s, expr){
+      try{ return evaluateFormula(expr, new Set(), s); }catch(e){ return VALUE_ERROR; }
+    },
+    valueCache, errors: errMap, volatileNodes
+  };
+}
+
+// ===== Message protocol (calc-worker.js, or in-page fallback) =====
+// Requests carry a seq number that replies echo:
+//   {type:'load', seq, sheets}  replace the whole workbook and recalculate it
+//   {type:'set', seq, cells}    cells [{s,r,c,value}] changed; recalculate downstream
+//   {type:'watch', seq, s, formulas}  [key, expr] formulas to evaluate on sheet s after
+//                               every recalculation (replaces the previous list)
+// Replies:
+//   {type:'values', seq, reset, patches, done, total}  [key, value, error] batches as
+//                               they are computed; reset drops all earlier results
+//   {type:'watched', seq, results}  [key, value] for the watched formulas
+//   {type:'done', seq, full}    recalculation finished
+//   {type:'error', seq, message}
+// While TODAY()/NOW() are in use the engine recalculates them every minute on its own,
+// replying under the last seq it saw.
+const BATCH_SIZE = 2000, BATCH_MS = 50;
+export function serveEngine(post){
+  const engine = createEngine();
+  let seq = 0, volatileTimer = 0;
+  let watched = {s:0, formulas:[]};
+
+  function calculate(full){
+    let patches = [], count = 0, total = 0, first = true, lastPost = Date.now();
+    const send = ()=>{
+      post({type:'values', seq, reset: full && first, patches, done: count, total});
+      patches = []; first = false; lastPost = Date.now();
+    };
+    const sent = new Set();
+    const keys = engine.flush((key, value, n)=>{
+      sent.add(key); count++; total = n;
+      patches.push([key, value, engine.errors.get(key) ?? null]);
+      if(patches.length >= BATCH_SIZE || Date.now() - lastPost > BATCH_MS) send();
+    });
+    // Edited cells that are not formulas: report them so stale results get dropped
+    for(const key of keys || []) if(!sent.has(key)) patches.push([key, '', engine.errors.get(key) ?? null]);
+    if(patches.length || (full && first)) send();
+    postWatched();
+    post({type:'done', seq, full});
+    scheduleVolatile();
+  }
+  function postWatched(){
+    if(!watched.formulas.length) return;
+    post({type:'watched', seq, results: watched.formulas.map(([key, expr])=>[key, engine.evaluate(watched.s, expr)])});
+  }
+  // Recalculate TODAY()/NOW() just after the next minute boundary
+  function scheduleVolatile(){
+    clearTimeout(volatileTimer);
+    if(!engine.volatileNodes.size) return;
+    volatileTimer = setTimeout(()=>{
+      engine.markDirty([...engine.volatileNodes].map(parseNodeKey));
+      calculate(false);
+    }, 60000 - Date.now()%60000 + 50);
+  }
+
+  return function handle(msg){
+    seq = msg.seq;
+    try{
+      if(msg.type === 'watch'){
+        watched = {s: msg.s, formulas: msg.formulas};
+        postWatched();
+        return;
+      }
+      if(msg.type === 'load') engine.load(msg.sheets);
+      else if(msg.type === 'set') engine.setCells(msg.cells);
+      else throw new Error(`Unknown request ${msg.type}`);
+      calculate(msg.type === 'load');
+    }catch(err){
+      post({type:'error', seq, message: String(err.message||err)});
+    }
+  };
+}
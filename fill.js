@@ -0,0 +1,101 @@
+// Autofill: the cells a fill handle drag (or Ctrl+D / Ctrl+R) writes past a source run of
+// cells. Each row or column of the source is filled on its own, as a line of cells in fill
+// direction. Formulas repeat with their relative references moved along; other values
+// continue a series when every cell of the line belongs to one:
+//   numbers      1, 2 -> 3, 4 (the step from the first to the last; a single number is copied)
+//   dates        2026-01-31 -> 2026-02-01; days apart, or months apart when the days match
+//   names        Mon -> Tue, January -> February (full or short, wrapping around)
+//   numbered     Item 1 -> Item 2, keeping leading zeros
+// Anything else repeats the source pattern. Formatting always repeats with it.
+import { shiftFormulaRefs } from './workbook.js';
+
+const NAME_LISTS = [
+  ['Sunday','Monday','Tuesday','Wednesday','Thursday','Friday','Saturday'],
+  ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'],
+  ['January','February','March','April','May','June','July','August','September','October','November','December'],
+  ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec']
+];
+
+// source: the line's cells in fill order (for a fill up, bottom first). count cells follow
+// it one step of (dr, dc) apart in the grid. series=false copies values as they are (Ctrl+D).
+export function fillCells(source, count, dr, dc, series=true){
+  const n = source.length;
+  const next = series ? detectSeries(source.map(cell=>String(cell.value ?? ''))) : null;
+  const out = [];
+  for(let i=0;i<count;i++){
+    const from = source[i % n];
+    const value = String(from.value ?? '');
+    const cell = {...from};
+    if(value.startsWith('=')){
+      const k = n + i - i % n; // cells between the source cell and this one
+      cell.value = '=' + shiftFormulaRefs(value.slice(1), k*dr, k*dc);
+    }else if(next) cell.value = next(n + i);
+    out.push(cell);
+  }
+  return out;
+}
+
+// A function of the position in the line (0 = first source cell) giving the series value
+// there, or null when the values do not form a series
+export function detectSeries(values){
+  if(!values.length || values.some(v=>v.startsWith('=') || v.trim()==='')) return null;
+  return numberSeries(values) || dateSeries(values) || nameSeries(values) || numberedSeries(values);
+}
+
+const round = x => +x.toPrecision(15);
+function linear(nums){
+  const first = nums[0], step = nums.length>1 ? (nums.at(-1) - first) / (nums.length-1) : 1;
+  return j => round(first + step*j);
+}
+
+function numberSeries(values){
+  if(values.length<2 || !values.every(v=>isFinite(Number(v.trim())))) return null;
+  const at = linear(values.map(Number));
+  return j => String(at(j));
+}
+
+function dateSeries(values){
+  const dates = values.map(v=>/^(\d{4})([-/])(\d{1,2})\2(\d{1,2})$/.exec(v.trim()));
+  if(dates.some(m=>!m || +m[3]<1 || +m[3]>12)) return null;
+  const sep = dates[0][2];
+  const parts = dates.map(m=>[+m[1], +m[3]-1, +m[4]]);
+  const text = (y, mo, d)=>{
+    const t = new Date(Date.UTC(y, mo, d));
+    return [String(t.getUTCFullYear()).padStart(4, '0'), String(t.getUTCMonth()+1).padStart(2, '0'), String(t.getUTCDate()).padStart(2, '0')].join(sep);
+  };
+  const d0 = parts[0][2];
+  // Whole months apart (the same day of the month): keep the day, or the month's last day
+  if(parts.length>1 && parts.every(p=>p[2]===d0)){
+    const at = linear(parts.map(([y, mo])=>y*12 + mo));
+    return j => {
+      const months = Math.round(at(j));
+      const last = new Date(Date.UTC(Math.floor(months/12), months%12 + 1, 0)).getUTCDate();
+      return text(Math.floor(months/12), months%12, Math.min(d0, last));
+    };
+  }
+  const days = linear(parts.map(([y, mo, d])=>Date.UTC(y, mo, d) / 86400000));
+  return j => text(1970, 0, 1 + Math.round(days(j)));
+}
+
+function nameSeries(values){
+  const lower = values.map(v=>v.trim().toLowerCase());
+  const list = NAME_LISTS.find(l=>lower.every(v=>l.some(name=>name.toLowerCase()===v)));
+  if(!list) return null;
+  const idx = lower.map(v=>list.findIndex(name=>name.toLowerCase()===v));
+  const len = list.length;
+  const step = idx.length>1 ? ((idx[1] - idx[0]) % len + len) % len : 1;
+  if(idx.some((v, j)=>j && v!==(idx[j-1] + step) % len)) return null;
+  const first = values[0].trim();
+  const cased = first===first.toUpperCase() ? s=>s.toUpperCase() : first===first.toLowerCase() ? s=>s.toLowerCase() : s=>s;
+  return j => cased(list[((idx[0] + step*j) % len + len) % len]);
+}
+
+function numberedSeries(values){
+  const parts = values.map(v=>/^(.*?)(\d+)$/.exec(v));
+  // A bare number has no prefix; a single one is copied rather than counted on
+  if(parts.some(m=>!m || !m[1] || m[1]!==parts[0][1])) return null;
+  const width = parts[0][2].startsWith('0') ? parts[0][2].length : 1;
+  const at = linear(parts.map(m=>+m[2]));
+  if(!Number.isInteger(at(1) - at(0))) return null;
+  return j => parts[0][1] + String(Math.abs(at(j))).padStart(width, '0');
+}
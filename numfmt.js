@@ -0,0 +1,263 @@
+// Excel number format codes for display: up to four sections (positive;negative;zero;text),
+// [Red]-style colours, [>=100] conditions, 0 # ? digit placeholders, thousands and scaling
+// commas, %, E+00, "quoted" and \escaped literals, @ for text, and date/time codes
+// (yyyy mmm dd hh:mm:ss AM/PM, [h] for elapsed hours).
+import { serialToDate } from './engine.js';
+
+const COLORS = {black:'#000000', blue:'#0000ff', cyan:'#00ffff', green:'#008000',
+  magenta:'#ff00ff', red:'#ff0000', white:'#ffffff', yellow:'#ffff00'};
+const MONTHS = ['January','February','March','April','May','June','July','August','September','October','November','December'];
+const DAYS = ['Sunday','Monday','Tuesday','Wednesday','Thursday','Friday','Saturday'];
+const compiled = new Map(); // code -> parsed sections
+
+// v: a typed value (number, string or boolean). Returns {text, color}; color is '' unless
+// the section used names one.
+export function formatValue(v, code){
+  if(typeof v === 'boolean') return {text: v ? 'TRUE' : 'FALSE', color:''};
+  const fmt = compileFormat(code || 'General');
+  if(typeof v !== 'number'){
+    const sec = fmt.text;
+    if(!sec) return {text: String(v ?? ''), color:''};
+    return {text: sec.parts.map(p=> p.t==='@' ? v : p.t==='lit' ? p.s : '').join(''), color: sec.color};
+  }
+  const {sec, negate} = pickSection(fmt.nums, v);
+  if(!sec) return {text: '#####', color:''};
+  const n = negate ? Math.abs(v) : v;
+  return {text: sec.date ? formatDate(n, sec) : formatNumber(n, sec), color: sec.color};
+}
+
+// The General format: up to 15 significant digits, so 0.1+0.2 shows 0.3
+export function generalText(n){
+  if(!isFinite(n)) return n !== n ? '#NUM!' : String(n);
+  return String(parseFloat(n.toPrecision(15))).replace('e', 'E');
+}
+
+function compileFormat(code){
+  let fmt = compiled.get(code);
+  if(!fmt){
+    const sections = splitSections(code).map(parseSection);
+    const nums = sections.slice(0, 3);
+    let text = sections[3] || null;
+    if(!text && nums.length > 1 && nums[nums.length-1].hasAt) text = nums.pop();
+    if(!text && nums.length === 1 && nums[0].hasAt) text = nums[0];
+    fmt = {nums, text};
+    compiled.set(code, fmt);
+  }
+  return fmt;
+}
+
+// Split on ';' outside "quotes", [brackets] and \escapes
+function splitSections(code){
+  const out = []; let cur = '', quote = false, bracket = false;
+  for(let i=0;i<code.length;i++){
+    const ch = code[i];
+    if(ch === '\\' && !quote){ cur += ch + (code[++i] ?? ''); continue; }
+    if(ch === '"') quote = !quote;
+    else if(!quote && ch === '[') bracket = true;
+    else if(!quote && ch === ']') bracket = false;
+    else if(ch === ';' && !quote && !bracket){ out.push(cur); cur = ''; continue; }
+    cur += ch;
+  }
+  out.push(cur);
+  return out;
+}
+
+function parseSection(src){
+  const sec = {parts:[], color:'', cond:null, date:false, hasAt:false};
+  const lit = s=>{
+    const last = sec.parts[sec.parts.length-1];
+    if(last?.t === 'lit') last.s += s; else sec.parts.push({t:'lit', s});
+  };
+  let i = 0, m;
+  while(i < src.length){
+    const ch = src[i], rest = src.slice(i);
+    if(ch === '"'){
+      const j = src.indexOf('"', i+1), end = j < 0 ? src.length : j;
+      lit(src.slice(i+1, end)); i = end+1; continue;
+    }
+    if(ch === '\\'){ lit(src[i+1] ?? ''); i += 2; continue; }
+    if(ch === '_'){ lit(' '); i += 2; continue; } // space as wide as the next character
+    if(ch === '*'){ i += 2; continue; }           // repeat-to-fill is not supported
+    if(ch === '['){
+      const j = src.indexOf(']', i), body = src.slice(i+1, j < 0 ? src.length : j);
+      i = j < 0 ? src.length : j+1;
+      const lower = body.toLowerCase();
+      if(COLORS[lower]) sec.color = COLORS[lower];
+      else if((m = /^(<=|>=|<>|<|>|=)\s*(-?\d+(?:\.\d+)?)$/.exec(body))) sec.cond = {op:m[1], n:+m[2]};
+      else if(body[0] === '$') lit(body.slice(1).split('-')[0]); // [$€-407]: currency symbol
+      else if(/^(h+|m+|s+)$/i.test(body)){ sec.parts.push({t:'elapsed', unit:lower[0], len:body.length}); sec.date = true; }
+      continue; // locale and other bracket codes are ignored
+    }
+    if(/^general/i.test(rest)){ sec.parts.push({t:'general'}); i += 7; continue; }
+    if((m = /^(am\/pm|a\/p)/i.exec(rest))){ sec.parts.push({t:'ampm', s:m[0]}); sec.date = true; i += m[0].length; continue; }
+    if((m = /^(y+|m+|d+|h+|s+)/i.exec(rest))){
+      sec.parts.push({t:m[0][0].toLowerCase(), len:m[0].length}); sec.date = true;
+      i += m[0].length; continue;
+    }
+    if((m = /^[eE][+-]/.exec(rest))){ sec.parts.push({t:'exp', sign:m[0][1]}); i += 2; continue; }
+    if('0#?'.includes(ch)) sec.parts.push({t:'digit', ch});
+    else if(ch === '.') sec.parts.push({t:'dot'});
+    else if(ch === ',') sec.parts.push({t:'comma'});
+    else if(ch === '%') sec.parts.push({t:'pct'});
+    else if(ch === '@'){ sec.parts.push({t:'@'}); sec.hasAt = true; }
+    else lit(ch);
+    i++;
+  }
+  // m/mm is minutes right after an hour or right before a seconds code
+  const dateParts = sec.parts.filter(p=>p.t !== 'lit');
+  dateParts.forEach((p,k)=>{
+    if(p.t !== 'm' || p.len > 2) return;
+    const prev = dateParts[k-1], next = dateParts[k+1];
+    if(prev?.t === 'h' || (prev?.t === 'elapsed' && prev.unit === 'h') || next?.t === 's') p.t = 'min';
+  });
+  return sec;
+}
+
+function pickSection(nums, v){
+  if(nums.some(s=>s.cond)){
+    for(const s of nums) if(!s.cond || testCondition(s.cond, v)) return {sec:s, negate:false};
+    return {sec:null};
+  }
+  if(nums.length === 1 || v > 0 || (v === 0 && nums.length === 2)) return {sec:nums[0], negate:false};
+  if(v < 0) return {sec:nums[1], negate:true};
+  return {sec:nums[2], negate:false};
+}
+function testCondition({op, n}, v){
+  return op==='<' ? v<n : op==='<=' ? v<=n : op==='>' ? v>n : op==='>=' ? v>=n : op==='=' ? v===n : v!==n;
+}
+
+// Round half away from zero at d decimals without binary artefacts (1.005 -> 1.01)
+function roundFixed(x, d){
+  return (Math.round(parseFloat((x * 10**d).toPrecision(15))) / 10**d).toFixed(d);
+}
+
+function formatNumber(n, sec){
+  const parts = sec.parts;
+  if(!parts.some(p=>p.t==='digit' || p.t==='dot' || p.t==='exp')){
+    // General, @ or literal-only sections
+    return parts.map(p=> p.t==='general' || p.t==='@' ? generalText(n) : p.t==='lit' ? p.s : p.t==='pct' ? '%' : '').join('');
+  }
+  const expAt = parts.findIndex(p=>p.t==='exp');
+  const numEnd = expAt >= 0 ? expAt : parts.length;
+  const dotAt = parts.findIndex(p=>p.t==='dot');
+  const intEnd = dotAt >= 0 && dotAt < numEnd ? dotAt : numEnd;
+  let zeros = 0, spaces = 0, intCount = 0, fracSpec = '', expCount = 0, grouping = false, scale = 0, pct = 0;
+  parts.forEach((p,i)=>{
+    if(p.t === 'pct') pct++;
+    else if(p.t === 'digit'){
+      if(i < intEnd){ intCount++; if(p.ch === '0') zeros++; else if(p.ch === '?') spaces++; }
+      else if(i < numEnd) fracSpec += p.ch;
+      else expCount++;
+    }else if(p.t === 'comma' && i < numEnd){
+      // Between digit placeholders: thousands separator; after the last one: divide by 1000
+      const end = i < intEnd ? intEnd : numEnd;
+      const after = parts.slice(i+1, end).some(q=>q.t==='digit');
+      const before = parts.slice(0, i).some(q=>q.t==='digit');
+      if(before && after && i < intEnd) grouping = true;
+      else if(before && !after) scale++;
+    }
+  });
+  let x = n * 100**pct / 1000**scale;
+  const negative = x < 0;
+  x = Math.abs(x);
+  let e = 0;
+  if(expAt >= 0 && x !== 0){
+    const width = Math.max(intCount, 1);
+    e = Math.floor(Math.log10(x)) - width + 1;
+    if(parseFloat(roundFixed(x / 10**e, fracSpec.length)) >= 10**width) e++;
+    x = x / 10**e;
+  }
+  let [ip, fp=''] = roundFixed(x, fracSpec.length).split('.');
+  const nonZero = /[1-9]/.test(ip + fp);
+  if(ip === '0') ip = '';
+  // Integer digits: grouped as one block, otherwise filled right to left through the
+  // placeholders so literals between them stay in place (000-000)
+  const intSlots = [];
+  if(grouping){
+    ip = ip.padStart(zeros, '0').replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    ip = ip.padStart(ip.length + Math.max(0, zeros + spaces - ip.replace(/,/g,'').length), ' ');
+  }else{
+    let rest = ip;
+    for(let i=intEnd-1;i>=0;i--){
+      if(parts[i].t !== 'digit') continue;
+      const ch = parts[i].ch;
+      intSlots[i] = rest ? rest.slice(-1) : ch==='0' ? '0' : ch==='?' ? ' ' : '';
+      rest = rest.slice(0, -1);
+    }
+    const first = intSlots.findIndex(s=>s !== undefined);
+    if(first >= 0) intSlots[first] = rest + intSlots[first];
+  }
+  const frac = fp.split('');
+  for(let k=frac.length-1; k>=0 && fracSpec[k]!=='0' && frac[k]==='0'; k--) frac[k] = fracSpec[k]==='?' ? ' ' : '';
+
+  let out = '', intDone = false, fracIdx = 0, expDone = false;
+  const emitInt = ()=>{ if(!intDone){ out += grouping || !intCount ? ip : ''; intDone = true; } };
+  parts.forEach((p,i)=>{
+    if(p.t === 'digit'){
+      if(i < intEnd){ if(grouping) emitInt(); else out += intSlots[i]; }
+      else if(i < numEnd) out += frac[fracIdx++] ?? '';
+      else if(!expDone){ out += String(Math.abs(e)).padStart(expCount, '0'); expDone = true; }
+    }
+    else if(p.t === 'dot'){ emitInt(); out += '.'; }
+    else if(p.t === 'exp'){ emitInt(); out += 'E' + (e < 0 ? '-' : p.sign === '+' ? '+' : ''); }
+    else if(p.t === 'lit') out += p.s;
+    else if(p.t === 'pct') out += '%';
+    else if(p.t === 'general' || p.t === '@') out += generalText(n);
+  });
+  return (negative && nonZero ? '-' : '') + out;
+}
+
+function formatDate(serial, sec){
+  if(serial < 0) return '#####';
+  const parts = sec.parts;
+  const fracSecs = parts.some((p,i)=>p.t==='dot' && parts[i+1]?.t==='digit');
+  let d = serialToDate(serial);
+  if(!fracSecs) d = new Date(Math.round(d.getTime()/1000)*1000);
+  const H = d.getUTCHours(), twelve = parts.some(p=>p.t==='ampm');
+  const pad = (v, len)=> String(v).padStart(len, '0');
+  let out = '';
+  for(let i=0;i<parts.length;i++){
+    const p = parts[i];
+    switch(p.t){
+      case 'y': out += p.len <= 2 ? pad(d.getUTCFullYear()%100, 2) : d.getUTCFullYear(); break;
+      case 'm': {
+        const mo = d.getUTCMonth();
+        out += p.len === 1 ? mo+1 : p.len === 2 ? pad(mo+1, 2) : p.len === 3 ? MONTHS[mo].slice(0,3)
+          : p.len === 4 ? MONTHS[mo] : MONTHS[mo][0];
+        break;
+      }
+      case 'd': {
+        const wd = DAYS[d.getUTCDay()];
+        out += p.len === 1 ? d.getUTCDate() : p.len === 2 ? pad(d.getUTCDate(), 2) : p.len === 3 ? wd.slice(0,3) : wd;
+        break;
+      }
+      case 'h': out += pad(twelve ? (H%12 || 12) : H, Math.min(p.len, 2)); break;
+      case 'min': out += pad(d.getUTCMinutes(), Math.min(p.len, 2)); break;
+      case 's': out += pad(d.getUTCSeconds(), Math.min(p.len, 2)); break;
+      case 'elapsed': {
+        const per = p.unit === 'h' ? 24 : p.unit === 'm' ? 1440 : 86400;
+        out += pad(Math.floor(serial*per + 1e-9), p.len);
+        break;
+      }
+      case 'ampm': {
+        const pm = H >= 12, lower = p.s[0] === p.s[0].toLowerCase();
+        const t = p.s.length > 3 ? (pm ? 'PM' : 'AM') : (pm ? 'P' : 'A');
+        out += lower ? t.toLowerCase() : t;
+        break;
+      }
+      case 'dot': {
+        // Fractional seconds: .0, .00, .000
+        let k = 0;
+        while(parts[i+1+k]?.t === 'digit') k++;
+        out += '.' + (k ? pad(d.getUTCMilliseconds(), 3).slice(0, k) : '');
+        i += k;
+        break;
+      }
+      case 'lit': out += p.s; break;
+      case 'comma': out += ','; break;
+      case 'pct': out += '%'; break;
+      case 'general': case '@': out += generalText(serial); break;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,76 @@
+// Workbook persistence in IndexedDB, in three stores keyed by workbook id:
+//   recent  {id, name, updatedAt, savedAt}  what the Recent list shows
+//   drafts  {id, ...workbook}               the autosaved workbook
+//   saved   {id, ...workbook}               the workbook as of its last open or explicit save
+// where a workbook is the document of workbookjson.js, so stored drafts are upgraded like
+// files when the format changes. updatedAt is the time of the last change and savedAt that
+// of the last open/save, so a workbook with updatedAt > savedAt has changes that only exist
+// in its draft. Without IndexedDB every function resolves to null (or []) and nothing is kept.
+const DB_NAME = 'mini-excel';
+const DB_VERSION = 1;
+const RECENT_LIMIT = 10;
+
+let dbPromise = null;
+let database = null;
+function openDB(){
+  if(typeof indexedDB==='undefined') return Promise.resolve(null);
+  dbPromise ??= new Promise(resolve=>{
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = ()=>{
+      const db = req.result;
+      db.createObjectStore('recent', {keyPath:'id'}).createIndex('updatedAt', 'updatedAt');
+      db.createObjectStore('drafts', {keyPath:'id'});
+      db.createObjectStore('saved', {keyPath:'id'});
+    };
+    req.onsuccess = ()=>resolve(database = req.result);
+    req.onerror = ()=>resolve(null);
+  });
+  return dbPromise;
+}
+// Run fn(stores) in one transaction; once it has committed, resolves with what fn returned
+// (the result, for a request). Once the database is open the requests are made before this
+// returns, so a put stores the state as it was at the call.
+async function transact(names, mode, fn){
+  const db = database ?? await openDB();
+  if(!db) return null;
+  return new Promise((resolve, reject)=>{
+    const tx = db.transaction(names, mode);
+    const result = fn(Object.fromEntries(names.map(n=>[n, tx.objectStore(n)])));
+    tx.oncomplete = ()=>resolve((result instanceof IDBRequest ? result.result : result) ?? null);
+    tx.onerror = tx.onabort = ()=>reject(tx.error);
+  });
+}
+
+// Workbook summaries, most recently changed first
+export function listRecent(){
+  return transact(['recent'], 'readonly', ({recent})=>{
+    const list = [];
+    recent.index('updatedAt').openCursor(null, 'prev').onsuccess = e=>{
+      const cursor = e.target.result;
+      if(cursor){ list.push(cursor.value); cursor.continue(); }
+    };
+    return list;
+  }).then(list=>list || []);
+}
+export function loadDraft(id){
+  return transact(['drafts'], 'readonly', ({drafts})=>drafts.get(id));
+}
+export function loadSaved(id){
+  return transact(['saved'], 'readonly', ({saved})=>saved.get(id));
+}
+// Store the draft and its summary; with saved=true it also becomes the last saved copy.
+// Workbooks beyond the most recent RECENT_LIMIT are dropped.
+export async function storeWorkbook(meta, workbook, saved=false){
+  await transact(['recent', 'drafts', 'saved'], 'readwrite', stores=>{
+    stores.recent.put(meta);
+    stores.drafts.put({id:meta.id, ...workbook});
+    if(saved) stores.saved.put({id:meta.id, ...workbook});
+  });
+  const stale = (await listRecent()).slice(RECENT_LIMIT);
+  for(const {id} of stale) await forgetWorkbook(id);
+}
+export function forgetWorkbook(id){
+  return transact(['recent', 'drafts', 'saved'], 'readwrite', stores=>{
+    for(const store of Object.values(stores)) store.delete(id);
+  });
+}
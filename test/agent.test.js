@@ -0,0 +1,55 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { runAgent, diffWorkbooks, createOpenAIProvider, AGENT_TOOLS } from '../agent.js';
+
+const realFetch = globalThis.fetch;
+afterEach(()=>{ globalThis.fetch = realFetch; });
+
+const call = (id, name, args)=>({id, type:'function', function:{name, arguments:JSON.stringify(args)}});
+
+test('runAgent calls tools until the model answers, reporting tool errors back to it', async ()=>{
+  const replies = [
+    {content:null, tool_calls:[call('1', 'write_range', {start:'A1', values:[['x']]}), call('2', 'nope', {})]},
+    {content:'Done'}
+  ];
+  const messages = [{role:'user', content:'go'}];
+  const seen = [];
+  const reply = await runAgent({provider:{complete:async ()=>replies.shift()}, messages,
+    handlers:{write_range:args=>({written:args.values.length})}, onTool:(name, args, result)=>seen.push([name, result])});
+  assert.equal(reply, 'Done');
+  assert.equal(messages.length, 5);
+  assert.deepEqual(JSON.parse(messages[2].content), {written:1});
+  assert.deepEqual(JSON.parse(messages[3].content), {error:'Unknown tool nope'});
+  assert.deepEqual(seen.map(([name])=>name), ['write_range', 'nope']);
+});
+
+test('runAgent stops after maxSteps', async ()=>{
+  const provider = {complete:async ()=>({content:null, tool_calls:[call('1', 'read_range', {range:'A1'})]})};
+  const reply = await runAgent({provider, messages:[], handlers:{read_range:()=>({})}, maxSteps:2});
+  assert.equal(reply, 'Stopped after 2 steps');
+});
+
+test('the OpenAI provider posts the conversation and tools', async ()=>{
+  let request;
+  globalThis.fetch = async (url, init)=>{
+    request = {url, init};
+    return new Response(JSON.stringify({choices:[{message:{content:'hi'}}]}), {status:200});
+  };
+  const provider = createOpenAIProvider({endpoint:'http://localhost:1234/v1/', model:'m', apiKey:'k'});
+  assert.deepEqual(await provider.complete([{role:'user', content:'x'}], AGENT_TOOLS), {content:'hi'});
+  assert.equal(request.url, 'http://localhost:1234/v1/chat/completions');
+  assert.equal(request.init.headers.Authorization, 'Bearer k');
+  const body = JSON.parse(request.init.body);
+  assert.equal(body.model, 'm');
+  assert.equal(body.tools.length, AGENT_TOOLS.length);
+
+  globalThis.fetch = async ()=>new Response('rate limited', {status:429});
+  await assert.rejects(provider.complete([], []), /Provider error 429: rate limited/);
+});
+
+test('diffWorkbooks lists value, format and sheet changes', ()=>{
+  const changes = diffWorkbooks([{name:'S', data:[[{value:'1'}, {value:''}]]}, {name:'Old', data:[]}],
+    [{name:'S', data:[[{value:'2'}, {value:'', bold:true}, {value:'', italic:false}]]}, {name:'T', data:[[{value:''}]]}]);
+  assert.deepEqual(changes.map(d=>d.kind), ['sheetRemoved', 'value', 'format', 'sheetAdded']);
+  assert.deepEqual(changes[1], {kind:'value', sheet:'S', r:0, c:0, before:'1', after:'2'});
+});
@@ -0,0 +1,39 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV, toCSV } from '../csv.js';
+
+const cells = rows => rows.map(row=>row.map(value=>({value})));
+
+describe('parseCSV', ()=>{
+  test('plain rows, padded to the widest', ()=>{
+    assert.deepEqual(parseCSV('a,b,c\n1,2'), [['a', 'b', 'c'], ['1', '2', '']]);
+  });
+  test('quoted fields keep commas, quotes and line breaks', ()=>{
+    assert.deepEqual(parseCSV('"a,b","say ""hi""","two\nlines"\nx,y,z'), [['a,b', 'say "hi"', 'two\nlines'], ['x', 'y', 'z']]);
+  });
+  test('CRLF line ends', ()=>{
+    assert.deepEqual(parseCSV('a,b\r\n1,2\r\n'), [['a', 'b'], ['1', '2']]);
+  });
+  test('a leading byte order mark is dropped', ()=>{
+    assert.deepEqual(parseCSV('\uFEFFName,Qty\nTea,2'), [['Name', 'Qty'], ['Tea', '2']]);
+  });
+  test('a final line break does not add a row; blank lines inside do', ()=>{
+    assert.deepEqual(parseCSV('a\n'), [['a']]);
+    assert.deepEqual(parseCSV('a\n\nb'), [['a'], [''], ['b']]);
+    assert.deepEqual(parseCSV(''), [['']]);
+  });
+  test('empty fields', ()=>{
+    assert.deepEqual(parseCSV(',,\n""'), [['', '', ''], ['', '', '']]);
+  });
+});
+
+describe('toCSV', ()=>{
+  test('quotes only fields that need it and keeps formulas', ()=>{
+    assert.equal(toCSV(cells([['a', 'b,c', 'say "hi"'], ['=A1*2', 'two\nlines', '']])),
+      'a,"b,c","say ""hi"""\n=A1*2,"two\nlines",');
+  });
+  test('round trips through parseCSV', ()=>{
+    const rows = [['1', '2', '=A1+B1*3'], ['x,"y"', '', 'z\nz']];
+    assert.deepEqual(parseCSV(toCSV(cells(rows))), rows);
+  });
+});
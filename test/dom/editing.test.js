@@ -0,0 +1,159 @@
+import { describe, test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { openPage } from './page.js';
+
+let window, document, api;
+before(async ()=>{
+  window = await openPage();
+  document = window.document;
+  api = window.MiniExcel;
+});
+// Each test starts from the same small sheet
+beforeEach(async ()=>{
+  api.setRange('A1', Array.from({length:6}, ()=>Array(4).fill('')));
+  api.setRange('A1', [['1', '2'], ['3', '4'], ['=SUM(A1:B2)']]);
+  await api.calculated();
+});
+
+const cell = (r, c)=>document.querySelector(`#grid .cell[data-r="${r}"][data-c="${c}"]`);
+const selected = ()=>[...document.querySelectorAll('#grid .cell.selected')].map(el=>el.dataset.r+','+el.dataset.c);
+const active = ()=>{ const el = document.querySelector('#grid .cell.active'); return el && [+el.dataset.r, +el.dataset.c]; };
+function mouse(el, type, init={}){ el.dispatchEvent(new window.MouseEvent(type, {bubbles:true, ...init})); }
+function click(el, init){ mouse(el, 'mousedown', init); el.focus(); mouse(el, 'mouseup', init); }
+function key(el, k, init={}){
+  const e = new window.KeyboardEvent('keydown', {key:k, bubbles:true, cancelable:true, ...init});
+  el.dispatchEvent(e);
+  return e;
+}
+function type(el, text){
+  el.focus();
+  el.textContent = text;
+  el.dispatchEvent(new window.Event('input', {bubbles:true}));
+}
+function paste(el, text){
+  const e = new window.Event('paste', {bubbles:true, cancelable:true});
+  e.clipboardData = {getData:()=>text};
+  el.dispatchEvent(e);
+}
+
+describe('selection', ()=>{
+  test('clicking a cell makes it active and shows its contents in the formula bar', ()=>{
+    click(cell(2, 0));
+    assert.deepEqual(active(), [2, 0]);
+    assert.equal(document.getElementById('formulaBar').value, '=SUM(A1:B2)');
+    assert.equal(document.querySelector('#grid th.active[data-r="2"]')?.dataset.r, '2');
+  });
+  test('shift+click selects the range from the anchor', ()=>{
+    click(cell(0, 0));
+    mouse(cell(1, 2), 'mousedown', {shiftKey:true});
+    mouse(cell(1, 2), 'mouseup');
+    assert.deepEqual(selected(), ['0,0', '0,1', '0,2', '1,0', '1,1', '1,2']);
+    click(cell(3, 3));
+    assert.deepEqual(selected(), ['3,3']);
+  });
+  test('shift+arrows grow the selection', ()=>{
+    click(cell(0, 0));
+    key(cell(0, 0), 'ArrowDown', {shiftKey:true});
+    key(cell(1, 0), 'ArrowRight', {shiftKey:true});
+    assert.deepEqual(selected(), ['0,0', '0,1', '1,0', '1,1']);
+  });
+});
+
+describe('keyboard navigation', ()=>{
+  test('Enter and Tab move down and right; with Shift, back', ()=>{
+    click(cell(0, 0));
+    key(cell(0, 0), 'Enter');
+    assert.deepEqual(active(), [1, 0]);
+    key(cell(1, 0), 'Tab');
+    assert.deepEqual(active(), [1, 1]);
+    key(cell(1, 1), 'Tab', {shiftKey:true});
+    key(cell(1, 0), 'Enter', {shiftKey:true});
+    assert.deepEqual(active(), [0, 0]);
+    assert.equal(document.activeElement, cell(0, 0));
+  });
+  test('arrows move between cells and stop at the edge', ()=>{
+    click(cell(0, 0));
+    key(cell(0, 0), 'ArrowUp');
+    assert.deepEqual(active(), [0, 0]);
+    key(cell(0, 0), 'ArrowDown');
+    key(cell(1, 0), 'ArrowRight', {ctrlKey:true});
+    assert.deepEqual(active(), [1, 1]);
+  });
+  test('typing and pressing Enter commits the entry and recalculates', async ()=>{
+    click(cell(0, 0));
+    type(cell(0, 0), '10');
+    key(cell(0, 0), 'Enter');
+    await api.calculated();
+    assert.equal(api.getCell('A1').value, '10');
+    assert.equal(cell(2, 0).textContent, '19');
+  });
+  test('arrows in a formula insert references', async ()=>{
+    click(cell(3, 0));
+    type(cell(3, 0), '=');
+    const sel = window.getSelection(), range = document.createRange();
+    range.setStart(cell(3, 0).firstChild, 1); range.collapse(true);
+    sel.removeAllRanges(); sel.addRange(range);
+    key(cell(3, 0), 'ArrowUp');
+    key(cell(3, 0), 'ArrowUp');
+    assert.equal(cell(3, 0).textContent, '=A2');
+    key(cell(3, 0), 'Enter');
+    await api.calculated();
+    assert.equal(api.getCell('A4').result, 3);
+  });
+  test('Ctrl+Z and Ctrl+Y undo and redo', async ()=>{
+    api.setCell('D1', 'x');
+    key(document.body, 'z', {ctrlKey:true});
+    assert.equal(api.getCell('D1').value, '');
+    key(document.body, 'y', {ctrlKey:true});
+    assert.equal(api.getCell('D1').value, 'x');
+  });
+});
+
+describe('paste', ()=>{
+  test('a tab/newline grid lands at the cell as one undo step', async ()=>{
+    click(cell(3, 1));
+    paste(cell(3, 1), 'a\tb\r\nc\td');
+    await api.calculated();
+    assert.deepEqual(api.getRange('B4:C5').map(row=>row.map(x=>x.value)), [['a', 'b'], ['c', 'd']]);
+    assert.equal(cell(4, 2).textContent, 'd');
+    api.undo();
+    assert.deepEqual(api.getRange('B4:C5').map(row=>row.map(x=>x.value)), [['', ''], ['', '']]);
+  });
+  test('what does not fit is dropped', ()=>{
+    const {cols} = api.sheets()[0];
+    click(cell(0, cols-1));
+    paste(cell(0, cols-1), 'a\tb');
+    assert.equal(api.sheets()[0].cols, cols);
+    assert.equal(api.getRange('A1:Z1')[0][cols-1].value, 'a');
+  });
+  test('formulas copied in the grid shift their references', async ()=>{
+    click(cell(2, 0));
+    cell(2, 0).dispatchEvent(new window.Event('copy', {bubbles:true}));
+    click(cell(2, 1));
+    paste(cell(2, 1), '=SUM(A1:B2)');
+    await api.calculated();
+    assert.equal(api.getCell('B3').value, '=SUM(B1:C2)');
+    assert.equal(api.getCell('B3').result, 6);
+  });
+});
+
+describe('find and replace', ()=>{
+  function replaceAll(find, replacement, lookIn){
+    document.getElementById('findText').value = find;
+    document.getElementById('replaceText').value = replacement;
+    document.getElementById('findLookIn').value = lookIn;
+    document.getElementById('replaceAll').click();
+    return document.getElementById('findStatus').textContent;
+  }
+  test('looking in values leaves formula text alone', async ()=>{
+    // A3 shows 10 but its formula text has a "1" the user never matched
+    assert.equal(replaceAll('1', '5', 'values'), 'Replaced 1 cell');
+    await api.calculated();
+    assert.deepEqual([api.getCell('A1').value, api.getCell('A3').value, api.getCell('A3').result], ['5', '=SUM(A1:B2)', 14]);
+  });
+  test('looking in formulas edits formula text', async ()=>{
+    assert.equal(replaceAll('B2', 'A2', 'formulas'), 'Replaced 1 cell');
+    await api.calculated();
+    assert.deepEqual([api.getCell('A3').value, api.getCell('A3').result], ['=SUM(A1:A2)', 4]);
+  });
+});
@@ -0,0 +1,104 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { openPage } from './page.js';
+
+let window, document, api;
+before(async ()=>{
+  window = await openPage();
+  document = window.document;
+  api = window.MiniExcel;
+});
+beforeEach(async ()=>{
+  api.setRange('A1', Array.from({length:10}, ()=>Array(5).fill('')));
+  await api.calculated();
+});
+
+const cell = (r, c)=>document.querySelector(`#grid .cell[data-r="${r}"][data-c="${c}"]`);
+const handle = ()=>document.querySelector('#grid .fill-handle');
+const values = range=>api.getRange(range).map(row=>row.map(x=>x.value));
+function mouse(el, type, init={}){ el.dispatchEvent(new window.MouseEvent(type, {bubbles:true, cancelable:true, ...init})); }
+function select(from, to){
+  mouse(from, 'mousedown'); from.focus(); mouse(from, 'mouseup');
+  if(to){ mouse(to, 'mousedown', {shiftKey:true}); mouse(to, 'mouseup'); }
+}
+function dragHandleTo(el){
+  mouse(handle(), 'mousedown');
+  mouse(el, 'mouseover');
+  const preview = document.querySelectorAll('#grid .cell.fill-preview').length;
+  mouse(el, 'mouseup');
+  return preview;
+}
+function key(k, init={}){
+  document.activeElement.dispatchEvent(new window.KeyboardEvent('keydown', {key:k, bubbles:true, cancelable:true, ...init}));
+}
+
+test('the handle sits on the corner of the selection', ()=>{
+  select(cell(0, 0), cell(1, 1));
+  assert.equal(handle().parentElement, cell(1, 1).parentElement);
+  select(cell(3, 2));
+  assert.equal(handle().parentElement, cell(3, 2).parentElement);
+  assert.equal(document.querySelectorAll('#grid .fill-handle').length, 1);
+});
+
+test('dragging down continues series and formulas, with their formats, as one undo step', async ()=>{
+  api.setRange('A1', [['1', 'Mon', 'Item 1', '=A1*2']]);
+  select(cell(0, 0), cell(0, 3));
+  document.getElementById('boldBtn').click();
+  select(cell(0, 0), cell(0, 3));
+  assert.equal(dragHandleTo(cell(3, 1)), 12);
+  await api.calculated();
+  assert.deepEqual(values('A2:D4'), [
+    ['1', 'Tue', 'Item 2', '=A2*2'],
+    ['1', 'Wed', 'Item 3', '=A3*2'],
+    ['1', 'Thu', 'Item 4', '=A4*2']
+  ]);
+  assert.equal(document.querySelectorAll('#grid .cell.fill-preview').length, 0);
+  assert.equal(cell(3, 3).textContent, '2');
+  assert.equal(cell(3, 1).style.fontWeight, 'bold');
+  assert.deepEqual(document.querySelectorAll('#grid .cell.selected').length, 16);
+  api.undo();
+  assert.deepEqual(values('A2:D2'), [['', '', '', '']]);
+});
+
+test('a two-cell start sets the step; dragging up or left goes backwards', ()=>{
+  api.setRange('C5', [['2026-01-15'], ['2026-02-15']]);
+  select(cell(4, 2), cell(5, 2));
+  dragHandleTo(cell(2, 2));
+  assert.deepEqual(values('C3:C4'), [['2025-11-15'], ['2025-12-15']]);
+  api.setRange('D1', [['10', '20']]);
+  select(cell(0, 3), cell(0, 4));
+  dragHandleTo(cell(0, 1));
+  assert.deepEqual(values('B1:C1'), [['-10', '0']]);
+});
+
+test('double-clicking the handle fills down as far as the column beside it goes', ()=>{
+  api.setRange('A1', [['a', '=A1&"!"'], ['b', ''], ['c', ''], ['', ''], ['e', '']]);
+  select(cell(0, 1));
+  mouse(handle(), 'dblclick');
+  assert.deepEqual(values('B1:B5'), [['=A1&"!"'], ['=A2&"!"'], ['=A3&"!"'], [''], ['']]);
+});
+
+test('Ctrl+D and Ctrl+R copy without counting on', ()=>{
+  api.setRange('A1', [['Item 1', '=A1'], ['', '']]);
+  select(cell(0, 0), cell(2, 1));
+  key('d', {ctrlKey:true});
+  assert.deepEqual(values('A2:B3'), [['Item 1', '=A2'], ['Item 1', '=A3']]);
+  select(cell(4, 1));
+  api.setCell('A5', '7');
+  key('r', {ctrlKey:true});
+  assert.equal(api.getCell('B5').value, '7');
+  api.undo();
+  assert.equal(api.getCell('B5').value, '');
+});
+
+test('merged cells are not filled over', ()=>{
+  api.setCell('A1', 'x');
+  select(cell(1, 0), cell(1, 1));
+  const merge = document.getElementById('mergeSelect');
+  merge.value = 'cells';
+  merge.dispatchEvent(new window.Event('change', {bubbles:true}));
+  select(cell(0, 0));
+  dragHandleTo(cell(2, 0));
+  assert.equal(api.getCell('A3').value, '');
+  assert.match(document.getElementById('fileInfo').textContent, /merged/);
+});
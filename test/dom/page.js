@@ -0,0 +1,32 @@
+// Loads index.html and the real app.js into jsdom. app.js is imported as a module (Node
+// resolves its imports), after the window's globals are installed for it to find; jsdom
+// lacks canvas text measuring, scrollIntoView and focusable contentEditable elements, so
+// those get minimal stand-ins. Each test
+// file runs in its own process (node --test), so each gets a fresh page.
+import { JSDOM } from 'jsdom';
+import { readFileSync } from 'node:fs';
+
+// Globals Node also has whose jsdom version the page must use (events dispatched on
+// jsdom nodes have to be jsdom events)
+const PAGE_GLOBALS = ['Event', 'EventTarget', 'CustomEvent', 'DOMException', 'navigator'];
+
+export async function openPage(){
+  const html = readFileSync(new URL('../../index.html', import.meta.url), 'utf8')
+    .replace(/<script[^>]*src="app.js"[^>]*><\/script>/, '');
+  const {window} = new JSDOM(html, {pretendToBeVisual:true, url:'http://localhost/'});
+  if(window.document.readyState!=='complete') await new Promise(resolve=>window.addEventListener('load', resolve));
+  window.HTMLCanvasElement.prototype.getContext = ()=>({font:'', measureText:text=>({width:String(text).length*7})});
+  window.Element.prototype.scrollIntoView = function(){};
+  Object.defineProperty(window.HTMLElement.prototype, 'contentEditable', {
+    get(){ return this.getAttribute('contenteditable') ?? 'inherit'; },
+    set(v){ this.setAttribute('contenteditable', String(v)); this.setAttribute('tabindex', '-1'); }
+  });
+  for(const key of Object.getOwnPropertyNames(window)){
+    if(!(key in globalThis) || PAGE_GLOBALS.includes(key)){
+      Object.defineProperty(globalThis, key, {configurable:true, get:()=>window[key]});
+    }
+  }
+  await import('../../app.js');
+  window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+  return window;
+}
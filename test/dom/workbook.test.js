@@ -0,0 +1,322 @@
+import { describe, test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { openPage } from './page.js';
+
+let window, document, api;
+before(async ()=>{
+  window = await openPage();
+  document = window.document;
+  api = window.MiniExcel;
+});
+beforeEach(async ()=>{
+  for(const {name} of api.sheets().slice(1)) api.deleteSheet(name);
+  api.setRange('A1', Array.from({length:8}, ()=>Array(4).fill('')));
+  await api.calculated();
+});
+
+const $ = id=>document.getElementById(id);
+const cell = (r, c)=>document.querySelector(`#grid .cell[data-r="${r}"][data-c="${c}"]`);
+const tabs = ()=>[...document.querySelectorAll('#sheetTabs .sheetTab:not(.add)')].map(t=>t.firstChild.textContent);
+const values = range=>api.getRange(range).map(row=>row.map(x=>x.value));
+function choose(select, value){
+  select.value = value;
+  select.dispatchEvent(new window.Event('change', {bubbles:true}));
+}
+function click(el, init={}){
+  el.dispatchEvent(new window.MouseEvent('mousedown', {bubbles:true, ...init}));
+  el.focus();
+  el.dispatchEvent(new window.MouseEvent('mouseup', {bubbles:true, ...init}));
+}
+function headerMenu(th, item){
+  th.dispatchEvent(new window.MouseEvent('contextmenu', {bubbles:true, cancelable:true}));
+  [...$('headerMenu').querySelectorAll('button')].find(b=>b.textContent===item).click();
+}
+
+describe('sheets', ()=>{
+  test('the + tab adds a sheet and tabs switch between them', ()=>{
+    document.querySelector('#sheetTabs .add').click();
+    assert.deepEqual(tabs(), ['Sheet1', 'Sheet2']);
+    assert.equal(api.activeSheet(), 'Sheet2');
+    document.querySelector('#sheetTabs .sheetTab[data-idx="0"]').click();
+    assert.equal(api.activeSheet(), 'Sheet1');
+  });
+  test('cross-sheet formulas follow renames and become #REF! when the sheet goes', async ()=>{
+    api.addSheet('Data');
+    api.setCell('A1', '21', 'Data');
+    api.setCell('A1', '=Data!A1*2', 'Sheet1');
+    await api.calculated();
+    assert.equal(api.getCell('A1', 'Sheet1').result, 42);
+    api.renameSheet('Data', 'Q1 Data');
+    assert.equal(api.getCell('A1', 'Sheet1').value, "='Q1 Data'!A1*2");
+    assert.deepEqual(tabs(), ['Sheet1', 'Q1 Data']);
+    document.querySelector('#sheetTabs .sheetTab[data-idx="1"] .close').click();
+    await api.calculated();
+    assert.equal(api.getCell('A1', 'Sheet1').value, '=#REF!*2');
+    assert.equal(api.getCell('A1', 'Sheet1').text, '#REF!');
+    api.undo();
+    await api.calculated();
+    assert.deepEqual(tabs(), ['Sheet1', 'Q1 Data']);
+    assert.equal(api.getCell('A1', 'Sheet1').result, 42);
+  });
+  test('an edit is undone on its own sheet', ()=>{
+    api.addSheet('Other');
+    api.setCell('B2', 'x', 'Other');
+    api.activateSheet('Sheet1');
+    api.undo();
+    assert.equal(api.activeSheet(), 'Other');
+    assert.equal(api.getCell('B2', 'Other').value, '');
+  });
+});
+
+describe('rows and columns', ()=>{
+  test('inserting a row from the header menu moves cells and references', async ()=>{
+    api.setRange('A1', [['1'], ['2'], ['=SUM(A1:A2)']]);
+    const rows = api.sheets()[0].rows;
+    headerMenu(document.querySelector('#grid th[data-r="1"]'), 'Insert row above');
+    await api.calculated();
+    assert.equal(api.sheets()[0].rows, rows+1);
+    assert.deepEqual(values('A1:A4'), [['1'], [''], ['2'], ['=SUM(A1:A3)']]);
+    assert.equal(cell(3, 0).textContent, '3');
+  });
+  test('deleting a referenced row leaves #REF!', async ()=>{
+    api.setRange('A1', [['1'], ['2'], ['=A2*2']]);
+    click(cell(1, 0));
+    $('delRow').click();
+    await api.calculated();
+    assert.equal(api.getCell('A2').value, '=#REF!*2');
+    api.undo();
+    assert.deepEqual(values('A1:A3'), [['1'], ['2'], ['=A2*2']]);
+  });
+  test('+ Col appends a column', ()=>{
+    const cols = api.sheets()[0].cols;
+    $('addCol').click();
+    assert.equal(api.sheets()[0].cols, cols+1);
+    assert.equal(document.querySelectorAll('#grid thead th[data-c]').length, cols+1);
+  });
+});
+
+describe('history', ()=>{
+  test('the panel lists past and undone steps, and clicking one goes back to it', ()=>{
+    api.setCell('A1', 'a');
+    api.setCell('B1', 'b');
+    api.setCell('C1', 'c');
+    api.undo();
+    $('historyBtn').click();
+    const buttons = ()=>[...$('historyList').querySelectorAll('button')];
+    const entries = ()=>buttons().map(b=>b.textContent+(b.classList.contains('undone') ? ' (undone)' : ''));
+    assert.deepEqual(entries().slice(-3), ['Edit A1', 'Edit B1', 'Edit C1 (undone)']);
+    buttons().findLast(b=>b.textContent==='Edit A1').click();
+    assert.deepEqual(values('A1:C1'), [['a', '', '']]);
+    assert.deepEqual(entries().slice(-3), ['Edit A1', 'Edit B1 (undone)', 'Edit C1 (undone)']);
+    buttons().at(-1).click();
+    assert.deepEqual(values('A1:C1'), [['a', 'b', 'c']]);
+    $('historyClose').click();
+  });
+  test('redo is forgotten after a new edit', ()=>{
+    api.setCell('A1', 'a');
+    api.undo();
+    api.setCell('A1', 'z');
+    api.redo();
+    assert.equal(api.getCell('A1').value, 'z');
+  });
+});
+
+describe('layout', ()=>{
+  test('merge & center keeps the top-left value and one undo brings the rest back', ()=>{
+    api.setRange('A1', [['Title', 'lost', '']]);
+    click(cell(0, 0));
+    cell(0, 2).dispatchEvent(new window.MouseEvent('mousedown', {bubbles:true, shiftKey:true}));
+    document.dispatchEvent(new window.MouseEvent('mouseup', {bubbles:true}));
+    choose($('mergeSelect'), 'center');
+    assert.deepEqual(values('A1:C1'), [['Title', '', '']]);
+    assert.equal(cell(0, 1), null);
+    assert.equal(cell(0, 0).closest('td').colSpan, 3);
+    api.undo();
+    assert.deepEqual(values('A1:B1'), [['Title', 'lost']]);
+    assert.ok(cell(0, 1));
+  });
+  test('freezing the top row pins its cells', ()=>{
+    choose($('freezeSelect'), 'row');
+    assert.equal(document.querySelectorAll('#grid tbody th.frozen-r').length, 1);
+    choose($('freezeSelect'), 'none');
+    assert.equal(document.querySelectorAll('#grid .frozen-r').length, 0);
+  });
+});
+
+describe('data validation', ()=>{
+  test('a list source starting with = must be a range', ()=>{
+    api.setRange('A1', [['x'], ['y']]);
+    click(cell(0, 3));
+    $('validationBtn').click();
+    const dialog = $('dvDialog');
+    const source = dialog.querySelector('input[placeholder="a,b,c or =A1:A9"]');
+    const apply = label=>[...dialog.querySelectorAll('button')].find(b=>b.textContent===label).click();
+    for(const text of ['=', '= ', '=nope', '=Missing!A1:A2']){
+      source.value = text;
+      apply('Apply');
+      assert.equal(dialog.hidden, false, text);
+      assert.match(dialog.querySelector('.hint').textContent, /Enter a range/);
+    }
+    source.value = '=A1:A2';
+    apply('Apply');
+    assert.equal(dialog.hidden, true);
+    $('validationBtn').click();
+    apply('Clear');
+  });
+  test('list sources follow a renamed sheet and become #REF! when it goes', async ()=>{
+    api.addSheet('Price list');
+    api.setRange('A1', [['x'], ['y']], 'Price list');
+    api.activateSheet('Sheet1');
+    click(cell(0, 3));
+    $('validationBtn').click();
+    const dialog = $('dvDialog');
+    const source = ()=>dialog.querySelector('input[placeholder="a,b,c or =A1:A9"]');
+    const apply = label=>[...dialog.querySelectorAll('button')].find(b=>b.textContent===label).click();
+    source().value = "='Price list'!A:A";
+    apply('Apply');
+    assert.equal(dialog.hidden, true);
+    // The whole column is the list: y is allowed, z is not
+    await api.calculated();
+    for(const text of ['y', 'z']){
+      cell(0, 3).textContent = text;
+      cell(0, 3).dispatchEvent(new window.Event('input', {bubbles:true}));
+      cell(0, 3).dispatchEvent(new window.KeyboardEvent('keydown', {key:'Enter', bubbles:true, cancelable:true}));
+      click(cell(0, 3));
+    }
+    assert.equal(api.getCell('D1').value, 'y');
+    api.renameSheet('Price list', 'Prices');
+    $('validationBtn').click();
+    assert.equal(source().value, '=Prices!A:A');
+    api.deleteSheet('Prices');
+    $('validationBtn').click();
+    assert.equal(source().value, '=#REF!');
+    apply('Clear');
+  });
+});
+
+describe('agent review', ()=>{
+  // A model that makes the given tool calls, one per step, and then stops, answered through a
+  // stand-in fetch; resolves to the tool results of this turn
+  async function agentTurn(calls){
+    const replies = calls.map(([name, args], i)=>({content:null, tool_calls:[{id:String(i), type:'function', function:{name, arguments:JSON.stringify(args)}}]}));
+    replies.push({content:'Done'});
+    let sent = [];
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = async (url, {body})=>{
+      sent = JSON.parse(body).messages;
+      return {ok:true, json:async ()=>({choices:[{message:replies.shift()}]})};
+    };
+    try{
+      $('agentInput').value = 'go';
+      $('agentForm').dispatchEvent(new window.Event('submit', {cancelable:true}));
+      while($('agentForm').classList.contains('busy')) await new Promise(resolve=>setTimeout(resolve, 5));
+    }finally{
+      globalThis.fetch = realFetch;
+    }
+    return sent.slice(sent.findLastIndex(m=>m.role==='user')).filter(m=>m.role==='tool').map(m=>JSON.parse(m.content));
+  }
+  test('the user cannot edit while a turn waits, so Reject only undoes the agent', async ()=>{
+    api.setRange('A1', [['mine']]);
+    const {rows} = api.sheets()[0];
+    await agentTurn([['write_range', {start:'D1', values:[['agent']]}]]);
+    assert.equal(api.getCell('D1').value, 'agent');
+    const a1 = cell(0, 0);
+    click(a1);
+    a1.textContent = 'typed';
+    a1.dispatchEvent(new window.Event('input', {bubbles:true}));
+    assert.equal(a1.textContent, 'mine');
+    const paste = new window.Event('paste', {bubbles:true, cancelable:true});
+    paste.clipboardData = {getData:()=>'pasted'};
+    a1.dispatchEvent(paste);
+    $('boldBtn').click();
+    $('addRow').click();
+    assert.deepEqual([api.getCell('A1').value, cell(0, 0).style.fontWeight, api.sheets()[0].rows], ['mine', '', rows]);
+    assert.match($('fileInfo').textContent, /Approve or reject/);
+    $('fileInfo').textContent = '';
+    $('redoBtn').click();
+    assert.match($('fileInfo').textContent, /Approve or reject/);
+    assert.throws(()=>api.importCSV('a,b'), /Approve or reject/);
+    await assert.rejects(api.importXLSX(new ArrayBuffer(0)), /Approve or reject/);
+    $('agentReject').click();
+    assert.deepEqual(values('A1:D1'), [['mine', '', '', '']]);
+  });
+  test('reading another sheet shows calculated results and leaves the user where they are', async ()=>{
+    api.addSheet('Data');
+    api.setRange('A1', [['2'], ['=A1*3'], ['=1/0']], 'Data');
+    api.activateSheet('Sheet1');
+    const [read] = await agentTurn([['read_range', {sheet:'Data', range:'A1:A3'}]]);
+    assert.deepEqual(read, {range:'A1:A3', values:[[2], [6], ['#DIV/0!']], formulas:{A2:'=A1*3', A3:'=1/0'}});
+    assert.equal(api.activeSheet(), 'Sheet1');
+    assert.equal($('agentReview').hidden, true);
+  });
+  test('writing and formatting another sheet leaves the user where they are', async ()=>{
+    api.addSheet('Out');
+    api.activateSheet('Sheet1');
+    api.setCell('A1', 'mine');
+    const {rows} = api.sheets().find(sh=>sh.name==='Out');
+    await agentTurn([
+      ['write_range', {sheet:'Out', start:`A${rows}`, values:[['4'], [`=A${rows}*2`]]}],
+      ['format_cells', {sheet:'Out', range:'A1:A2', format:{bold:true}}],
+    ]);
+    assert.equal(api.activeSheet(), 'Sheet1');
+    assert.equal(cell(0, 0).textContent, 'mine');
+    await api.calculated();
+    assert.equal(api.sheets().find(sh=>sh.name==='Out').rows, rows+1);
+    assert.equal(api.getCell(`A${rows+1}`, 'Out').result, 8);
+    $('agentApprove').click();
+    api.activateSheet('Out');
+    assert.equal(cell(0, 0).style.fontWeight, 'bold');
+    api.activateSheet('Sheet1');
+  });
+  test('a turn that only formats still counts as a change to save', async ()=>{
+    // How A1 looked at each change event: the turn's start alone is not enough
+    const seen = [];
+    const off = api.on('change', ()=>seen.push(cell(0, 0).style.fontWeight));
+    await agentTurn([['format_cells', {range:'A1', format:{bold:true}}]]);
+    await Promise.resolve();
+    off();
+    assert.ok(seen.includes('bold'));
+    $('agentApprove').click();
+  });
+});
+
+describe('scripting API', ()=>{
+  test('getRange takes whole columns and rows, stopping at the sheet\'s edge', ()=>{
+    api.setRange('A1', [['1', '2'], ['3', '4']]);
+    const {rows, cols} = api.sheets()[0];
+    const columns = api.getRange('A:B');
+    assert.deepEqual([columns.length, columns[1].map(x=>x.value)], [rows, ['3', '4']]);
+    const row = api.getRange('2:2');
+    assert.deepEqual([row.length, row[0].length, row[0][1].result], [1, cols, 4]);
+  });
+  test('evaluate sees edits made since the last call', ()=>{
+    api.setRange('A1', [['4', '=A1+1']]);
+    assert.equal(api.evaluate('=B1*2'), 10);
+    api.setCell('A1', '9');
+    assert.deepEqual([api.evaluate('B1*2'), api.evaluate('=1/0')], [20, '#DIV/0!']);
+  });
+});
+
+describe('conditional formatting', ()=>{
+  const rules = ()=>[...$('cfDialog').querySelectorAll('.cf-rule span:not(.cf-swatch)')].map(s=>s.textContent);
+  test('formula rules follow a renamed sheet and become #REF! when it goes', async ()=>{
+    api.addSheet('Data');
+    api.setCell('A1', '9', 'Data');
+    api.activateSheet('Sheet1');
+    click(cell(0, 0));
+    $('condFmtBtn').click();
+    const form = $('cfDialog').querySelector('.cf-form');
+    choose(form.querySelectorAll('select')[0], 'formula');
+    [...form.querySelectorAll('label')].find(l=>l.textContent.startsWith('Formula')).querySelector('input').value = '=Data!A1>5';
+    [...$('cfDialog').querySelectorAll('button')].find(b=>b.textContent==='Add rule').click();
+    api.renameSheet('Data', 'Nums');
+    await api.calculated();
+    $('condFmtBtn').click();
+    assert.deepEqual(rules(), ['A1: Formula =Nums!A1>5']);
+    api.deleteSheet('Nums');
+    $('condFmtBtn').click();
+    assert.deepEqual(rules(), ['A1: Formula =#REF!>5']);
+    $('cfDialog').querySelector('[aria-label="Delete rule"]').click();
+    $('cfDialog').hidden = true;
+  });
+});
@@ -0,0 +1,235 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, parseA1, createEngine, serveEngine, isErr, literalValue, nodeKey, CIRC_ERROR } from '../engine.js';
+
+// Value of cell `ref` on the first sheet of a workbook given as rows of raw values
+// (further sheets as [name, rows] pairs)
+function calc(rows, ref, ...more){
+  const engine = createEngine();
+  engine.load([{name:'Sheet1', cells:rows}, ...more.map(([name, cells])=>({name, cells}))]);
+  const {r, c} = parseA1(ref);
+  return engine.value(0, r, c);
+}
+const errorOf = v => isErr(v) ? v.error : `no error (${JSON.stringify(v)})`;
+
+describe('tokenize', ()=>{
+  test('splits operators, numbers, strings and names', ()=>{
+    assert.deepEqual(tokenize('1.5+"a""b"&x<>2').map(t=>t.value ?? t.type), [1.5, '+', 'a"b', '&', 'X', '<>', 2]);
+    assert.deepEqual(tokenize('A1 >= 2 <= 3').map(t=>t.type), ['cell', '>=', 'num', '<=', 'num']);
+  });
+  test('reads cell and range references with sheet names and $ anchors', ()=>{
+    const [range, , cell] = tokenize("SUM(A1:B2,'My Sheet'!$C$3)").slice(2);
+    assert.deepEqual(range, {type:'range', sheet:null, start:parseA1('A1'), end:parseA1('B2')});
+    assert.deepEqual(cell, {type:'cell', sheet:'My Sheet', pos:{r:2, c:2, absRow:true, absCol:true}});
+    assert.equal(tokenize('Data.2024!A1')[0].sheet, 'Data.2024');
+    assert.equal(tokenize("'It''s'!A1")[0].sheet, "It's");
+  });
+  test('reads error literals', ()=>{
+    assert.deepEqual(tokenize('#div/0!')[0], {type:'err', value:{error:'#DIV/0!'}});
+  });
+  test('rejects malformed input', ()=>{
+    assert.throws(()=>tokenize('"open'), /Unterminated string/);
+    assert.throws(()=>tokenize('#BAD'), /Unexpected character #/);
+    assert.throws(()=>tokenize("'Sheet A1"), /Invalid sheet reference/);
+    assert.throws(()=>tokenize('1;2'), /Unexpected character ;/);
+  });
+});
+
+describe('parseA1', ()=>{
+  test('converts A1 text to 0-based positions', ()=>{
+    assert.deepEqual(parseA1('AA10'), {r:9, c:26, absRow:false, absCol:false});
+    assert.deepEqual(parseA1('$b$2'), {r:1, c:1, absRow:true, absCol:true});
+    assert.equal(parseA1('A0'), null);
+    assert.equal(parseA1('1A'), null);
+  });
+});
+
+describe('formulas', ()=>{
+  test('arithmetic follows precedence and parentheses', ()=>{
+    assert.equal(calc([['1', '2', '=A1+B1*3']], 'C1'), 7);
+    assert.equal(calc([['=(1+2)*3']], 'A1'), 9);
+    assert.equal(calc([['=-2*-3+10/4']], 'A1'), 8.5);
+  });
+  test('SUM over ranges and several arguments', ()=>{
+    const rows = [['1', '2', '5'], ['3', '4', '6'], ['', '', '']];
+    rows[2][2] = '=SUM(A1:B2)';
+    assert.equal(calc(rows, 'C3'), 10);
+    rows[2][2] = '=SUM(A1:B1,B2:C2)';
+    assert.equal(calc(rows, 'C3'), 13);
+  });
+  test('nested functions', ()=>{
+    assert.equal(calc([['5', '15'], ['=SUM(MIN(A1:B1), MAX(A1:B1), AVERAGE(A1:B1))']], 'A2'), 30);
+  });
+  test('a lone = (or = and spaces) is kept as typed', ()=>{
+    assert.equal(calc([['=']], 'A1'), '=');
+    assert.equal(calc([['=   ']], 'A1'), '=   ');
+  });
+  test('comparisons, & and logical functions', ()=>{
+    const cases = [
+      ['=IF(A1>5,"big","small")', 'big'],
+      ['=A1>=10', true],
+      ['=B1="ABC"', true],
+      ['=A1<>10', false],
+      ['="x"&A1&"-"&B1', 'x10-abc'],
+      ['=1+2&"!"', '3!'],
+      ['=AND(A1>1,OR(FALSE,B1="abc"),NOT(A1=3))', true],
+      ['=ISBLANK(C2)', true],
+    ];
+    for(const [formula, want] of cases) assert.equal(calc([['10', 'abc', ''], [formula]], 'A2'), want, formula);
+  });
+  test('lookups on a price table', ()=>{
+    const table = [['Item', 'Price', 'Qty'], ['apple', '1.5', '10'], ['banana', '0.25', '20'], ['cherry', '4', '5']];
+    const cases = [
+      ['=VLOOKUP("banana",A2:C4,2,FALSE)', 0.25],
+      ['=VLOOKUP("b*",A2:C4,3,FALSE)', 20],
+      ['=VLOOKUP(3,B2:C4,2)', 10],
+      ['=HLOOKUP("Qty",A1:C4,4,FALSE)', 5],
+      ['=INDEX(A1:C4,3,1)', 'banana'],
+      ['=SUM(INDEX(B2:C4,0,2))', 35],
+      ['=MATCH("cherry",A1:A4,0)', 4],
+      ['=MATCH(2,B2:B4)', 1],
+      ['=XLOOKUP("cherry",A2:A4,B2:B4)', 4],
+      ['=XLOOKUP(1,B2:B4,A2:A4,"none",1)', 'apple'],
+      ['=XLOOKUP("kiwi",A2:A4,B2:B4,"none")', 'none'],
+      ['=IFERROR(VLOOKUP("kiwi",A2:C4,2,FALSE),"n/a")', 'n/a'],
+    ];
+    for(const [formula, want] of cases) assert.equal(calc([...table, [formula]], 'A5'), want, formula);
+    assert.equal(errorOf(calc([...table, ['=MATCH("kiwi",A1:A4,0)']], 'A5')), '#N/A');
+  });
+  test('text functions', ()=>{
+    const row = ['  Acme   Corp  ', 'SKU-1042-B', 'x'];
+    const cases = [
+      ['=TRIM(A1)', 'Acme Corp'],
+      ['=UPPER(LEFT(TRIM(A1),4))&LOWER(RIGHT(B1,1))', 'ACMEb'],
+      ['=MID(B1,5,4)+1', 1043],
+      ['=LEN(B1)', 10],
+      ['=FIND("-",B1,5)', 9],
+      ['=SUBSTITUTE(B1,"-","/",2)', 'SKU-1042/B'],
+      ['=SUBSTITUTE(B1,"-","")', 'SKU1042B'],
+      ['=CONCAT(C1:C2,B1,"!")', 'xSKU-1042-B!'],
+      ['=TEXTJOIN(", ",TRUE,A1:C1,"",TRUE)', '  Acme   Corp  , SKU-1042-B, x, TRUE'],
+    ];
+    for(const [formula, want] of cases) assert.equal(calc([row, ['', formula, '']], 'B2'), want, formula);
+    assert.equal(errorOf(calc([row, ['=FIND("z",B1)']], 'A2')), '#VALUE!');
+  });
+  test('dates are serials; typed dates compute as dates', ()=>{
+    const row = ['2026-10-19', '2026-10-31', '2026-10-26'];
+    const cases = [
+      ['=DATE(2026,10,19)', 46314],
+      ['=A1', 46314],
+      ['=B1-A1', 12],
+      ['=YEAR(A1)*10000+MONTH(A1)*100+DAY(A1)', 20261019],
+      ['=DAY(EDATE(DATE(2026,1,31),1))', 28],
+      ['=DATE(1900,3,1)-DATE(1900,2,28)', 2],
+      ['=NETWORKDAYS(DATE(2026,10,1),B1)', 22],
+      ['=NETWORKDAYS(DATE(2026,10,1),B1,C1)', 21],
+      ['=AND(TODAY()<=NOW(),NOW()-TODAY()<1)', true],
+    ];
+    for(const [formula, want] of cases) assert.equal(calc([row, [formula]], 'A2'), want, formula);
+    assert.equal(literalValue('2026-10-19'), 46314);
+  });
+  test('cross-sheet references, bare and quoted, any case', ()=>{
+    const jan = [['4', '=A1*2'], ['6', '']];
+    assert.equal(calc([["=SUM('Jan Data'!A1:A2)+'jan data'!B1"]], 'A1', ['Jan Data', jan]), 18);
+    assert.equal(calc([['=Feb!A1*2']], 'A1', ['Feb', [['21']]]), 42);
+  });
+});
+
+describe('errors', ()=>{
+  test('text and blanks in arithmetic give #VALUE!', ()=>{
+    assert.equal(errorOf(calc([['a', '=1+A1']], 'B1')), '#VALUE!');
+    assert.equal(errorOf(calc([['a', '=SUM(1,A1)']], 'B1')), '#VALUE!');
+    assert.equal(errorOf(calc([['', '=1+A1']], 'B1')), '#VALUE!');
+  });
+  test('unknown functions and names give #VALUE! with the reason recorded', ()=>{
+    const engine = createEngine();
+    engine.load([{name:'S', cells:[['=A1+BADFUNC(1)', '=Q+1']]}]);
+    assert.equal(errorOf(engine.value(0, 0, 0)), '#VALUE!');
+    assert.equal(errorOf(engine.value(0, 0, 1)), '#VALUE!');
+    assert.equal(engine.errors.get(nodeKey(0, 0, 1)), 'Unknown name Q');
+  });
+  test('errors propagate through formulas that use them', ()=>{
+    assert.equal(errorOf(calc([['=1/0', '=A1*2', '=SUM(B1,1)']], 'C1')), '#DIV/0!');
+    assert.equal(errorOf(calc([['=#N/A', '=A1&"x"']], 'B1')), '#N/A');
+    assert.equal(errorOf(calc([['=Gone!A1']], 'A1')), '#REF!');
+  });
+  test('IFERROR and ISERROR catch them', ()=>{
+    const rows = [['10', 'abc', ''], ['=IFERROR(1+B1,"bad")', '=IFERROR(B2+1,-1)', '=IFERROR(1/0,0)+ISERROR(A1/0)']];
+    assert.equal(calc(rows, 'A2'), 'bad');
+    assert.equal(calc(rows, 'B2'), -1);
+    assert.equal(calc(rows, 'C2'), 1);
+  });
+});
+
+describe('circular references', ()=>{
+  test('a cell that refers to itself', ()=>{
+    assert.equal(calc([['=A1+1']], 'A1'), CIRC_ERROR);
+  });
+  test('every cell on a loop is #CIRC!; IFERROR downstream still works', ()=>{
+    const engine = createEngine();
+    engine.load([{name:'S', cells:[['=B1+1', '=A1', '=IFERROR(A1,"loop")', '=C1&"!"']]}]);
+    engine.flush();
+    assert.deepEqual([0, 1, 2, 3].map(c=>engine.value(0, 0, c)), [CIRC_ERROR, CIRC_ERROR, 'loop', 'loop!']);
+  });
+  test('a loop through another sheet', ()=>{
+    assert.equal(calc([['', '', "='Jan Data'!B2"]], 'C1', ['Jan Data', [['', ''], ['', '=Sheet1!C1']]]), CIRC_ERROR);
+  });
+  test('breaking the loop clears the error', ()=>{
+    const engine = createEngine();
+    engine.load([{name:'S', cells:[['=B1', '=A1']]}]);
+    engine.flush();
+    engine.setCells([{s:0, r:0, c:1, value:'7'}]);
+    engine.flush();
+    assert.equal(engine.value(0, 0, 0), 7);
+  });
+});
+
+describe('incremental recalculation', ()=>{
+  test('only cells downstream of an edit are recalculated', ()=>{
+    const cells = [['1', '=5*2']];
+    for(let r=1;r<30;r++) cells.push([`=A${r}+A${r}`]); // exponential without a cache
+    const engine = createEngine();
+    engine.load([{name:'S', cells}]);
+    engine.flush();
+    assert.equal(engine.value(0, 29, 0), 2**29);
+    assert.equal(engine.setCells([{s:0, r:0, c:0, value:'2'}]), 30);
+    assert.ok(engine.valueCache.has(nodeKey(0, 0, 1)));
+    engine.flush();
+    assert.equal(engine.value(0, 29, 0), 2**30);
+  });
+  test('evaluate calculates a formula that lives in no cell', ()=>{
+    const engine = createEngine();
+    engine.load([{name:'S', cells:[['3', '4']]}]);
+    assert.equal(engine.evaluate(0, 'A1*B1'), 12);
+    assert.equal(errorOf(engine.evaluate(0, 'A1+')), '#VALUE!');
+  });
+});
+
+describe('serveEngine protocol', ()=>{
+  test('streams results and errors, then done, under the request seq', ()=>{
+    const replies = [];
+    const handle = serveEngine(msg=>replies.push(msg));
+    handle({type:'load', seq:1, sheets:[{name:'S', cells:[['2', '=A1*3', '=B1+Q']]}]});
+    handle({type:'set', seq:2, cells:[{s:0, r:0, c:0, value:'5'}]});
+    const loaded = replies.find(m=>m.type==='values' && m.seq===1);
+    assert.ok(loaded.reset);
+    assert.ok(loaded.patches.some(([key, , error])=>key==='0!0,2' && error==='Unknown name Q'));
+    const patched = new Map(replies.filter(m=>m.type==='values' && m.seq===2).flatMap(m=>m.patches));
+    assert.equal(patched.get('0!0,1'), 15);
+    assert.deepEqual(replies.at(-1), {type:'done', seq:2, full:false});
+  });
+  test('watched formulas are reported after each recalculation', ()=>{
+    const replies = [];
+    const handle = serveEngine(msg=>replies.push(msg));
+    handle({type:'load', seq:1, sheets:[{name:'S', cells:[['2']]}]});
+    handle({type:'watch', seq:1, s:0, formulas:[['rule', 'A1>1']]});
+    handle({type:'set', seq:2, cells:[{s:0, r:0, c:0, value:'0'}]});
+    const watched = replies.filter(m=>m.type==='watched').map(m=>m.results[0][1]);
+    assert.deepEqual(watched, [true, false]);
+  });
+  test('a bad request is answered with an error', ()=>{
+    const replies = [];
+    serveEngine(msg=>replies.push(msg))({type:'nope', seq:3});
+    assert.deepEqual(replies, [{type:'error', seq:3, message:'Unknown request nope'}]);
+  });
+});
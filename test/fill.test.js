@@ -0,0 +1,65 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fillCells, detectSeries } from '../fill.js';
+
+// The next count values after values, as a fill down would write them
+function extend(values, count=3){
+  return fillCells(values.map(value=>({value})), count, 1, 0).map(cell=>cell.value);
+}
+
+describe('series', ()=>{
+  test('numbers continue by their step; a single number is copied', ()=>{
+    assert.deepEqual(extend(['1', '2']), ['3', '4', '5']);
+    assert.deepEqual(extend(['10', '8']), ['6', '4', '2']);
+    assert.deepEqual(extend(['0.1', '0.2']), ['0.3', '0.4', '0.5']);
+    assert.deepEqual(extend(['5']), ['5', '5', '5']);
+  });
+  test('dates go on by days, or by months when the day of the month matches', ()=>{
+    assert.deepEqual(extend(['2026-12-30']), ['2026-12-31', '2027-01-01', '2027-01-02']);
+    assert.deepEqual(extend(['2026/10/19', '2026/10/26'], 2), ['2026/11/02', '2026/11/09']);
+    assert.deepEqual(extend(['2026-01-31', '2026-03-31'], 2), ['2026-05-31', '2026-07-31']);
+    assert.deepEqual(extend(['2026-01-31', '2026-02-28'], 2), ['2026-03-28', '2026-04-25']);
+    assert.deepEqual(extend(['2026-11-30', '2026-12-30'], 2), ['2027-01-30', '2027-02-28']);
+  });
+  test('weekday and month names wrap around and keep their case', ()=>{
+    assert.deepEqual(extend(['Fri']), ['Sat', 'Sun', 'Mon']);
+    assert.deepEqual(extend(['Saturday']), ['Sunday', 'Monday', 'Tuesday']);
+    assert.deepEqual(extend(['NOV', 'DEC']), ['JAN', 'FEB', 'MAR']);
+    assert.deepEqual(extend(['january', 'april'], 2), ['july', 'october']);
+  });
+  test('text ending in a number counts on, keeping leading zeros', ()=>{
+    assert.deepEqual(extend(['Item 1']), ['Item 2', 'Item 3', 'Item 4']);
+    assert.deepEqual(extend(['Q1', 'Q3'], 2), ['Q5', 'Q7']);
+    assert.deepEqual(extend(['Week 08']), ['Week 09', 'Week 10', 'Week 11']);
+  });
+  test('anything else repeats', ()=>{
+    assert.deepEqual(extend(['a', 'b'], 3), ['a', 'b', 'a']);
+    assert.deepEqual(extend(['1', 'x'], 2), ['1', 'x']);
+    assert.deepEqual(extend(['Mon', 'Wed', 'Tue'], 1), ['Mon']);
+    assert.deepEqual(extend(['Item 1', 'Task 2'], 2), ['Item 1', 'Task 2']);
+    assert.deepEqual(extend(['1', ''], 2), ['1', '']);
+    assert.equal(detectSeries([]), null);
+  });
+  test('filling up or left continues the series backwards', ()=>{
+    // fillCells gets the line nearest-last: rows 3, 2 of a column going up
+    assert.deepEqual(fillCells([{value:'3'}, {value:'2'}], 2, -1, 0).map(cell=>cell.value), ['1', '0']);
+    assert.deepEqual(fillCells([{value:'Tue'}], 2, 0, -1).map(cell=>cell.value), ['Wed', 'Thu']);
+  });
+});
+
+describe('formulas and formats', ()=>{
+  test('formulas move their relative references by the distance from their source cell', ()=>{
+    const cells = fillCells([{value:'=A1*$B$1', bold:true}, {value:'=SUM(A$1:A2)'}], 3, 1, 0);
+    assert.deepEqual(cells.map(cell=>cell.value), ['=A3*$B$1', '=SUM(A$1:A4)', '=A5*$B$1']);
+    assert.deepEqual(fillCells([{value:'=B2+1'}], 2, 0, -1).map(cell=>cell.value), ['=A2+1', '=#REF!+1']);
+  });
+  test('formatting repeats with the values; the copies are new objects', ()=>{
+    const source = [{value:'1', bold:true, numFmt:'0.00'}, {value:'2', bgColor:'#ffff00'}];
+    const cells = fillCells(source, 2, 1, 0);
+    assert.deepEqual(cells, [{value:'3', bold:true, numFmt:'0.00'}, {value:'4', bgColor:'#ffff00'}]);
+    assert.notEqual(cells[0], source[0]);
+  });
+  test('series=false copies values as they are', ()=>{
+    assert.deepEqual(fillCells([{value:'Item 1'}, {value:'=A1'}], 2, 1, 0, false).map(cell=>cell.value), ['Item 1', '=A3']);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatValue } from '../numfmt.js';
+import { matchesCondition, computeConditionalStyles, conditionalFormattingXML, insertConditionalFormatting } from '../condfmt.js';
+import { isValidEntry, describeValidation } from '../validate.js';
+import { literalValue } from '../engine.js';
+
+describe('number formats', ()=>{
+  const cases = [
+    [0.1+0.2, '', '0.3'],
+    [1234567.891, '#,##0.00', '1,234,567.89'],
+    [-1234, '$#,##0.00', '-$1,234.00'],
+    [0.256, '0%', '26%'],
+    [12345, '0.00E+00', '1.23E+04'],
+    [-5, '#,##0.00;[Red]-#,##0.00', '-5.00'],
+    [-5, '0;(0)', '(5)'],
+    [46314.75, 'yyyy-mm-dd h:mm AM/PM', '2026-10-19 6:00 PM'],
+    [46314, 'ddd d mmm yy', 'Mon 19 Oct 26'],
+    [46314, 'mmmm d', 'October 19'],
+    ['abc', '0;-0;0;"Item "@', 'Item abc'],
+    [true, '0.00', 'TRUE'],
+  ];
+  for(const [v, code, want] of cases){
+    test(`${JSON.stringify(v)} as ${code || 'General'}`, ()=>assert.equal(formatValue(v, code).text, want));
+  }
+  test('a section colour is reported', ()=>{
+    assert.equal(formatValue(-1, '0;[Red]-0').color, '#ff0000');
+    assert.equal(formatValue(1, '0;[Red]-0').color, '');
+  });
+});
+
+describe('conditional formatting', ()=>{
+  const vals = [5, 20, 'x', 20, 1];
+  const cell = r=>({value:vals[r], text:String(vals[r])});
+  const col = {r1:0, c1:0, r2:4, c2:0};
+  const rules = [
+    {range:col, type:'cellValue', op:'>', value:'10', style:{bgColor:'#ff0000'}},
+    {range:col, type:'duplicate', style:{bold:true, bgColor:'#00ff00'}},
+    {range:col, type:'top', n:1, bottom:true, style:{italic:true}},
+    {range:col, type:'formula', formula:'=A1=5', style:{color:'#0000ff'}},
+    {range:col, type:'dataBar', color:'#638ec6'}
+  ];
+  test('rules combine into per-cell styles, earlier rules first', ()=>{
+    const styles = computeConditionalStyles(rules, cell, (i, r)=>vals[r]===5);
+    assert.equal(styles.get('1,0').bgColor, '#ff0000');
+    assert.equal(styles.get('3,0').bold, true);
+    assert.equal(styles.get('4,0').italic, true);
+    assert.equal(styles.get('0,0').color, '#0000ff');
+    assert.ok(!styles.get('2,0')?.bgColor);
+    assert.equal(styles.get('1,0').bar.pct, 100);
+    assert.equal(styles.get('4,0').bar.pct, 10);
+  });
+  test('XLSX markup', ()=>{
+    const {xml, dxfs} = conditionalFormattingXML(rules, 2);
+    assert.equal(dxfs.length, 4);
+    assert.ok(xml.includes('<conditionalFormatting sqref="A1:A5"><cfRule type="cellIs" dxfId="2" priority="1" operator="greaterThan"><formula>10</formula>'));
+    assert.ok(xml.includes('<formula>A1=5</formula>'));
+    assert.equal(insertConditionalFormatting('<worksheet><sheetData/><ignoredErrors/></worksheet>', '<cf/>'),
+      '<worksheet><sheetData/><cf/><ignoredErrors/></worksheet>');
+  });
+  test('matchesCondition compares numbers as numbers and text without case', ()=>{
+    assert.ok(matchesCondition(45, '45', '>=', '45'));
+    assert.ok(!matchesCondition('abc', 'abc', '>', '1'));
+    assert.ok(matchesCondition('', 'Widget', 'begins', 'wid'));
+  });
+});
+
+describe('data validation', ()=>{
+  const whole = {type:'whole', op:'between', min:'1', max:'10'};
+  test('whole numbers in a range; blanks allowed by default', ()=>{
+    assert.ok(isValidEntry(whole, 7, '7'));
+    assert.ok(!isValidEntry(whole, 7.5, '7.5'));
+    assert.ok(!isValidEntry(whole, 11, '11'));
+    assert.ok(isValidEntry(whole, '', ''));
+    assert.ok(!isValidEntry({...whole, allowBlank:false}, '', ''));
+  });
+  test('lists, dates, text length and custom formulas', ()=>{
+    assert.ok(isValidEntry({type:'list'}, 'South', 'South', {list:['North', 'South']}));
+    assert.ok(!isValidEntry({type:'list'}, 5, '5', {list:['North', 'South']}));
+    assert.ok(isValidEntry({type:'date', op:'>=', min:'2026-01-01'}, literalValue('2026-10-19'), '2026-10-19'));
+    assert.ok(!isValidEntry({type:'textLength', op:'<=', min:'3'}, 'abcd', 'abcd'));
+    assert.ok(isValidEntry({type:'custom', formula:'=A1>0'}, 1, '1', {formula:true}));
+    assert.ok(!isValidEntry({type:'custom', formula:'=A1>0'}, 1, '1', {formula:'#VALUE!'}));
+  });
+  test('descriptions', ()=>{
+    assert.equal(describeValidation(whole), 'Enter a whole number between 1 and 10');
+    assert.equal(describeValidation({type:'list'}, ['a', 'b']), 'Choose one of: a, b');
+    assert.equal(describeValidation({...whole, message:'1 to 10 please'}), '1 to 10 please');
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine } from '../engine.js';
+import {
+  createSheet, loadArrayInto, sheetCells, colLabel, formatA1, parseRangeText, rangeText,
+  quoteSheetName, unquoteSheetName, mapSheetRefs, shiftFormulaRefs, adjustRefs, moveSpan
+} from '../workbook.js';
+
+describe('sheets', ()=>{
+  test('createSheet makes a blank grid with default sizes', ()=>{
+    const sheet = createSheet('Data', 2, 3);
+    assert.equal(sheet.data.length, 2);
+    assert.equal(sheet.data[1].length, 3);
+    assert.deepEqual(sheet.data[0][0], {value:'', bold:false, italic:false, bgColor:'', numFmt:''});
+    assert.notEqual(sheet.data[0][0], sheet.data[0][1]);
+    assert.deepEqual([sheet.colWidths, sheet.rowHeights, sheet.freeze], [[null, null, null], [null, null], {rows:0, cols:0}]);
+  });
+  test('loadArrayInto sizes the sheet to the widest row', ()=>{
+    const sheet = createSheet('Data');
+    loadArrayInto(sheet, [['a'], ['b', 'c', 'd']]);
+    assert.deepEqual([sheet.rows, sheet.cols, sheet.data[0][2].value, sheet.data[1][2].value], [2, 3, '', 'd']);
+    assert.equal(sheet.colWidths.length, 3);
+  });
+  test('sheetCells is what the engine loads', ()=>{
+    const a = createSheet('A', 1, 2), b = createSheet('B', 1, 1);
+    a.data[0][0].value = '=B!A1*2';
+    b.data[0][0].value = '21';
+    const engine = createEngine();
+    engine.load(sheetCells([a, b]));
+    assert.equal(engine.value(0, 0, 0), 42);
+  });
+});
+
+describe('A1 text', ()=>{
+  test('colLabel counts A..Z, AA..', ()=>{
+    assert.deepEqual([0, 25, 26, 27, 701, 702].map(colLabel), ['A', 'Z', 'AA', 'AB', 'ZZ', 'AAA']);
+  });
+  test('formatA1 keeps $ anchors', ()=>{
+    assert.equal(formatA1({r:2, c:1, absRow:true, absCol:false}), 'B$3');
+  });
+  test('parseRangeText orders corners and clips to the sheet', ()=>{
+    assert.deepEqual(parseRangeText('$C$5:a2'), {r1:1, c1:0, r2:4, c2:2});
+    assert.deepEqual(parseRangeText('B2:Z99', 10, 5), {r1:1, c1:1, r2:9, c2:4});
+    assert.equal(parseRangeText('Z1', 10, 5), null);
+    assert.equal(parseRangeText('nope'), null);
+  });
+  test('parseRangeText takes whole columns and rows, up to the sheet\'s edge', ()=>{
+    assert.deepEqual(parseRangeText('C:A', 10, 5), {r1:0, c1:0, r2:9, c2:2});
+    assert.deepEqual(parseRangeText('$2:$5', 10, 5), {r1:1, c1:0, r2:4, c2:4});
+    assert.deepEqual(parseRangeText('B:B'), {r1:0, c1:1, r2:Infinity, c2:1});
+    assert.equal(parseRangeText('12:20', 10, 5), null);
+    assert.equal(parseRangeText('0:3'), null);
+    assert.equal(parseRangeText('A'), null);
+    assert.equal(rangeText({r1:0, c1:0, r2:0, c2:0}), 'A1');
+    assert.equal(rangeText({r1:1, c1:0, r2:4, c2:2}), 'A2:C5');
+  });
+  test('sheet names are quoted only when needed', ()=>{
+    assert.equal(quoteSheetName('Sheet2'), 'Sheet2');
+    assert.equal(quoteSheetName("Bob's data"), "'Bob''s data'");
+    assert.equal(unquoteSheetName("'Bob''s data'"), "Bob's data");
+  });
+});
+
+describe('reference shifting', ()=>{
+  test('relative parts move, $ parts stay', ()=>{
+    assert.equal(shiftFormulaRefs('$A$1+$A1+A$1+A1', 1, 1), '$A$1+$A2+B$1+B2');
+    assert.equal(shiftFormulaRefs('SUM(A1:B2)', 2, 0), 'SUM(A3:B4)');
+  });
+  test('sheet-qualified references move too; strings do not', ()=>{
+    assert.equal(shiftFormulaRefs("'Jan Data'!A1+Feb!B2&\"A1\"", 1, 0), "'Jan Data'!A2+Feb!B3&\"A1\"");
+  });
+  test('references moved off the sheet become #REF!', ()=>{
+    assert.equal(shiftFormulaRefs('B2+SUM(Feb!A1:B2)+$A$1', -1, -1), 'A1+SUM(#REF!)+$A$1');
+  });
+});
+
+describe('inserting and deleting rows and columns', ()=>{
+  const own = 'Sheet1';
+  test('references past the edit move and ranges stretch', ()=>{
+    assert.equal(adjustRefs('A1+A5+$B$7', own, own, 'row', 2, 3), 'A1+A8+$B$10');
+    assert.equal(adjustRefs('SUM(A2:A6)', own, own, 'row', 3, 2), 'SUM(A2:A8)');
+    assert.equal(adjustRefs('SUM(B1:D1)+"C1"', own, own, 'col', 2, 1), 'SUM(B1:E1)+"C1"');
+  });
+  test('deleted references become #REF! and ranges shrink', ()=>{
+    assert.equal(adjustRefs('A3*2+SUM(A1:A6)', own, own, 'row', 1, -3), '#REF!*2+SUM(A1:A3)');
+    assert.equal(adjustRefs('SUM(B1:D1)+E1', own, own, 'col', 1, -2), 'SUM(B1:B1)+C1');
+  });
+  test('only references to the edited sheet change', ()=>{
+    assert.equal(adjustRefs("'My Sheet'!A5+Other!A5", 'Other', 'my sheet', 'row', 0, 1), "'My Sheet'!A6+Other!A5");
+    assert.equal(adjustRefs('A5', 'Other', own, 'row', 0, 1), 'A5');
+  });
+  test('moveSpan', ()=>{
+    assert.deepEqual(moveSpan(2, 4, 3, 2), [2, 6]);
+    assert.deepEqual(moveSpan(2, 4, 0, -2), [0, 2]);
+    assert.equal(moveSpan(2, 4, 2, -3), null);
+    assert.deepEqual(moveSpan(2, 6, 3, -2), [2, 4]);
+  });
+});
+
+describe('renaming and deleting sheets', ()=>{
+  test('mapSheetRefs rewrites references to one sheet, matching names in any case', ()=>{
+    assert.equal(mapSheetRefs("SUM('Jan Data'!A1:A2)+Feb!B1", 'jan data', ref=>quoteSheetName('Q1')+'!'+ref), 'SUM(Q1!A1:A2)+Feb!B1');
+    assert.equal(mapSheetRefs('SUM(Feb!B2:B30)+1', 'Feb', ()=>'#REF!'), 'SUM(#REF!)+1');
+    assert.equal(mapSheetRefs('"Feb!A1"&Feb!A1', 'Feb', ()=>'#REF!'), '"Feb!A1"&#REF!');
+    assert.equal(mapSheetRefs("='Price list'!B:B&Feb!$2:$3", 'Price list', ref=>'Prices!'+ref), '=Prices!B:B&Feb!$2:$3');
+  });
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { workbookToJSON, workbookFromJSON, FORMAT_VERSION } from '../workbookjson.js';
+import { createSheet } from '../workbook.js';
+
+function sampleSheet(){
+  const sheet = createSheet('Q1 Data', 3, 2);
+  Object.assign(sheet.data[0][0], {value:'=B1*2', bold:true, numFmt:'0.00', borderTop:'thin #000000'});
+  sheet.data[2][1].value = 0;
+  sheet.colWidths[1] = 150; sheet.rowHeights[2] = 40;
+  sheet.merges = [{r1:1, c1:0, r2:1, c2:1}];
+  sheet.freeze = {rows:1, cols:0};
+  sheet.condFormats = [{range:{r1:0, c1:0, r2:2, c2:0}, type:'duplicate', style:{bold:true}}];
+  sheet.comments = {A1:'kept as is'};
+  return sheet;
+}
+
+test('only cells with something in them are written', ()=>{
+  const doc = workbookToJSON([sampleSheet()], 0);
+  assert.deepEqual(Object.keys(doc.sheets[0].cells), ['A1', 'B3']);
+  assert.deepEqual(doc.sheets[0].cells.A1, {value:'=B1*2', bold:true, numFmt:'0.00', borderTop:'thin #000000'});
+});
+
+test('a workbook survives the round trip, unknown sheet fields included', ()=>{
+  const sheet = sampleSheet();
+  const text = JSON.stringify(workbookToJSON([createSheet('Sheet1', 1, 1), sheet], 1));
+  const {sheets, active} = workbookFromJSON(text, createSheet);
+  assert.equal(active, 1);
+  assert.deepEqual(sheets[1], sheet);
+});
+
+test('documents it cannot read are refused', ()=>{
+  const doc = workbookToJSON([createSheet('Sheet1', 1, 1)], 0);
+  assert.throws(()=>workbookFromJSON({...doc, version:FORMAT_VERSION+1}, createSheet), /newer than this app supports/);
+  assert.throws(()=>workbookFromJSON({sheets:[]}, createSheet), /Not a workbook file/);
+  assert.throws(()=>workbookFromJSON('not json', createSheet), SyntaxError);
+});
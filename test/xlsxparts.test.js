@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { styleToXLSX, styleFromXLSX, insertCellStyles, readCellStyles, insertFrozenPane, readFrozenPane } from '../xlsxparts.js';
+
+test('cell styles survive the XLSX style object round trip', ()=>{
+  const style = {bold:true, italic:true, underline:true, strike:true, color:'#336699', bgColor:'#ffff00',
+    fontFamily:'Georgia', fontSize:14, hAlign:'center', vAlign:'middle', wrap:true,
+    borderTop:'thin #000000', borderLeft:'double #ff0000'};
+  const s = styleToXLSX(style);
+  assert.deepEqual(s.fill, {patternType:'solid', fgColor:{rgb:'FFFFFF00'}});
+  assert.equal(s.alignment.vertical, 'center');
+  assert.deepEqual(styleFromXLSX(s), style);
+});
+
+test('the community build reports fills flattened onto the style', ()=>{
+  assert.deepEqual(styleFromXLSX({patternType:'solid', fgColor:{rgb:'FF00FF00'}}), {bgColor:'#00ff00'});
+  assert.deepEqual(styleFromXLSX({patternType:'none'}), {});
+});
+
+// styles.xml and a sheet as SheetJS writes them: B1 has a number format, nothing has a style
+const SHEETJS_STYLES = '<styleSheet><numFmts count="1"><numFmt numFmtId="60" formatCode="0.0%"/></numFmts>'
+  + '<fonts count="1"><font><sz val="12"/><color theme="1"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="60" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>'
+  + '<dxfs count="0"/><tableStyles count="0"/></styleSheet>';
+const SHEETJS_SHEET = '<sheetData><row r="1"><c r="A1" t="str"><v>Title</v></c><c r="B1" s="1"><v>0.5</v></c><c r="C1" t="str"><v>plain</v></c></row>'
+  + '<row r="2"><c r="A2" t="str"><v></v></c><c r="B2" t="str"><v>x</v></c></row></sheetData>';
+
+test('cell styles are written into styles.xml and read back', ()=>{
+  const cells = new Map([
+    ['A1', {bold:true, fontSize:16, color:'#336699', hAlign:'center'}],
+    ['B1', {numFmt:'0.0%', bgColor:'#ffff00', borderTop:'thin #000000', borderLeft:'double #ff0000', wrap:true}],
+    ['C1', {bold:false}],
+    ['A2', {bgColor:'#ffff00'}],
+    ['B2', {italic:true, strike:true, underline:true, fontFamily:'Georgia & Co', vAlign:'middle'}]
+  ]);
+  const {styles, sheets:[sheet]} = insertCellStyles(SHEETJS_STYLES, [{xml:SHEETJS_SHEET, cells}]);
+  assert.match(styles, /<fonts count="3">/);
+  assert.match(styles, /<fills count="3">/);
+  assert.match(styles, /<cellXfs count="6">/);
+  // B1 keeps the number format SheetJS gave it; C1 has no style and is left alone
+  assert.match(styles, /<xf numFmtId="60" fontId="0" fillId="2" borderId="1"/);
+  assert.match(sheet, /<c r="C1" t="str">/);
+  const read = readCellStyles(styles, sheet);
+  assert.deepEqual([...read.keys()], ['A1', 'B1', 'A2', 'B2']);
+  for(const [addr, s] of read){
+    const {numFmt, ...style} = cells.get(addr);
+    assert.deepEqual(styleFromXLSX(s), style, addr);
+  }
+});
+
+test('cells with the same style share one xf', ()=>{
+  const yellow = {bgColor:'#ffff00'};
+  const {styles, sheets} = insertCellStyles(SHEETJS_STYLES, [
+    {xml:SHEETJS_SHEET, cells:new Map([['A1', yellow], ['C1', yellow]])},
+    {xml:'<c r="A1" t="str"><v>x</v></c>', cells:new Map([['A1', yellow]])}
+  ]);
+  assert.match(styles, /<cellXfs count="3">/);
+  assert.match(sheets[0], /<c r="A1" t="str" s="2">.*<c r="C1" t="str" s="2">/);
+  assert.equal(sheets[1], '<c r="A1" t="str" s="2"><v>x</v></c>');
+});
+
+test('frozen panes go into the sheet view and come back out', ()=>{
+  const xml = insertFrozenPane('<sheetViews><sheetView workbookViewId="0"/></sheetViews>', {rows:2, cols:1});
+  assert.equal(xml, '<sheetViews><sheetView workbookViewId="0"><pane xSplit="1" ySplit="2" topLeftCell="B3" activePane="bottomRight" state="frozen"/></sheetView></sheetViews>');
+  assert.deepEqual(readFrozenPane(xml), {rows:2, cols:1});
+  const open = insertFrozenPane('<sheetView tabSelected="1"><selection/></sheetView>', {rows:1, cols:0});
+  assert.equal(open, '<sheetView tabSelected="1"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection/></sheetView>');
+  assert.equal(insertFrozenPane('<sheetView/>', {rows:0, cols:0}), '<sheetView/>');
+  assert.equal(readFrozenPane('<sheetView/>'), null);
+});
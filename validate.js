@@ -0,0 +1,70 @@
+// Data validation: rules attached to ranges that say which entries a cell accepts. A rule is
+//   {range:{r1,c1,r2,c2}, type, allowBlank, errorStyle, message, ...type fields}
+// with type fields
+//   list        source: "a,b,c" or a range reference "=A1:A9" / "=Sheet2!A1:A9"
+//   whole       op, min, max        (op: 'between' 'notBetween' '=' '<>' '>' '>=' '<' '<=';
+//   decimal     op, min, max         max is only used by between/notBetween)
+//   date        op, min, max         bounds are typed dates such as 2026-10-19
+//   textLength  op, min, max
+//   custom      formula written for the range's top-left cell; the entry is valid when it is TRUE
+// allowBlank defaults to true. errorStyle 'stop' (default) rejects an invalid entry, 'warning'
+// keeps it and only reports it. message replaces the generated description.
+import { literalValue, serialToISO } from './engine.js';
+
+export const VALIDATION_TYPES = [
+  ['list', 'List'], ['whole', 'Whole number'], ['decimal', 'Decimal'], ['date', 'Date'],
+  ['textLength', 'Text length'], ['custom', 'Custom formula']
+];
+export const VALIDATION_OPS = [
+  ['between', 'between'], ['notBetween', 'not between'], ['=', 'equal to'], ['<>', 'not equal to'],
+  ['>', 'greater than'], ['>=', 'greater than or equal to'], ['<', 'less than'], ['<=', 'less than or equal to']
+];
+
+// Whether an entry satisfies the rule. value is the typed value (literalValue of the input),
+// text what the cell shows; ctx.list holds the allowed items of a list rule and ctx.formula
+// the engine's result for a custom rule at this cell.
+export function isValidEntry(rule, value, text, ctx={}){
+  if(value==='') return rule.allowBlank!==false;
+  switch(rule.type){
+    case 'list': return (ctx.list || []).includes(text);
+    case 'whole': return typeof value==='number' && Number.isInteger(value) && compare(value, rule);
+    case 'decimal':
+    case 'date': return typeof value==='number' && compare(value, rule);
+    case 'textLength': return compare(text.length, rule);
+    case 'custom': return ctx.formula===true || (typeof ctx.formula==='number' && ctx.formula!==0);
+  }
+  return true;
+}
+function bound(v){
+  const n = literalValue(String(v ?? '').trim());
+  return typeof n==='number' ? n : NaN;
+}
+function compare(x, rule){
+  const a = bound(rule.min), b = bound(rule.max);
+  switch(rule.op){
+    case 'between': return x>=Math.min(a,b) && x<=Math.max(a,b);
+    case 'notBetween': return !(x>=Math.min(a,b) && x<=Math.max(a,b));
+    case '=': return x===a;
+    case '<>': return x!==a;
+    case '>': return x>a;
+    case '>=': return x>=a;
+    case '<': return x<a;
+    case '<=': return x<=a;
+  }
+  return true;
+}
+
+// "Whole number between 1 and 10" — the message shown when an entry is rejected
+export function describeValidation(rule, list=[]){
+  if(rule.message) return rule.message;
+  const kind = {whole:'a whole number', decimal:'a number', date:'a date', textLength:'text with length'}[rule.type];
+  const show = v => rule.type==='date' && typeof literalValue(String(v ?? '').trim())==='number'
+    ? serialToISO(literalValue(String(v).trim())) : String(v ?? '');
+  switch(rule.type){
+    case 'list': return `Choose one of: ${list.join(', ')}`;
+    case 'custom': return `The value must satisfy ${rule.formula}`;
+  }
+  const op = VALIDATION_OPS.find(o=>o[0]===rule.op)?.[1] || rule.op;
+  const range = rule.op==='between' || rule.op==='notBetween' ? `${show(rule.min)} and ${show(rule.max)}` : show(rule.min);
+  return `Enter ${kind} ${op} ${range}`;
+}
@@ -0,0 +1,118 @@
+// Workbook model without the DOM: sheets and cells as the editor keeps them, A1 text, and the
+// formula rewriting that structural edits need. app.js builds its workbook from these, and
+// engine.js calculates it, so a server or a Node script can load, edit and evaluate the same
+// workbooks (README.md, "Using the core from Node"). A sheet is
+//   {name, rows, cols, data, colWidths, rowHeights, autoFilter, condFormats, validations, merges, freeze}
+// with data rows x cols of cells (createCell) and colWidths/rowHeights a size in pixels or null.
+import { parseA1 } from './engine.js';
+
+// Further style fields are optional and absent means default: underline, strike,
+// color, fontFamily, fontSize (pt), hAlign (left|center|right), vAlign (top|middle|bottom),
+// wrap, and borderTop/Right/Bottom/Left ('<style> <#rrggbb>', e.g. 'thin #000000').
+export function createCell(){ return { value:'', bold:false, italic:false, bgColor:'', numFmt:'' }; }
+export function createEmpty(r,c){ return Array.from({length:r},()=>Array.from({length:c},()=>createCell())); }
+export function createSheet(name, r=30, c=12){
+  return {name, rows:r, cols:c, data:createEmpty(r,c), colWidths:Array(c).fill(null), rowHeights:Array(r).fill(null), autoFilter:null, condFormats:[], validations:[], merges:[], freeze:{rows:0, cols:0}};
+}
+// Replace a sheet's cells and sizes with rows of values (from parseCSV, say)
+export function loadArrayInto(sheet, arr){
+  sheet.rows = arr.length;
+  sheet.cols = Math.max(1, arr.reduce((m,r)=>Math.max(m, r.length), 0));
+  sheet.data = createEmpty(sheet.rows, sheet.cols);
+  sheet.colWidths = Array(sheet.cols).fill(null);
+  sheet.rowHeights = Array(sheet.rows).fill(null);
+  for(let r=0;r<sheet.rows;r++) for(let c=0;c<sheet.cols;c++) sheet.data[r][c].value = arr[r][c]??'';
+}
+// The sheets as engine.load takes them: [{name, cells}] with rows of raw values
+export function sheetCells(sheets){
+  return sheets.map(sh=>({name:sh.name, cells:sh.data.map(row=>row.map(cell=>cell.value))}));
+}
+
+export function colLabel(n){ // 0->A, 25->Z, 26->AA
+  let s=''; n = n>>>0; do{ s = String.fromCharCode(65 + (n % 26)) + s; n = Math.floor(n/26) - 1; } while(n>=0); return s;
+}
+export function formatA1(p){
+  return (p.absCol?'$':'') + colLabel(p.c) + (p.absRow?'$':'') + (p.r+1);
+}
+// "B2:D9" (or a single cell), whole columns "A:C" or whole rows "2:5" -> {r1,c1,r2,c2}
+// clipped to a maxRows x maxCols sheet, or null
+export function parseRangeText(text, maxRows=Infinity, maxCols=Infinity){
+  const t = text.trim().replace(/\$/g,'');
+  const [a, b=a] = t.split(':');
+  const cols = /^[A-Za-z]+:[A-Za-z]+$/.test(t), rows = /^\d+:\d+$/.test(t);
+  const pa = parseA1(cols ? a+'1' : rows ? 'A'+a : a), pb = parseA1(cols ? b+'1' : rows ? 'A'+b : b);
+  if(!pa || !pb) return null;
+  if(cols){ pa.r = 0; pb.r = maxRows-1; }
+  if(rows){ pa.c = 0; pb.c = maxCols-1; }
+  const range = {r1:Math.min(pa.r,pb.r), c1:Math.min(pa.c,pb.c), r2:Math.min(Math.max(pa.r,pb.r), maxRows-1), c2:Math.min(Math.max(pa.c,pb.c), maxCols-1)};
+  return range.r1<=range.r2 && range.c1<=range.c2 ? range : null;
+}
+export const rangeText = ({r1,c1,r2,c2}) => r1===r2 && c1===c2 ? colLabel(c1)+(r1+1) : `${colLabel(c1)}${r1+1}:${colLabel(c2)}${r2+1}`;
+
+// Sheet name in a reference prefix: 'My Sheet'!A1 or Sheet2!A1
+export const SHEET_NAME_SRC = "(?:'(?:[^']|'')+'|[A-Za-z][A-Za-z0-9_.]*)";
+const REF_SRC = '\\$?[A-Za-z]+\\$?\\d+(?::\\$?[A-Za-z]+\\$?\\d+)?';
+// Whole columns or rows (A:C, 2:5), which list validation sources may name
+const SPAN_SRC = '\\$?[A-Za-z]+:\\$?[A-Za-z]+|\\$?\\d+:\\$?\\d+';
+export function quoteSheetName(name){
+  return /^[A-Za-z][A-Za-z0-9_.]*$/.test(name) ? name : `'${name.replace(/'/g,"''")}'`;
+}
+export function unquoteSheetName(prefix){
+  return prefix.startsWith("'") ? prefix.slice(1,-1).replace(/''/g,"'") : prefix;
+}
+// String.replace over a formula, leaving "string literals" untouched
+function replaceOutsideStrings(expr, re, fn){
+  return expr.split(/("(?:[^"]|"")*")/).map((part,i)=> i%2 ? part : part.replace(re, fn)).join('');
+}
+// Replace every reference to sheet `name` (cell, range or whole columns/rows) with fn(ref)
+export function mapSheetRefs(expr, name, fn){
+  const re = new RegExp(`(${SHEET_NAME_SRC})!(${REF_SRC}|${SPAN_SRC})`, 'g');
+  const n = name.toLowerCase();
+  return replaceOutsideStrings(expr, re, (m, prefix, ref)=> unquoteSheetName(prefix).toLowerCase()===n ? fn(ref) : m);
+}
+
+// Move the relative references of a formula by dr rows and dc columns (copy/paste, fill).
+// A reference pushed off the top or left edge of the sheet becomes #REF!
+export function shiftFormulaRefs(expr, dr, dc){
+  const re = new RegExp(`(${SHEET_NAME_SRC}!)?(${REF_SRC})`, 'g');
+  return replaceOutsideStrings(expr, re, (m, prefix='', ref)=>{
+    const shifted = ref.split(':').map(shiftSingle);
+    return shifted.includes(null) ? '#REF!' : prefix+shifted.join(':');
+  });
+  function shiftSingle(rf){
+    const p = parseA1(rf);
+    if(!p) return rf;
+    const row = p.absRow ? p.r : p.r + dr;
+    const col = p.absCol ? p.c : p.c + dc;
+    if(row<0 || col<0) return null;
+    return (p.absCol?'$':'') + colLabel(col) + (p.absRow?'$':'') + (row+1);
+  }
+}
+
+// Rewrite the references in a formula on sheet `ownSheet` after `count` rows or
+// columns (axis 'row'|'col') of sheet `targetSheet` (both names) were inserted at index
+// `at` (count>0) or deleted from `at` on (count<0), the way Excel does: references past
+// the edit move, ranges stretch or shrink, and references to deleted cells become #REF!
+export function adjustRefs(expr, ownSheet, targetSheet, axis, at, count){
+  const re = new RegExp(`(${SHEET_NAME_SRC}!)?(${REF_SRC})(?![\\w(!])`, 'g');
+  const target = targetSheet.toLowerCase();
+  const key = axis==='row' ? 'r' : 'c';
+  return replaceOutsideStrings(expr, re, (m, prefix, ref)=>{
+    const onTarget = (prefix ? unquoteSheetName(prefix.slice(0,-1)) : ownSheet).toLowerCase()===target;
+    if(!onTarget) return m;
+    const [a, b=a] = ref.split(':');
+    const pa = parseA1(a), pb = parseA1(b);
+    if(!pa || !pb) return m;
+    const span = moveSpan(pa[key], pb[key], at, count);
+    if(!span) return '#REF!';
+    [pa[key], pb[key]] = span;
+    return (prefix||'') + formatA1(pa) + (ref.includes(':') ? ':'+formatA1(pb) : '');
+  });
+}
+// New [start,end] of a row/column span after an insert or delete, or null if it was deleted
+export function moveSpan(start, end, at, count){
+  if(count>0) return [start>=at ? start+count : start, end>=at ? end+count : end];
+  const n = -count, last = at+n-1;
+  if(start>=at && end<=last) return null;
+  return [start<at ? start : start>last ? start-n : at, end<at ? end : end>last ? end-n : at-1];
+}
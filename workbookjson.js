@@ -0,0 +1,71 @@
+// Native workbook file: every sheet with everything the app keeps for it, as versioned JSON.
+//   {format:'mini-excel-workbook', version:1, activeSheet:0, sheets:[sheet, ...]}
+// A sheet is the app's sheet object with its cell grid swapped for a sparse map:
+//   {name, rows, cols, cells:{"B2":{value:"=A1*2", bold:true}, ...}, colWidths, rowHeights,
+//    autoFilter, condFormats, validations, merges, freeze}
+// Cells list only their non-default fields (a blank, unstyled cell is left out); colWidths and
+// rowHeights hold a size in pixels or null for the default. Sheet fields not named above are
+// written and read back as they are, so later features need no format change unless the
+// shape of something already stored changes. Then FORMAT_VERSION goes up by one and
+// MIGRATIONS gets the step that upgrades a document of the previous version.
+import { parseA1 } from './engine.js';
+import { colLabel } from './workbook.js';
+
+export const WORKBOOK_FORMAT = 'mini-excel-workbook';
+export const FORMAT_VERSION = 1;
+// MIGRATIONS[v](doc) returns the version v+1 form of a version-v document
+const MIGRATIONS = {};
+
+// Fields worth writing: any value but '', other fields when set (false, 0 and '' are defaults)
+function cellFields(cell){
+  const out = {};
+  for(const [k, v] of Object.entries(cell)){
+    if(k==='value' ? v!=='' && v!=null : v!=='' && v!==false && v!==0 && v!=null) out[k] = v;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+export function workbookToJSON(sheets, activeSheet){
+  return {
+    format: WORKBOOK_FORMAT,
+    version: FORMAT_VERSION,
+    activeSheet,
+    sheets: sheets.map(({data, ...sheet})=>{
+      const cells = {};
+      data.forEach((row, r)=>row.forEach((cell, c)=>{
+        const fields = cellFields(cell);
+        if(fields) cells[colLabel(c) + (r+1)] = fields;
+      }));
+      return {...sheet, cells};
+    })
+  };
+}
+
+// Sheets and the active index from a document (parsed or text), upgraded to the current
+// version first. newSheet(name, rows, cols) makes the app's blank sheet the stored fields
+// go onto. Throws on anything that is not a workbook this version can read.
+export function workbookFromJSON(doc, newSheet){
+  if(typeof doc==='string') doc = JSON.parse(doc);
+  if(doc?.format!==WORKBOOK_FORMAT || !Number.isInteger(doc.version) || !Array.isArray(doc.sheets)){
+    throw new Error('Not a workbook file');
+  }
+  if(doc.version > FORMAT_VERSION) throw new Error(`Workbook version ${doc.version} is newer than this app supports (${FORMAT_VERSION})`);
+  for(let v=doc.version; v<FORMAT_VERSION; v++){
+    if(!MIGRATIONS[v]) throw new Error(`No upgrade from workbook version ${v}`);
+    doc = MIGRATIONS[v](doc);
+  }
+  const sheets = doc.sheets.map(({cells={}, data, ...fields}, i)=>{
+    const rows = Math.max(1, fields.rows|0), cols = Math.max(1, fields.cols|0);
+    const sheet = Object.assign(newSheet(String(fields.name || `Sheet${i+1}`), rows, cols), fields, {rows, cols});
+    sheet.colWidths = Array.from({length:cols}, (_, c)=>fields.colWidths?.[c] ?? null);
+    sheet.rowHeights = Array.from({length:rows}, (_, r)=>fields.rowHeights?.[r] ?? null);
+    for(const [ref, cell] of Object.entries(cells)){
+      const p = parseA1(ref);
+      if(p && p.r<rows && p.c<cols) Object.assign(sheet.data[p.r][p.c], cell);
+    }
+    return sheet;
+  });
+  if(!sheets.length) throw new Error('Workbook has no sheets');
+  const active = Number.isInteger(doc.activeSheet) ? Math.min(Math.max(doc.activeSheet, 0), sheets.length-1) : 0;
+  return {sheets, active};
+}
@@ -0,0 +1,235 @@
+// The parts of XLSX import/export that SheetJS leaves to the app: cell styles in the
+// xlsx-js-style object layout, which the community build neither writes nor (beyond fills)
+// reads, so they go into and come out of styles.xml here; number formats and typed dates of
+// imported cells; and frozen panes, which are spliced into the sheet XML. Conditional
+// formats have theirs in condfmt.js.
+import { serialToISO } from './engine.js';
+import { colLabel } from './workbook.js';
+
+export const BORDER_SIDES = ['Top','Right','Bottom','Left'];
+
+// XLSX style object (`s`, xlsx-js-style layout) <-> cell style fields.
+// Colours are ARGB hex in the file and #rrggbb on cells.
+export function styleToXLSX(cell){
+  const rgb = hex => ({ rgb:'FF'+hex.slice(1).toUpperCase() });
+  const s = {};
+  const font = {};
+  if(cell.bold) font.bold = true;
+  if(cell.italic) font.italic = true;
+  if(cell.underline) font.underline = true;
+  if(cell.strike) font.strike = true;
+  if(cell.color) font.color = rgb(cell.color);
+  if(cell.fontFamily) font.name = cell.fontFamily;
+  if(cell.fontSize) font.sz = cell.fontSize;
+  if(Object.keys(font).length) s.font = font;
+  if(cell.bgColor) s.fill = { patternType:'solid', fgColor:rgb(cell.bgColor) };
+  const alignment = {};
+  if(cell.hAlign) alignment.horizontal = cell.hAlign;
+  if(cell.vAlign) alignment.vertical = cell.vAlign==='middle' ? 'center' : cell.vAlign;
+  if(cell.wrap) alignment.wrapText = true;
+  if(Object.keys(alignment).length) s.alignment = alignment;
+  const border = {};
+  for(const side of BORDER_SIDES){
+    const spec = cell['border'+side];
+    if(!spec) continue;
+    const [style, color='#000000'] = spec.split(' ');
+    border[side.toLowerCase()] = { style, color:rgb(color) };
+  }
+  if(Object.keys(border).length) s.border = border;
+  return s;
+}
+// The community SheetJS build only reports the fill, flattened onto `s` itself
+export function styleFromXLSX(s){
+  const hex = c => /^[0-9A-Fa-f]{6,8}$/.test(c?.rgb||'') ? '#'+c.rgb.slice(-6).toLowerCase() : '';
+  const props = {};
+  const fill = s.fill || (s.patternType ? s : null);
+  if(fill?.patternType==='solid' && hex(fill.fgColor)) props.bgColor = hex(fill.fgColor);
+  const font = s.font || {};
+  if(font.bold) props.bold = true;
+  if(font.italic) props.italic = true;
+  if(font.underline) props.underline = true;
+  if(font.strike) props.strike = true;
+  if(hex(font.color)) props.color = hex(font.color);
+  if(font.name) props.fontFamily = font.name;
+  if(+font.sz) props.fontSize = +font.sz;
+  const al = s.alignment || {};
+  if(['left','center','right'].includes(al.horizontal)) props.hAlign = al.horizontal;
+  const v = al.vertical==='center' ? 'middle' : al.vertical;
+  if(['top','middle','bottom'].includes(v)) props.vAlign = v;
+  if(al.wrapText) props.wrap = true;
+  for(const side of BORDER_SIDES){
+    const b = s.border?.[side.toLowerCase()];
+    if(b?.style) props['border'+side] = `${b.style} ${hex(b.color) || '#000000'}`;
+  }
+  return props;
+}
+
+// Number formats (`z`) and styles of XLSX cells, as [{r,c,props}] relative to arr. Styles
+// come from `styles` (readCellStyles) when given, else from what SheetJS put in `s`.
+// Date cells arrive as bare serials; store them as ISO text so they stay typed dates.
+export function importXLSXCellProps(lib, ws, arr, styles){
+  const out = [];
+  if(!ws['!ref']) return out;
+  const origin = lib.utils.decode_range(ws['!ref']).s;
+  for(const addr of new Set([...Object.keys(ws), ...(styles?.keys() ?? [])])){
+    if(addr[0]==='!') continue;
+    const cell = ws[addr] || {};
+    const s = styles ? styles.get(addr) : cell.s;
+    const props = s ? styleFromXLSX(s) : {};
+    const {r,c} = lib.utils.decode_cell(addr);
+    if(cell.t==='n' && cell.z && cell.z!=='General'){
+      props.numFmt = cell.z;
+      const row = arr[r-origin.r];
+      if(lib.SSF.is_date(cell.z) && row && c-origin.c < row.length) row[c-origin.c] = serialToISO(cell.v, cell.v%1!==0);
+    }
+    if(Object.keys(props).length) out.push({r:r-origin.r, c:c-origin.c, props});
+  }
+  return out;
+}
+
+// styles.xml lists, in schema order, and the element each holds
+const STYLE_LISTS = [['numFmts','numFmt'], ['fonts','font'], ['fills','fill'], ['borders','border'],
+  ['cellStyleXfs','xf'], ['cellXfs','xf'], ['cellStyles','cellStyle'], ['dxfs','dxf']];
+const xmlEsc = t => String(t).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+const xmlText = t => t.replace(/&quot;/g,'"').replace(/&lt;/g,'<').replace(/&gt;/g,'>').replace(/&amp;/g,'&');
+const attr = (xml, name) => new RegExp(`\\b${name}="([^"]*)"`).exec(xml)?.[1];
+function listItems(stylesXml, list, item){
+  const body = new RegExp(`<${list}\\b[^>]*?(?:/>|>([\\s\\S]*?)</${list}>)`).exec(stylesXml)?.[1] || '';
+  return body.match(new RegExp(`<${item}\\b[^>]*?(?:/>|>[\\s\\S]*?</${item}>)`, 'g')) || [];
+}
+// stylesXml with items added to the end of one of its lists (created if missing)
+function appendItems(stylesXml, list, items){
+  if(!items.length) return stylesXml;
+  const item = STYLE_LISTS.find(([l])=>l===list)[1];
+  const all = [...listItems(stylesXml, list, item), ...items];
+  const xml = `<${list} count="${all.length}">${all.join('')}</${list}>`;
+  const existing = new RegExp(`<${list}\\b[^>]*?(?:/>|>[\\s\\S]*?</${list}>)`);
+  if(existing.test(stylesXml)) return stylesXml.replace(existing, ()=>xml);
+  const later = STYLE_LISTS.slice(STYLE_LISTS.findIndex(([l])=>l===list)+1).map(([l])=>'<'+l+'\\b');
+  const at = stylesXml.search(new RegExp([...later, '<tableStyles', '<colors', '<extLst', '</styleSheet>'].join('|')));
+  return stylesXml.slice(0, at) + xml + stylesXml.slice(at);
+}
+
+function fontXML(font, base){
+  return '<font>' + (font.bold ? '<b/>' : '') + (font.italic ? '<i/>' : '') + (font.strike ? '<strike/>' : '')
+    + (font.underline ? '<u/>' : '') + `<sz val="${font.sz || base.sz}"/>`
+    + (font.color ? `<color rgb="${font.color.rgb}"/>` : '') + `<name val="${xmlEsc(font.name || base.name)}"/></font>`;
+}
+function fillXML(fill){
+  return `<fill><patternFill patternType="solid"><fgColor rgb="${fill.fgColor.rgb}"/><bgColor indexed="64"/></patternFill></fill>`;
+}
+function borderXML(border){
+  return '<border>' + ['left','right','top','bottom'].map(side=>{
+    const b = border[side];
+    return b ? `<${side} style="${xmlEsc(b.style)}"><color rgb="${b.color.rgb}"/></${side}>` : `<${side}/>`;
+  }).join('') + '<diagonal/></border>';
+}
+function alignmentXML(al){
+  return '<alignment' + (al.horizontal ? ` horizontal="${al.horizontal}"` : '') + (al.vertical ? ` vertical="${al.vertical}"` : '')
+    + (al.wrapText ? ' wrapText="1"' : '') + '/>';
+}
+
+// Give the styled cells of each sheet ({xml, cells: Map of A1 -> cell}) their style: one
+// <xf> per distinct style, with its font, fill and border, is added to styles.xml, keeping
+// the number format of the xf SheetJS gave the cell, and the cells' s="" point at it.
+// Returns {styles, sheets} with the new styles.xml and sheet XML.
+export function insertCellStyles(stylesXml, sheets){
+  const xfs = listItems(stylesXml, 'cellXfs', 'xf');
+  const font0 = listItems(stylesXml, 'fonts', 'font')[0] || '';
+  const base = {sz:attr(/<sz\b[^>]*>/.exec(font0)?.[0] || '', 'val') || 11, name:attr(/<name\b[^>]*>/.exec(font0)?.[0] || '', 'val') || 'Calibri'};
+  const start = {fonts:listItems(stylesXml, 'fonts', 'font').length, fills:listItems(stylesXml, 'fills', 'fill').length,
+    borders:listItems(stylesXml, 'borders', 'border').length, cellXfs:xfs.length};
+  const added = {fonts:[], fills:[], borders:[], cellXfs:[]};
+  const id = (list, xml)=>{
+    let i = added[list].indexOf(xml);
+    if(i<0) i = added[list].push(xml) - 1;
+    return start[list] + i;
+  };
+  const out = sheets.map(({xml, cells})=>xml.replace(/<c r="([A-Z]+\d+)"([^>]*?)(\/?)>/g, (tag, addr, attrs, close)=>{
+    const cell = cells.get(addr);
+    const s = cell && styleToXLSX(cell);
+    if(!s || !Object.keys(s).length) return tag;
+    const numFmtId = attr(xfs[+(attr(attrs, 's') || 0)] || '', 'numFmtId') || '0';
+    const xf = `<xf numFmtId="${numFmtId}" fontId="${s.font ? id('fonts', fontXML(s.font, base)) : 0}"`
+      + ` fillId="${s.fill ? id('fills', fillXML(s.fill)) : 0}" borderId="${s.border ? id('borders', borderXML(s.border)) : 0}" xfId="0"`
+      + (numFmtId!=='0' ? ' applyNumberFormat="1"' : '') + (s.font ? ' applyFont="1"' : '') + (s.fill ? ' applyFill="1"' : '')
+      + (s.border ? ' applyBorder="1"' : '') + (s.alignment ? ` applyAlignment="1">${alignmentXML(s.alignment)}</xf>` : '/>');
+    return `<c r="${addr}"${attrs.replace(/\s*\bs="\d+"/, '')} s="${id('cellXfs', xf)}"${close}>`;
+  }));
+  let styles = stylesXml;
+  for(const list of ['fonts', 'fills', 'borders', 'cellXfs']) styles = appendItems(styles, list, added[list]);
+  return {styles, sheets:out};
+}
+
+// The styles (`s`, xlsx-js-style layout) of one sheet's cells, as a Map of A1 -> style;
+// unstyled cells are left out, and so are the default font's name and size
+export function readCellStyles(stylesXml, sheetXml){
+  const color = xml => { const rgb = attr(/<color\b[^>]*>/.exec(xml)?.[0] || '', 'rgb'); return rgb ? {rgb} : undefined; };
+  const on = (xml, tag) => { const t = new RegExp(`<${tag}\\b[^>]*>`).exec(xml)?.[0]; return !!t && !/\bval="(0|false|none)"/.test(t); };
+  const fontTags = listItems(stylesXml, 'fonts', 'font');
+  const val = (xml, tag) => attr(new RegExp(`<${tag}\\b[^>]*>`).exec(xml)?.[0] || '', 'val');
+  const fonts = fontTags.map(xml=>{
+    const font = {};
+    if(on(xml, 'b')) font.bold = true;
+    if(on(xml, 'i')) font.italic = true;
+    if(on(xml, 'u')) font.underline = true;
+    if(on(xml, 'strike')) font.strike = true;
+    if(color(xml)) font.color = color(xml);
+    if(val(xml, 'name') && val(xml, 'name')!==val(fontTags[0], 'name')) font.name = xmlText(val(xml, 'name'));
+    if(val(xml, 'sz') && val(xml, 'sz')!==val(fontTags[0], 'sz')) font.sz = +val(xml, 'sz');
+    return font;
+  });
+  const fills = listItems(stylesXml, 'fills', 'fill').map(xml=>{
+    const fg = /<fgColor\b[^>]*>/.exec(xml)?.[0];
+    return /patternType="solid"/.test(xml) && attr(fg || '', 'rgb') ? {patternType:'solid', fgColor:{rgb:attr(fg, 'rgb')}} : null;
+  });
+  const borders = listItems(stylesXml, 'borders', 'border').map(xml=>{
+    const border = {};
+    for(const side of ['left','right','top','bottom']){
+      const m = new RegExp(`<${side}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${side}>)`).exec(xml);
+      const style = m && attr(m[1], 'style');
+      if(style) border[side] = {style, color:color(m[2] || '') || {rgb:'FF000000'}};
+    }
+    return border;
+  });
+  const xfs = listItems(stylesXml, 'cellXfs', 'xf').map(xml=>{
+    const s = {};
+    const font = fonts[+attr(xml, 'fontId') || 0];
+    if(+attr(xml, 'fontId') && Object.keys(font || {}).length) s.font = font;
+    const fill = fills[+attr(xml, 'fillId') || 0];
+    if(fill) s.fill = fill;
+    const border = borders[+attr(xml, 'borderId') || 0];
+    if(Object.keys(border || {}).length) s.border = border;
+    const al = /<alignment\b[^>]*>/.exec(xml)?.[0];
+    if(al){
+      const alignment = {};
+      if(attr(al, 'horizontal')) alignment.horizontal = attr(al, 'horizontal');
+      if(attr(al, 'vertical')) alignment.vertical = attr(al, 'vertical');
+      if(/\bwrapText="(1|true)"/.test(al)) alignment.wrapText = true;
+      if(Object.keys(alignment).length) s.alignment = alignment;
+    }
+    return s;
+  });
+  const out = new Map();
+  for(const [, addr, attrs] of sheetXml.matchAll(/<c r="([A-Z]+\d+)"([^>]*?)\/?>/g)){
+    const s = xfs[+(attr(attrs, 's') || 0)];
+    if(s && Object.keys(s).length) out.set(addr, s);
+  }
+  return out;
+}
+
+// SheetJS neither reads nor writes panes: frozen rows/columns are spliced into the
+// sheet's <sheetView> on export and read back from it on import
+export function insertFrozenPane(sheetXml, {rows:fr, cols:fc}){
+  if(!fr && !fc) return sheetXml;
+  const active = fr && fc ? 'bottomRight' : fr ? 'bottomLeft' : 'topRight';
+  const pane = `<pane${fc ? ` xSplit="${fc}"` : ''}${fr ? ` ySplit="${fr}"` : ''} topLeftCell="${colLabel(fc)}${fr+1}" activePane="${active}" state="frozen"/>`;
+  return sheetXml.replace(/<sheetView\b([^>]*?)\/>/, `<sheetView$1>${pane}</sheetView>`)
+    .replace(/(<sheetView\b[^>]*[^/]>)(?!<pane)/, `$1${pane}`);
+}
+export function readFrozenPane(sheetXml){
+  const tag = /<pane\b[^>]*state="frozen(?:Split)?"[^>]*>/.exec(sheetXml)?.[0];
+  if(!tag) return null;
+  const attr = name => Math.floor(+(new RegExp(`\\b${name}="([\\d.]+)"`).exec(tag)?.[1] || 0));
+  return {rows:attr('ySplit'), cols:attr('xSplit')};
+}